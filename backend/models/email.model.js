@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+// Enhanced Email Schema
+const emailSchema = new mongoose.Schema({
+  messageId: { type: String, unique: true },
+  // Mailbox it arrived in (services/mailboxes.js); replies go out from the same one
+  mailbox: { type: String, default: 'default', index: true },
+  threadId: String,
+  internetMessageId: String,
+  from: String,
+  to: String,
+  subject: String,
+  // Cleaned text the AI reads (quoted replies and signatures removed)
+  body: String,
+  // Full decoded body as received (HTML source when no text part was sent)
+  rawBody: String,
+  bodyFormat: { type: String, enum: ['text', 'html'], default: 'text' },
+  received: { type: Date, default: Date.now },
+  // Files sent with the email, kept in the attachment file store
+  attachments: [{
+    index: Number, // Position among the message's attachment parts
+    filename: String,
+    mimeType: String,
+    size: Number,
+    attachmentId: String, // Gmail attachment ID
+    downloaded: { type: Boolean, default: false },
+    downloadedAt: Date,
+    store: String,
+    storageKey: String,
+    contentHash: String,
+    error: String
+  }],
+  // Enrolled child the email is about, when the sender is a known parent
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', index: true },
+  // Excused absence written to the student's attendance from this email (services/absences.js)
+  absence: {
+    dates: [Date],
+    reason: String,
+    recordedAt: Date,
+    // Why nothing was recorded, e.g. "no matching student"; staff handle these by hand
+    issue: String
+  },
+  // Tour times offered in the reply to this email, and the one the parent booked (services/tours.js)
+  tourOffer: {
+    slotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TourSlot' }],
+    offeredAt: Date,
+    bookedSlotId: { type: mongoose.Schema.Types.ObjectId, ref: 'TourSlot' },
+    bookingId: mongoose.Schema.Types.ObjectId,
+    bookedAt: Date,
+    // Why the parent's answer could not be booked; staff follow up
+    issue: String
+  },
+  // Payment reported in this email and the invoice it was matched to (services/reconciliation.js)
+  reconciliation: {
+    status: { type: String, enum: ['proposed', 'confirmed', 'exception', 'dismissed'] },
+    amount: Number,
+    reference: String,
+    payer: String,
+    paidOn: Date,
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    matchedBy: String, // 'invoice number' or 'parent and amount'
+    // Why it is an exception, or what staff should check on a proposal
+    issue: String,
+    reviewedBy: String,
+    reviewedAt: Date
+  },
+  processed: { type: Boolean, default: false },
+  category: { 
+    type: String, 
+    enum: ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'],
+    default: 'general'
+  },
+  urgency: { type: String, enum: ['high', 'medium', 'low'], default: 'medium' },
+  extractedData: mongoose.Schema.Types.Mixed,
+  aiResponse: String,
+  folderLabel: String,
+  // Detected language of the email ('en' or 'fr')
+  language: { type: String, enum: ['en', 'fr'], default: 'en' },
+  // English summary for staff when the email is not in English
+  summaryEn: String,
+  // Model and prompt that produced category/urgency/extractedData, e.g. "openai:gpt-3.5-turbo@p4"
+  processingVersion: { type: String, index: true },
+  processedAt: Date,
+  // Re-runs of the analysis (services/reprocess.js); unapplied entries are proposals awaiting review
+  analysisHistory: [{
+    processingVersion: String,
+    analyzedAt: Date,
+    category: String,
+    urgency: String,
+    requiresAction: Boolean,
+    folderLabel: String,
+    extractedData: mongoose.Schema.Types.Mixed,
+    applied: { type: Boolean, default: false },
+    appliedFields: [String],
+    appliedAt: Date,
+    appliedBy: String,
+    // Values the applied fields replaced
+    previous: mongoose.Schema.Types.Mixed
+  }],
+  // Sensitive tokens masked before the body was sent to the LLM, e.g. "sin x1"
+  redactions: [String],
+  requiresAction: Boolean,
+  actionTaken: String,
+  assignee: String,
+  // Changes staff made from the inbox (category, urgency, assignee, requiresAction), oldest first
+  edits: [{
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    by: String,
+    at: Date
+  }],
+  // Why this email must never get an automatic reply (mailing list, bounce, out-of-office, system sender)
+  noReplyReason: String,
+  // Response-time target: dueAt is set when the email needs action, respondedAt when it is answered
+  sla: {
+    targetHours: Number,
+    dueAt: Date,
+    respondedAt: Date,
+    escalationLevel: { type: Number, default: 0 },
+    escalations: [{
+      level: Number,
+      at: Date,
+      reason: String,
+      notified: [String]
+    }]
+  },
+  // Routing rules that matched, in the order they ran
+  ruleMatches: [{
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Rule' },
+    name: String,
+    actions: mongoose.Schema.Types.Mixed,
+    matchedAt: { type: Date, default: Date.now }
+  }],
+  // AI-drafted reply waiting for (or past) human review
+  reply: {
+    status: {
+      type: String,
+      // sending: claimed by one approval while it is handed to the outbox
+      enum: ['none', 'pending', 'rejected', 'sending', 'queued', 'sent', 'failed', 'suppressed'],
+      default: 'none'
+    },
+    subject: String,
+    draft: String,
+    // Language the reply is written in (the parent's preference, else the email's language)
+    language: { type: String, enum: ['en', 'fr'], default: 'en' },
+    // Template the draft was built from (the version is the one that was sent)
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ResponseTemplate' },
+    templateKey: String,
+    templateVersion: Number,
+    mergeFields: mongoose.Schema.Types.Mixed,
+    // Why the draft must be reviewed by a person, e.g. "reply contains a link"
+    flags: [String],
+    editedBy: String,
+    editedAt: Date,
+    // Written by staff in the inbox composer, so it goes out without the automated-reply footer
+    composedBy: String,
+    approvedBy: String,
+    approvedAt: Date,
+    autoApproved: { type: Boolean, default: false },
+    rejectedBy: String,
+    rejectedAt: Date,
+    rejectionReason: String,
+    // Loop protection stopped the reply (see services/reply-guard.js)
+    suppressedReason: String,
+    suppressedAt: Date,
+    sentAt: Date,
+    // Outbox message carrying the approved reply; queued while it is being retried
+    outboundId: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboundMessage' },
+    error: String
+  }
+});
+
+emailSchema.index({ 'reply.status': 1, received: -1 });
+emailSchema.index({ category: 1, received: -1 });
+emailSchema.index({ requiresAction: 1, received: -1 });
+emailSchema.index({ requiresAction: 1, 'sla.dueAt': 1 });
+emailSchema.index({ 'reconciliation.status': 1, received: 1 });
+emailSchema.index({ threadId: 1, received: 1 });
+
+// Answered (or still open) before the due time
+emailSchema.virtual('isWithinSLA').get(function() {
+  if (!this.sla?.dueAt) return true;
+  return (this.sla.respondedAt || new Date()) <= this.sla.dueAt;
+});
+
+// Open emails past their due time
+emailSchema.statics.findOverdue = function(now = new Date()) {
+  return this.find({
+    requiresAction: true,
+    'sla.dueAt': { $lt: now },
+    'sla.respondedAt': null
+  }).sort({ 'sla.dueAt': 1 });
+};
+
+// Raise urgency one step and record who was told
+emailSchema.methods.escalate = function(reason, notified = []) {
+  const levels = ['low', 'medium', 'high'];
+  const index = levels.indexOf(this.urgency);
+  if (index !== -1 && index < levels.length - 1) {
+    this.urgency = levels[index + 1];
+  }
+
+  this.sla.escalationLevel = (this.sla.escalationLevel || 0) + 1;
+  this.sla.escalations.push({ level: this.sla.escalationLevel, at: new Date(), reason, notified });
+  return this.save();
+};
+
+module.exports = mongoose.models.Email || mongoose.model('Email', emailSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One call to a language model, with what it cost
+const llmUsageSchema = new mongoose.Schema({
+  // What the call was for: triage, reprocess, newsletter, insights...
+  feature: { type: String, required: true },
+  provider: String,
+  model: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  // Estimated, in USD, from the price table in services/llm-usage.js
+  cost: { type: Number, default: 0 },
+  durationMs: Number,
+  success: { type: Boolean, default: true },
+  error: String,
+  // Email the call was made for, when there is one
+  messageId: { type: String, index: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+llmUsageSchema.index({ createdAt: -1, feature: 1 });
+
+module.exports = mongoose.models.LlmUsage || mongoose.model('LlmUsage', llmUsageSchema);
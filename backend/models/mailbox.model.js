@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const SECRET_FIELDS = ['credentials.clientSecret', 'credentials.refreshToken', 'smtp.pass'];
+
+// A monitored school inbox such as admissions@ or billing@, on top of the default mailbox
+// configured by the GMAIL_* / MAILBOX_* env vars (see services/mailboxes.js)
+const mailboxSchema = new mongoose.Schema({
+  // Short key kept on every email that arrives here, e.g. "admissions"
+  name: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  address: { type: String, required: true, lowercase: true, trim: true },
+  type: { type: String, enum: ['gmail', 'maildir', 'mbox'], default: 'gmail' },
+  enabled: { type: Boolean, default: true },
+  // Gmail OAuth; client id, secret and redirect URI fall back to the GMAIL_* env vars
+  credentials: {
+    clientId: String,
+    clientSecret: String,
+    redirectUri: String,
+    refreshToken: String
+  },
+  // Maildir directory or mbox file, and the SMTP server replies go out through (local mailboxes)
+  path: String,
+  smtp: {
+    host: String,
+    port: Number,
+    secure: Boolean,
+    user: String,
+    pass: String
+  },
+  // sync: Gmail history sync; poll: check unread mail (the only mode for local mailboxes)
+  schedule: {
+    // Local mailboxes are switched to poll by applyMailboxChanges
+    mode: { type: String, enum: ['sync', 'poll'], default: 'sync' },
+    intervalMinutes: { type: Number, default: 1, min: 1 }
+  },
+  // Categories emails here can be filed under; empty allows all
+  categories: [String],
+  defaultAssignee: { type: String, lowercase: true, trim: true },
+  // Categories whose drafts go out without review; unset uses the school-wide setting
+  autoSendCategories: { type: [String], default: undefined },
+  // Added under every reply sent from this mailbox
+  signature: String,
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+// Secrets never go back to the browser; secretsSet lists the ones that are filled in
+mailboxSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.secretsSet = SECRET_FIELDS.filter(path => doc.get(path));
+    for (const path of SECRET_FIELDS) {
+      const [group, field] = path.split('.');
+      if (ret[group]) delete ret[group][field];
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.models.Mailbox || mongoose.model('Mailbox', mailboxSchema);
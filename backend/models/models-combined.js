@@ -7,6 +7,10 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true },
   role: { type: String, enum: ['admin', 'teacher', 'parent'], default: 'parent' },
   name: { type: String, required: true },
+  // Language for emails to this parent; unset means "answer in the language they wrote in"
+  preferences: {
+    language: { type: String, enum: ['en', 'fr'] }
+  },
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now }
 });
@@ -21,50 +25,15 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
-// Student Schema (simplified)
-const studentSchema = new mongoose.Schema({
-  firstName: { type: String, required: true },
-  lastName: { type: String, required: true },
-  dateOfBirth: { type: Date, required: true },
-  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  classroom: { type: String },
-  enrollmentStatus: { type: String, enum: ['active', 'inactive', 'waitlist'], default: 'active' },
-  enrollmentDate: { type: Date, default: Date.now },
-  notes: String,
-  createdAt: { type: Date, default: Date.now }
-});
-
-// Payment Schema (simplified)
-const paymentSchema = new mongoose.Schema({
-  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
-  amount: { type: Number, required: true },
-  type: { type: String, enum: ['tuition', 'fee', 'other'], required: true },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' },
-  dueDate: Date,
-  paidDate: Date,
-  description: String,
-  createdAt: { type: Date, default: Date.now }
-});
-
-// Email Schema (for AI monitoring)
-const emailSchema = new mongoose.Schema({
-  messageId: { type: String, unique: true },
-  from: { type: String, required: true },
-  to: String,
-  subject: String,
-  body: String,
-  received: { type: Date, default: Date.now },
-  processed: { type: Boolean, default: false },
-  category: { type: String, enum: ['inquiry', 'payment', 'absence', 'general', 'urgent'] },
-  aiResponse: String,
-  requiresAction: { type: Boolean, default: false },
-  actionTaken: String,
-  createdAt: { type: Date, default: Date.now }
-});
+// Student, Payment and Email have their own files; they are re-exported here so every
+// require registers the same schema whatever order the modules load in
+const Student = require('./student.model');
+const Payment = require('./payment.model');
+const Email = require('./email.model');
 
 module.exports = {
-  User: mongoose.model('User', userSchema),
-  Student: mongoose.model('Student', studentSchema),
-  Payment: mongoose.model('Payment', paymentSchema),
-  Email: mongoose.model('Email', emailSchema)
+  User: mongoose.models.User || mongoose.model('User', userSchema),
+  Student,
+  Payment,
+  Email
 };
\ No newline at end of file
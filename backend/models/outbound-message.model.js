@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// An email the app sends, kept until it is delivered or given up on (see services/outbox.js)
+const outboundMessageSchema = new mongoose.Schema({
+  // What sent it: reply, tour-invite, sla-escalation, budget-alert...
+  kind: { type: String, required: true, index: true },
+  // The email this answers, for replies
+  emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+  // Mailbox it is sent from (a Mailbox name, or default); empty uses the default mailbox
+  mailbox: String,
+  to: { type: String, required: true },
+  subject: String,
+  text: String,
+  html: String,
+  inReplyTo: String,
+  references: String,
+  // Calendar invite, as nodemailer takes it: { method, filename, content }
+  icalEvent: mongoose.Schema.Types.Mixed,
+  // failed means retries are used up; staff can resend from the outbox page
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // When a sender claimed it; a claim older than the lock timeout is retried
+  lockedAt: Date,
+  lastError: String,
+  failures: [{
+    at: { type: Date, default: Date.now },
+    error: String
+  }],
+  sentAt: Date,
+  // Message-ID given by the mail server
+  providerMessageId: String,
+  createdBy: String,
+  resentBy: String,
+  resentAt: Date
+}, { timestamps: true });
+
+outboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.OutboundMessage || mongoose.model('OutboundMessage', outboundMessageSchema);
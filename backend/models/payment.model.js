@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// The invoice number and transaction log are what reconciliation writes through markAsPaid.
+// Also exported from models-combined.
+const paymentSchema = new mongoose.Schema({
+  invoiceNumber: { type: String, unique: true, sparse: true, trim: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true, index: true },
+  amount: { type: Number, required: true },
+  type: { type: String, enum: ['tuition', 'fee', 'other'], required: true },
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending', index: true },
+  dueDate: Date,
+  paidDate: Date,
+  description: String,
+  transactions: [{
+    transactionId: String, // E-transfer or bank reference
+    processor: String, // 'e-transfer', 'manual'
+    processedAt: Date,
+    amount: Number,
+    status: { type: String, enum: ['pending', 'succeeded', 'failed', 'cancelled', 'refunded'] },
+    // Email the payment was reported in
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' }
+  }],
+  modifiedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+paymentSchema.index({ studentId: 1, status: 1, amount: 1 });
+
+// Record the transaction and close the invoice
+paymentSchema.methods.markAsPaid = function(transactionData, userId) {
+  this.status = 'completed';
+  this.paidDate = transactionData.processedAt || new Date();
+  this.transactions.push({
+    ...transactionData,
+    processedAt: transactionData.processedAt || new Date(),
+    status: 'succeeded'
+  });
+  this.modifiedBy = userId;
+
+  return this.save();
+};
+
+module.exports = mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Reply template with {{mergeField}} placeholders. Every edit bumps the version and keeps the old text.
+const responseTemplateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true, lowercase: true, trim: true, match: /^[a-z0-9_]+$/ },
+  name: { type: String, required: true },
+  // Tells the AI when to pick this template
+  description: String,
+  categories: [{ type: String, enum: ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'] }],
+  subject: { type: String, required: true },
+  body: { type: String, required: true },
+  // Other languages; subject/body above are English. Missing translations fall back to English.
+  translations: {
+    fr: { subject: String, body: String }
+  },
+  active: { type: Boolean, default: true },
+  version: { type: Number, default: 1 },
+  // What changed in the current version
+  note: String,
+  versions: [{
+    version: Number,
+    subject: String,
+    body: String,
+    translations: mongoose.Schema.Types.Mixed,
+    updatedBy: String,
+    updatedAt: Date,
+    note: String
+  }],
+  updatedBy: String
+}, { timestamps: true });
+
+// Translations as a plain object, without empty languages
+function plainTranslations(translations) {
+  const plain = JSON.parse(JSON.stringify(translations || {}));
+  return Object.fromEntries(Object.entries(plain).filter(([, text]) => text && (text.subject || text.body)));
+}
+
+// Save new subject/body (or translations) as the next version, archiving the current one
+responseTemplateSchema.methods.revise = function({ subject, body, translations, note }, updatedBy) {
+  const changed = (subject !== undefined && subject !== this.subject)
+    || (body !== undefined && body !== this.body)
+    || (translations !== undefined && JSON.stringify(plainTranslations(translations)) !== JSON.stringify(plainTranslations(this.translations)));
+  if (!changed) return false;
+
+  this.versions.push({
+    version: this.version,
+    subject: this.subject,
+    body: this.body,
+    translations: plainTranslations(this.translations),
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt,
+    note: this.note
+  });
+  if (subject !== undefined) this.subject = subject;
+  if (body !== undefined) this.body = body;
+  if (translations !== undefined) this.translations = translations;
+  this.version += 1;
+  this.note = note;
+  this.updatedBy = updatedBy;
+  return true;
+};
+
+// Text of a given version (the current one or from the history)
+responseTemplateSchema.methods.getVersion = function(version) {
+  if (Number(version) === this.version) {
+    return { version: this.version, subject: this.subject, body: this.body, translations: plainTranslations(this.translations) };
+  }
+  return this.versions.find(v => v.version === Number(version)) || null;
+};
+
+module.exports = mongoose.models.ResponseTemplate || mongoose.model('ResponseTemplate', responseTemplateSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const CONDITION_FIELDS = ['from', 'domain', 'subject', 'body', 'header'];
+const OPERATORS = ['contains', 'equals', 'startsWith', 'endsWith', 'matches'];
+
+// Admin-defined routing rule, evaluated before the AI sees an email
+const ruleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: String,
+  enabled: { type: Boolean, default: true },
+  // Lower runs first; earlier rules win when two set the same action
+  priority: { type: Number, default: 100 },
+  // all: every condition must hold, any: one is enough
+  match: { type: String, enum: ['all', 'any'], default: 'all' },
+  conditions: [{
+    field: { type: String, enum: CONDITION_FIELDS, required: true },
+    header: String, // Header name when field is "header"
+    operator: { type: String, enum: OPERATORS, default: 'contains' },
+    value: { type: String, required: true }
+  }],
+  actions: {
+    category: { type: String, enum: ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'] },
+    urgency: { type: String, enum: ['high', 'medium', 'low'] },
+    label: String,
+    assignee: String,
+    skipAutoRespond: { type: Boolean, default: false },
+    skipAI: { type: Boolean, default: false }
+  },
+  // Stop evaluating lower-priority rules after this one matches
+  stopProcessing: { type: Boolean, default: false },
+  matchCount: { type: Number, default: 0 },
+  lastMatchedAt: Date,
+  createdBy: String,
+  updatedBy: String
+}, { timestamps: true });
+
+ruleSchema.index({ enabled: 1, priority: 1 });
+
+module.exports = mongoose.models.Rule || mongoose.model('Rule', ruleSchema);
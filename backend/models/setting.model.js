@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Admin-editable key/value settings
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: String,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+settingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy, updatedAt: new Date() },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.models.Setting || mongoose.model('Setting', settingSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Parent addresses are used to match inbound email to a child; the attendance log is
+// written from absence emails. Also exported from models-combined.
+const studentSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  dateOfBirth: { type: Date, required: true },
+  parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  parentEmails: [{ type: String, lowercase: true, trim: true }],
+  classroom: { type: String },
+  enrollmentStatus: { type: String, enum: ['active', 'inactive', 'waitlist'], default: 'active' },
+  enrollmentDate: { type: Date, default: Date.now },
+  notes: String,
+  // One entry per school day; dates are stored as midnight UTC of the calendar day
+  attendance: [{
+    date: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ['present', 'absent', 'late', 'early-dismissal'],
+      required: true
+    },
+    timeIn: Date,
+    timeOut: Date,
+    notes: String,
+    excused: { type: Boolean, default: false },
+    reason: String,
+    // Email the absence was reported in
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+    recordedBy: String
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+studentSchema.index({ parentEmails: 1 });
+studentSchema.index({ 'attendance.date': 1 });
+
+module.exports = mongoose.models.Student || mongoose.model('Student', studentSchema);
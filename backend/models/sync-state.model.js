@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Per-mailbox checkpoint for incremental Gmail sync
+const syncStateSchema = new mongoose.Schema({
+  mailbox: { type: String, required: true, unique: true },
+  historyId: String,
+  pendingMessageIds: [String],
+  // Failed runs per pending message id; a message is given up on after GMAIL_MAX_MESSAGE_ATTEMPTS
+  messageAttempts: { type: Map, of: Number },
+  lastSyncAt: Date,
+  lastFullSyncAt: Date
+});
+
+module.exports = mongoose.models.SyncState || mongoose.model('SyncState', syncStateSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A tour time staff publish; parents are offered the open ones in email replies
+const tourSlotSchema = new mongoose.Schema({
+  start: { type: Date, required: true },
+  durationMinutes: { type: Number, default: 45, min: 5 },
+  // Families per tour
+  capacity: { type: Number, default: 1, min: 1 },
+  // Active bookings, kept in step with `bookings` so booking can check capacity atomically
+  bookedCount: { type: Number, default: 0 },
+  published: { type: Boolean, default: true },
+  location: String,
+  notes: String,
+  bookings: [{
+    parentName: String,
+    parentEmail: { type: String, lowercase: true, trim: true },
+    childName: String,
+    waitlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Waitlist' },
+    // Email the parent confirmed in, and its thread for the invite
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+    threadId: String,
+    // Mailbox the parent wrote to; invites and cancellations go out from it
+    mailbox: String,
+    status: { type: String, enum: ['booked', 'cancelled', 'completed', 'no-show'], default: 'booked' },
+    bookedAt: { type: Date, default: Date.now },
+    bookedBy: String, // 'email' when booked from the parent's reply
+    inviteSentAt: Date,
+    inviteError: String,
+    // Calendar invites for the same booking share this sequence (updates, cancellation)
+    inviteSequence: { type: Number, default: 0 }
+  }],
+  createdBy: String
+}, { timestamps: true });
+
+tourSlotSchema.index({ published: 1, start: 1 });
+tourSlotSchema.index({ 'bookings.parentEmail': 1 });
+
+tourSlotSchema.virtual('end').get(function() {
+  return new Date(this.start.getTime() + this.durationMinutes * 60 * 1000);
+});
+
+tourSlotSchema.virtual('spotsLeft').get(function() {
+  return Math.max(this.capacity - this.bookedCount, 0);
+});
+
+// Published slots with room, soonest first; `after` keeps same-day slots out of offers
+tourSlotSchema.statics.findOpen = function(after = new Date(), limit = 5) {
+  return this.find({
+    published: true,
+    start: { $gt: after },
+    $expr: { $lt: ['$bookedCount', '$capacity'] }
+  }).sort({ start: 1 }).limit(limit);
+};
+
+tourSlotSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.models.TourSlot || mongoose.model('TourSlot', tourSlotSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const Helpers = require('../utils/helpers');
 
 const waitlistSchema = new mongoose.Schema({
   parentName: String,
@@ -8,11 +9,52 @@ const waitlistSchema = new mongoose.Schema({
   childBirthDate: Date,
   preferredStartDate: String,
   programType: String,
+  postalCode: String,
   emailId: String,
+  // Every email that resolved to this entry (emailId is the first one)
+  emailIds: [String],
+  threadIds: [String],
   receivedDate: { type: Date, default: Date.now },
   status: { type: String, enum: ['pending', 'contacted', 'enrolled', 'withdrawn'], default: 'pending' },
   priority: { type: String, enum: ['urgent', 'normal', 'low'], default: 'normal' },
-  notes: String
+  notes: String,
+  // School tour, kept up to date by tour bookings (services/tours.js)
+  tourInfo: {
+    requested: Boolean,
+    scheduled: Date,
+    tourSlotId: { type: mongoose.Schema.Types.ObjectId, ref: 'TourSlot' },
+    completed: Boolean,
+    completedDate: Date,
+    feedback: String,
+    showedInterest: Boolean
+  },
+  // AI extraction quality: per-field { value, confidence, valid, issue }
+  extraction: mongoose.Schema.Types.Mixed,
+  needsReview: { type: Boolean, default: false, index: true },
+  reviewReasons: [String],
+  reviewedBy: String,
+  reviewedAt: Date,
+  // Last time a duplicate entry was merged into this one
+  mergedBy: String,
+  mergedAt: Date,
+  // Matching keys for duplicate detection
+  normalized: {
+    parentEmail: { type: String, index: true },
+    parentPhone: { type: String, index: true },
+    childName: { type: String, index: true }
+  }
 });
 
-module.exports = mongoose.models.Waitlist || mongoose.model('Waitlist', waitlistSchema);
\ No newline at end of file
+waitlistSchema.pre('validate', function(next) {
+  this.normalized = {
+    parentEmail: Helpers.normalizeEmail(this.parentEmail),
+    parentPhone: Helpers.normalizePhone(this.parentPhone),
+    childName: Helpers.normalizeName(this.childName)
+  };
+  if (this.emailId && !this.emailIds.includes(this.emailId)) {
+    this.emailIds.unshift(this.emailId);
+  }
+  next();
+});
+
+module.exports = mongoose.models.Waitlist || mongoose.model('Waitlist', waitlistSchema);
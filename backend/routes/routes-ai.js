@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const LlmUsage = require('../models/llm-usage.model');
+const Setting = require('../models/setting.model');
+const { monthStart, getBudgetStatus, getUsageReport } = require('../services/llm-usage');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+// Tokens and cost per day and feature; defaults to the current month
+router.get('/usage', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : monthStart(to);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    res.json({
+      ...(await getUsageReport(from, to)),
+      budget: await getBudgetStatus({ refresh: true })
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Individual calls, newest first (?messageId= for one email, ?feature= for one feature)
+router.get('/usage/calls', async (req, res) => {
+  try {
+    const { messageId, feature } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const filter = {};
+    if (messageId) filter.messageId = messageId;
+    if (feature) filter.feature = feature;
+
+    const calls = await LlmUsage.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json(calls);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/budget', async (req, res) => {
+  try {
+    res.json(await getBudgetStatus({ refresh: true }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Monthly budget in USD; 0 removes the cap
+router.put('/budget', async (req, res) => {
+  try {
+    const { monthlyBudget } = req.body;
+    if (typeof monthlyBudget !== 'number' || monthlyBudget < 0) {
+      return res.status(400).json({ message: 'monthlyBudget must be a number of dollars (0 for no cap)' });
+    }
+
+    await Setting.setValue('llmMonthlyBudget', monthlyBudget, req.userEmail || req.userId);
+    res.json(await getBudgetStatus({ refresh: true }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const Email = require('../models/email.model');
+const Waitlist = require('../models/waitlist.model');
+const { getFileStore, downloadMissing } = require('../services/attachments');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const toListItem = (email, attachment) => ({
+  _id: attachment._id,
+  emailId: email._id,
+  messageId: email.messageId,
+  from: email.from,
+  subject: email.subject,
+  received: email.received,
+  studentId: email.studentId,
+  filename: attachment.filename,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  downloaded: attachment.downloaded,
+  error: attachment.error
+});
+
+// Attachments of a waitlist entry's emails, a student's emails or one message
+router.get('/', async (req, res) => {
+  try {
+    const { waitlistId, studentId, messageId } = req.query;
+    const filter = { 'attachments.0': { $exists: true } };
+
+    if (waitlistId) {
+      const entry = await Waitlist.findById(waitlistId);
+      if (!entry) {
+        return res.status(404).json({ message: 'Waitlist entry not found' });
+      }
+      filter.messageId = { $in: entry.emailIds?.length ? entry.emailIds : [entry.emailId] };
+    } else if (studentId) {
+      filter.studentId = studentId;
+    } else if (messageId) {
+      filter.messageId = messageId;
+    } else {
+      return res.status(400).json({ message: 'waitlistId, studentId or messageId is required' });
+    }
+
+    const emails = await Email.find(filter).sort({ received: -1 });
+    res.json(emails.flatMap(email => email.attachments.map(attachment => toListItem(email, attachment))));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Types safe to open in the browser; svg is left out because it can carry script
+const INLINE_TYPES = /^(image\/(png|jpe?g|gif|webp|bmp|heic)|application\/pdf|text\/plain)$/;
+
+// Stream the file; ?download=1 saves it instead of opening it in the browser.
+// Types outside INLINE_TYPES are always downloaded.
+router.get('/:emailId/:attachmentId', async (req, res) => {
+  try {
+    const email = await Email.findById(req.params.emailId);
+    const attachment = email?.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Fetch from the mailbox again if the first download failed
+    if (!attachment.downloaded) {
+      const emailAI = req.app.get('emailAI');
+      if (!emailAI) {
+        return res.status(503).json({ message: `Attachment was not downloaded${attachment.error ? `: ${attachment.error}` : ''}` });
+      }
+      // The email's mailbox may have been removed or disabled since it arrived
+      const mailbox = emailAI.getMailbox(email.mailbox);
+      if (!mailbox) {
+        return res.status(503).json({ message: `Attachment was not downloaded and mailbox ${email.mailbox || 'default'} is not being monitored` });
+      }
+      await downloadMissing(mailbox, email, attachment);
+      if (!attachment.downloaded) {
+        return res.status(502).json({ message: `Attachment could not be downloaded: ${attachment.error}` });
+      }
+    }
+
+    // The type comes from the sender: anything that could run script (html, svg...) is only ever downloaded
+    const mimeType = (attachment.mimeType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    const inline = !req.query.download && INLINE_TYPES.test(mimeType);
+    res.set({
+      'Content-Type': inline ? mimeType : 'application/octet-stream',
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    // A sandboxed response has no access to the API origin; browsers will not show PDFs sandboxed
+    if (mimeType !== 'application/pdf') res.set('Content-Security-Policy', 'sandbox');
+
+    const stream = getFileStore().createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading attachment:', error);
+      if (!res.headersSent) {
+        res.status(404).json({ message: 'Attachment file is missing from storage' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../models/student.model');
+const { getClassList } = require('../services/absences');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+// Class list for one day (?date=YYYY-MM-DD, default today), with absences reported by email
+router.get('/class-list', async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : undefined;
+    if (date && isNaN(date)) {
+      return res.status(400).json({ message: 'date must be YYYY-MM-DD' });
+    }
+
+    res.json(await getClassList(date, req.query.classroom));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove an attendance entry recorded by mistake
+router.delete('/students/:studentId/entries/:entryId', async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId);
+    const entry = student?.attendance.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Attendance entry not found' });
+    }
+
+    entry.deleteOne();
+    await student.save();
+    res.json({ message: 'Attendance entry removed' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const Email = require('../models/email.model');
+const Setting = require('../models/setting.model');
+const { getConversation, listThreads } = require('../services/conversation');
+const { DEFAULT_SLA_HOURS, getSlaTargets, getSlaReport } = require('../services/sla');
+const { REPROCESS_FIELDS, reprocessEmails, applyReprocessed, getVersionSummary } = require('../services/reprocess');
+const { listInbox, validateEmailUpdate, updateEmail } = require('../services/inbox');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+// SLA breaches per category; defaults to the last 30 days
+router.get('/sla/report', async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    res.json(await getSlaReport(from, to));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Open emails past their due time, most overdue first
+router.get('/sla/overdue', async (req, res) => {
+  try {
+    const emails = await Email.findOverdue()
+      .select('messageId threadId from subject received category urgency assignee sla');
+    res.json(emails);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Response-time targets in hours, per category
+router.get('/sla/settings', async (req, res) => {
+  try {
+    res.json({ slaHours: await getSlaTargets(), defaults: DEFAULT_SLA_HOURS });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.put('/sla/settings', async (req, res) => {
+  try {
+    const { slaHours } = req.body;
+    const entries = Object.entries(slaHours || {});
+    const invalid = entries.filter(([category, hours]) =>
+      !Object.keys(DEFAULT_SLA_HOURS).includes(category) || typeof hours !== 'number' || hours <= 0);
+    if (!entries.length || invalid.length) {
+      return res.status(400).json({ message: 'slaHours must map known categories to a positive number of hours' });
+    }
+
+    await Setting.setValue('slaHours', Object.fromEntries(entries), req.userEmail || req.userId);
+    res.json({ slaHours: await getSlaTargets(), defaults: DEFAULT_SLA_HOURS });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Emails per processing version, to compare prompt/model changes over time
+router.get('/reprocess/versions', async (req, res) => {
+  try {
+    res.json(await getVersionSummary());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Re-run the analysis over { from, to, category, processingVersion, ids }. Dry run unless dryRun is false.
+router.post('/reprocess', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    if (!emailAI) {
+      return res.status(503).json({ message: 'Email AI is not configured' });
+    }
+
+    const { from, to, category, processingVersion, ids, limit, dryRun } = req.body;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    const result = await reprocessEmails(
+      emailAI,
+      { from, to, category, processingVersion, ids },
+      { dryRun: dryRun !== false, limit, by: req.userEmail || req.userId }
+    );
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Apply reviewed dry-run results: { emails: [{ emailId, fields }] }
+router.post('/reprocess/apply', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    if (!emailAI) {
+      return res.status(503).json({ message: 'Email AI is not configured' });
+    }
+
+    const { emails } = req.body;
+    const invalid = !Array.isArray(emails) || emails.some(e =>
+      !e.emailId || (e.fields && (!Array.isArray(e.fields) || e.fields.some(f => !REPROCESS_FIELDS.includes(f)))));
+    if (invalid) {
+      return res.status(400).json({ message: `emails must be [{ emailId, fields }] with fields from: ${REPROCESS_FIELDS.join(', ')}` });
+    }
+
+    res.json(await applyReprocessed(emailAI, emails, req.userEmail || req.userId));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Labels of one mailbox (?mailbox=name, default mailbox otherwise)
+const labelMailbox = (req, res) => {
+  const emailAI = req.app.get('emailAI');
+  if (!emailAI) {
+    res.status(503).json({ message: 'Email AI is not configured' });
+    return null;
+  }
+
+  const mailbox = emailAI.getMailbox(req.query.mailbox);
+  if (!mailbox) {
+    res.status(404).json({ message: `Mailbox ${req.query.mailbox} is not being monitored` });
+    return null;
+  }
+  if (!mailbox.getLabels) {
+    res.status(400).json({ message: 'Only Gmail mailboxes have a label list' });
+    return null;
+  }
+  return mailbox;
+};
+
+// Mailbox labels as the app has them cached
+router.get('/labels', async (req, res) => {
+  try {
+    const mailbox = labelMailbox(req, res);
+    if (!mailbox) return;
+
+    res.json(await mailbox.getLabels());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reload the label cache, e.g. after labels were renamed or deleted in Gmail
+router.post('/labels/refresh', async (req, res) => {
+  try {
+    const mailbox = labelMailbox(req, res);
+    if (!mailbox) return;
+
+    res.json(await mailbox.refreshLabels());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Conversations grouped by thread, most recent activity first
+router.get('/threads', async (req, res) => {
+  try {
+    const { status, category } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    res.json(await listThreads({ status, category, page, limit }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Full conversation for one thread
+router.get('/threads/:threadId', async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.threadId);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+    res.json(conversation);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Mark every message in the thread as handled
+router.put('/threads/:threadId/resolve', async (req, res) => {
+  try {
+    const result = await Email.updateMany(
+      { threadId: req.params.threadId },
+      { requiresAction: false }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Thread not found' });
+    }
+
+    // Resolving counts as the response for SLA purposes
+    await Email.updateMany(
+      { threadId: req.params.threadId, 'sla.dueAt': { $ne: null }, 'sla.respondedAt': null },
+      { 'sla.respondedAt': new Date() }
+    );
+    res.json(await getConversation(req.params.threadId));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Shared inbox, newest first: ?mailbox&category&urgency&requiresAction=true|false&assignee&q&page&limit
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 25, 100);
+    res.json(await listInbox(req.query, { page, limit }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// One email with its analysis, extracted data and drafted reply
+router.get('/:id', async (req, res) => {
+  try {
+    const email = await Email.findById(req.params.id)
+      .select('-rawBody -analysisHistory')
+      .populate('studentId', 'firstName lastName classroom');
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+    res.json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Re-categorize, change urgency, assign, or mark handled: { category, urgency, assignee, requiresAction }
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = validateEmailUpdate(req.body);
+    if (errors.length) {
+      return res.status(400).json({ message: 'Invalid update', errors });
+    }
+
+    const email = await Email.findById(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    await updateEmail(req.app.get('emailAI'), email, req.body, req.userEmail || req.userId);
+    res.json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Send a reply written (or edited from the AI suggestion) in the inbox composer: { text }
+router.post('/:id/reply', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    if (!emailAI) {
+      return res.status(503).json({ message: 'Email sending is not configured' });
+    }
+
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'text is required' });
+    }
+
+    let email = await Email.findById(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+    if (['sending', 'sent', 'queued'].includes(email.reply?.status)) {
+      return res.status(409).json({ message: `A reply was already ${email.reply.status} for this email` });
+    }
+
+    const by = req.userEmail || req.userId;
+    // A pending AI draft keeps its template and subject; otherwise this starts a new reply.
+    // The update is conditional so it never resets a reply another request has started.
+    if (!['pending', 'failed'].includes(email.reply?.status)) {
+      email = await Email.findOneAndUpdate(
+        { _id: email._id, 'reply.status': { $nin: ['pending', 'failed', 'sending', 'queued', 'sent'] } },
+        { reply: { status: 'pending', language: email.language, flags: [] } },
+        { new: true }
+      ) || email;
+    }
+    email.reply.composedBy = by;
+    try {
+      await emailAI.approveReply(email, { approvedBy: by, draft: text });
+    } catch (error) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    // Same statuses as approving from the review queue
+    const status = { sent: 200, queued: 202, suppressed: 409 }[email.reply.status] || 502;
+    res.status(status).json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
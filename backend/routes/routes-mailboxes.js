@@ -0,0 +1,130 @@
+const express = require('express');
+const router = express.Router();
+const Mailbox = require('../models/mailbox.model');
+const Email = require('../models/email.model');
+const SyncState = require('../models/sync-state.model');
+const { isMailboxConfigured } = require('../services/mailbox');
+const { DEFAULT_MAILBOX, applyMailboxChanges, validateMailbox } = require('../services/mailboxes');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const editor = (req) => req.userEmail || req.userId;
+
+// Restart monitoring after a change; without a running service the change applies at the next start
+async function reload(req) {
+  const emailAI = req.app.get('emailAI');
+  if (!emailAI) return false;
+  await emailAI.loadMailboxes();
+  return true;
+}
+
+const saveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'A mailbox with this name already exists' });
+  }
+  const status = error.name === 'ValidationError' ? 400 : 500;
+  res.status(status).json({ message: error.message });
+};
+
+// The env-configured default mailbox and every mailbox in the collection, with whether each is
+// being monitored and when it last synced
+router.get('/', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    const mailboxes = await Mailbox.find().sort({ createdAt: 1 });
+    const states = await SyncState.find({ mailbox: { $in: mailboxes.map(m => `gmail:${m.address}`) } });
+
+    res.json({
+      default: isMailboxConfigured() ? {
+        name: DEFAULT_MAILBOX,
+        type: process.env.MAILBOX_TYPE || 'gmail',
+        address: process.env.GMAIL_USER || process.env.MAILBOX_ADDRESS,
+        monitoring: Boolean(emailAI?.monitors.has(DEFAULT_MAILBOX))
+      } : null,
+      mailboxes: mailboxes.map(mailbox => ({
+        ...mailbox.toJSON(),
+        monitoring: Boolean(emailAI?.monitors.has(mailbox.name)),
+        lastSyncAt: states.find(state => state.mailbox === `gmail:${mailbox.address}`)?.lastSyncAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const mailbox = await Mailbox.findById(req.params.id);
+    if (!mailbox) {
+      return res.status(404).json({ message: 'Mailbox not found' });
+    }
+    res.json(mailbox);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const mailbox = applyMailboxChanges(new Mailbox({ createdBy: editor(req), updatedBy: editor(req) }), req.body);
+
+    const errors = validateMailbox(mailbox);
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; '), errors });
+    }
+
+    await mailbox.save();
+    const monitoring = await reload(req);
+    res.status(201).json({ ...mailbox.toJSON(), monitoring });
+  } catch (error) {
+    saveError(res, error);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const mailbox = await Mailbox.findById(req.params.id);
+    if (!mailbox) {
+      return res.status(404).json({ message: 'Mailbox not found' });
+    }
+    // Emails keep the name they arrived under
+    if (req.body.name !== undefined && req.body.name !== mailbox.name) {
+      return res.status(400).json({ message: 'A mailbox cannot be renamed' });
+    }
+
+    applyMailboxChanges(mailbox, req.body);
+    mailbox.updatedBy = editor(req);
+    const errors = validateMailbox(mailbox);
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; '), errors });
+    }
+
+    await mailbox.save();
+    const monitoring = await reload(req);
+    res.json({ ...mailbox.toJSON(), monitoring });
+  } catch (error) {
+    saveError(res, error);
+  }
+});
+
+// Only mailboxes no email arrived in can be deleted; disable the others
+router.delete('/:id', async (req, res) => {
+  try {
+    const mailbox = await Mailbox.findById(req.params.id);
+    if (!mailbox) {
+      return res.status(404).json({ message: 'Mailbox not found' });
+    }
+    if (await Email.exists({ mailbox: mailbox.name })) {
+      return res.status(409).json({ message: 'Emails arrived in this mailbox; disable it instead' });
+    }
+
+    await mailbox.deleteOne();
+    await reload(req);
+    res.json({ message: 'Mailbox deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const OutboundMessage = require('../models/outbound-message.model');
+const { getOutboxCounts } = require('../services/outbox');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const reviewer = (req) => req.userEmail || req.userId;
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// Outgoing mail, newest first (?status=failed by default, ?kind=reply)
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'failed', kind } = req.query;
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${STATUSES.join(', ')}` });
+    }
+
+    const filter = { status };
+    if (kind) filter.kind = kind;
+    const messages = await OutboundMessage.find(filter)
+      .select('-html -icalEvent')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(req.query.limit) || 100, 500));
+    res.json(messages);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Messages per status
+router.get('/counts', async (req, res) => {
+  try {
+    res.json(await getOutboxCounts());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const message = await OutboundMessage.findById(req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Send a failed message again, with a fresh set of retries
+router.post('/:id/resend', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    if (!emailAI) {
+      return res.status(503).json({ message: 'Email sending is not configured' });
+    }
+
+    const existing = await OutboundMessage.findById(req.params.id).select('status');
+    if (!existing) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const message = await emailAI.outbox.resend(req.params.id, reviewer(req));
+    if (!message) {
+      return res.status(409).json({ message: `Message is ${existing.status}, only failed messages can be resent` });
+    }
+    res.json(message);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const Email = require('../models/email.model');
+const Payment = require('../models/payment.model');
+const {
+  RECONCILIATION_STATUSES,
+  confirmReconciliation,
+  rejectReconciliation,
+  dismissReconciliation,
+  listReconciliations
+} = require('../services/reconciliation');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const reviewer = (req) => req.userEmail || req.userId;
+
+// Invoices, newest due date first (?status=pending, ?studentId=)
+router.get('/', async (req, res) => {
+  try {
+    const { status, studentId } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (studentId) filter.studentId = studentId;
+
+    const payments = await Payment.find(filter)
+      .populate('studentId', 'firstName lastName')
+      .sort({ dueDate: -1 })
+      .limit(500);
+    res.json(payments);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Payment emails awaiting confirmation (?status=proposed, the default) or the exceptions list (?status=exception)
+router.get('/reconciliation', async (req, res) => {
+  try {
+    const { status = 'proposed' } = req.query;
+    if (!RECONCILIATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${RECONCILIATION_STATUSES.join(', ')}` });
+    }
+
+    res.json(await listReconciliations(status));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Shared by the review actions: load the email, run the action, 409 when the state does not allow it
+const reviewAction = (action) => async (req, res) => {
+  try {
+    const email = await Email.findById(req.params.emailId);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    try {
+      await action(email, { ...req.body, by: reviewer(req) });
+    } catch (error) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Mark the proposed invoice paid, or another one ({ paymentId }) - required for exceptions
+router.post('/reconciliation/:emailId/confirm', reviewAction(confirmReconciliation));
+
+// Wrong match: move it to the exceptions list ({ reason })
+router.post('/reconciliation/:emailId/reject', reviewAction(rejectReconciliation));
+
+// Not a payment, or already handled elsewhere
+router.post('/reconciliation/:emailId/dismiss', reviewAction(dismissReconciliation));
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const Email = require('../models/email.model');
+const Setting = require('../models/setting.model');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const reviewer = (req) => req.userEmail || req.userId;
+
+// The monitoring service owns the mailbox used to send replies
+const getEmailAI = (req, res) => {
+  const emailAI = req.app.get('emailAI');
+  if (!emailAI) {
+    res.status(503).json({ message: 'Email sending is not configured' });
+  }
+  return emailAI;
+};
+
+// List drafted replies (pending by default)
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'pending', category } = req.query;
+    const filter = { 'reply.status': status };
+    if (category) filter.category = category;
+
+    const emails = await Email.find(filter).sort({ received: -1 });
+    res.json(emails);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Categories that may skip review
+router.get('/settings', async (req, res) => {
+  try {
+    const emailAI = req.app.get('emailAI');
+    const autoSendCategories = emailAI
+      ? await emailAI.getAutoSendCategories()
+      : await Setting.getValue('autoSendCategories', []);
+    res.json({ autoSendCategories });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const { autoSendCategories } = req.body;
+    if (!Array.isArray(autoSendCategories)) {
+      return res.status(400).json({ message: 'autoSendCategories must be an array' });
+    }
+
+    const categories = Email.schema.path('category').enumValues;
+    const invalid = autoSendCategories.filter(c => !categories.includes(c));
+    if (invalid.length) {
+      return res.status(400).json({ message: `Unknown categories: ${invalid.join(', ')}` });
+    }
+
+    await Setting.setValue('autoSendCategories', autoSendCategories, reviewer(req));
+    res.json({ autoSendCategories });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve and send several drafts at once
+router.post('/bulk-approve', async (req, res) => {
+  try {
+    const emailAI = getEmailAI(req, res);
+    if (!emailAI) return;
+
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const email = await Email.findById(id);
+      if (!email) {
+        results.push({ id, status: 'not-found' });
+        continue;
+      }
+      try {
+        await emailAI.approveReply(email, { approvedBy: reviewer(req) });
+        results.push({ id, status: email.reply.status });
+      } catch (error) {
+        results.push({ id, status: 'skipped', message: error.message });
+      }
+    }
+
+    res.json({ results });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Edit a pending draft
+router.put('/:id', async (req, res) => {
+  try {
+    const { draft } = req.body;
+    if (typeof draft !== 'string' || !draft.trim()) {
+      return res.status(400).json({ message: 'draft is required' });
+    }
+
+    const email = await Email.findOneAndUpdate(
+      { _id: req.params.id, 'reply.status': { $in: ['pending', 'failed'] } },
+      {
+        'reply.draft': draft,
+        'reply.editedBy': reviewer(req),
+        'reply.editedAt': new Date()
+      },
+      { new: true }
+    );
+
+    if (!email) {
+      return res.status(404).json({ message: 'Pending reply not found' });
+    }
+
+    res.json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve (optionally with a final edit) and send
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const emailAI = getEmailAI(req, res);
+    if (!emailAI) return;
+
+    const email = await Email.findById(req.params.id);
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    try {
+      await emailAI.approveReply(email, { approvedBy: reviewer(req), draft: req.body.draft });
+    } catch (error) {
+      return res.status(409).json({ message: error.message });
+    }
+
+    // 202 when the first attempt failed and the outbox is retrying; 409 when loop protection
+    // stopped the reply (reply.suppressedReason says why)
+    const status = { sent: 200, queued: 202, suppressed: 409 }[email.reply.status] || 502;
+    res.status(status).json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reject a draft - nothing is sent
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const email = await Email.findOneAndUpdate(
+      { _id: req.params.id, 'reply.status': { $in: ['pending', 'failed'] } },
+      {
+        'reply.status': 'rejected',
+        'reply.rejectedBy': reviewer(req),
+        'reply.rejectedAt': new Date(),
+        'reply.rejectionReason': req.body.reason
+      },
+      { new: true }
+    );
+
+    if (!email) {
+      return res.status(404).json({ message: 'Pending reply not found' });
+    }
+
+    res.json(email);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const Rule = require('../models/rule.model');
+const { validateRule, evaluateRules } = require('../services/rules-engine');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const editor = (req) => req.userEmail || req.userId;
+
+const EDITABLE = ['name', 'description', 'enabled', 'priority', 'match', 'conditions', 'actions', 'stopProcessing'];
+const pick = (body) => Object.fromEntries(EDITABLE.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+
+// All rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const rules = await Rule.find().sort({ priority: 1, createdAt: 1 });
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Dry run: which rules would match this sample email? { from, subject, body, headers: { name: value } }
+router.post('/test', async (req, res) => {
+  try {
+    const { from, subject, body, headers = {} } = req.body;
+    const email = {
+      from,
+      subject,
+      body,
+      headers: Object.entries(headers).map(([name, value]) => ({ name, value }))
+    };
+
+    const rules = await Rule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+    res.json(evaluateRules(rules, email));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await Rule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const rule = new Rule({ ...pick(req.body), createdBy: editor(req), updatedBy: editor(req) });
+
+    const errors = validateRule(rule);
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; '), errors });
+    }
+
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: error.message });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await Rule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+
+    rule.set({ ...pick(req.body), updatedBy: editor(req) });
+    const errors = validateRule(rule);
+    if (errors.length) {
+      return res.status(400).json({ message: errors.join('; '), errors });
+    }
+
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await Rule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Rule not found' });
+    }
+    res.json({ message: 'Rule deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const ResponseTemplate = require('../models/response-template.model');
+const Setting = require('../models/setting.model');
+const { MERGE_FIELDS, getSchoolFields, renderTemplate } = require('../services/templates');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const editor = (req) => req.userEmail || req.userId;
+
+// Example values for previews, overridden by whatever the editor sends
+const SAMPLE_FIELDS = {
+  parentName: 'Jane Smith',
+  childName: 'Emma',
+  programType: 'Full Day'
+};
+
+// Template list (latest versions, without the history)
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.active === 'true' ? { active: true } : {};
+    const templates = await ResponseTemplate.find(filter).select('-versions').sort({ key: 1 });
+    res.json(templates);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge fields with the school's current values
+router.get('/fields', async (req, res) => {
+  try {
+    const schoolFields = await getSchoolFields();
+    res.json(MERGE_FIELDS.map(field => ({
+      ...field,
+      value: field.source === 'school' ? schoolFields[field.key] : SAMPLE_FIELDS[field.key]
+    })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// School values used in templates
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({
+      tourSlots: await Setting.getValue('tourSlots', []),
+      tuitionSheetUrl: await Setting.getValue('tuitionSheetUrl', '')
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.put('/settings', async (req, res) => {
+  try {
+    const { tourSlots, tuitionSheetUrl } = req.body;
+    if (tourSlots !== undefined) {
+      if (!Array.isArray(tourSlots) || tourSlots.some(slot => typeof slot !== 'string')) {
+        return res.status(400).json({ message: 'tourSlots must be an array of strings' });
+      }
+      await Setting.setValue('tourSlots', tourSlots.map(slot => slot.trim()).filter(Boolean), editor(req));
+    }
+    if (tuitionSheetUrl !== undefined) {
+      if (tuitionSheetUrl && !/^https?:\/\//i.test(tuitionSheetUrl)) {
+        return res.status(400).json({ message: 'tuitionSheetUrl must be an http(s) link' });
+      }
+      await Setting.setValue('tuitionSheetUrl', tuitionSheetUrl, editor(req));
+    }
+
+    res.json({
+      tourSlots: await Setting.getValue('tourSlots', []),
+      tuitionSheetUrl: await Setting.getValue('tuitionSheetUrl', '')
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Render unsaved text for the editor's live preview
+router.post('/preview', async (req, res) => {
+  try {
+    const { subject, body, fields = {}, language = 'en' } = req.body;
+    const values = { ...SAMPLE_FIELDS, ...(await getSchoolFields(language)), ...fields };
+    res.json(renderTemplate({ subject, body }, values));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// One template with its version history
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await ResponseTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { key, name, description, categories, subject, body, translations } = req.body;
+    const template = new ResponseTemplate({
+      key, name, description, categories, subject, body, translations,
+      updatedBy: editor(req)
+    });
+    await template.save();
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A template with this key already exists' });
+    }
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: error.message });
+  }
+});
+
+// Metadata edits keep the version; subject/body/translation edits create a new one
+router.put('/:id', async (req, res) => {
+  try {
+    const template = await ResponseTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    const { name, description, categories, active, subject, body, translations, note } = req.body;
+    if (name !== undefined) template.name = name;
+    if (description !== undefined) template.description = description;
+    if (categories !== undefined) template.categories = categories;
+    if (active !== undefined) template.active = active;
+    if (!template.revise({ subject, body, translations, note }, editor(req))) {
+      template.updatedBy = editor(req);
+    }
+
+    await template.save();
+    res.json(template);
+  } catch (error) {
+    const status = error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ message: error.message });
+  }
+});
+
+// Bring back an old version as the newest one
+router.post('/:id/restore/:version', async (req, res) => {
+  try {
+    const template = await ResponseTemplate.findById(req.params.id);
+    const previous = template?.getVersion(req.params.version);
+    if (!previous) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+
+    template.revise(
+      {
+        subject: previous.subject,
+        body: previous.body,
+        translations: previous.translations || {},
+        note: `Restored version ${previous.version}`
+      },
+      editor(req)
+    );
+    await template.save();
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Templates are deactivated rather than deleted so sent emails keep their reference
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await ResponseTemplate.findByIdAndUpdate(
+      req.params.id,
+      { active: false, updatedBy: editor(req) },
+      { new: true }
+    );
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
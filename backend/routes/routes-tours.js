@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const TourSlot = require('../models/tour-slot.model');
+const { createBooking, cancelBooking, completeBooking, getTourDays } = require('../services/tours');
+const Helpers = require('../utils/helpers');
+const { verifyToken } = require('../middleware/auth');
+
+router.use(verifyToken);
+
+const editor = (req) => req.userEmail || req.userId;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Invites go out through the monitoring service's outbox; without it bookings are recorded only
+const getOutbox = (req) => req.app.get('emailAI')?.outbox || null;
+
+// Tours grouped by day (?from=&to=, default today and the next 14 days)
+router.get('/', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * DAY_MS);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    res.json(await getTourDays(from, to));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Publish a tour time
+router.post('/', async (req, res) => {
+  try {
+    const { start, durationMinutes, capacity, location, notes, published } = req.body;
+    const date = new Date(start);
+    if (!start || isNaN(date)) {
+      return res.status(400).json({ message: 'start must be a date and time' });
+    }
+    if (date < new Date()) {
+      return res.status(400).json({ message: 'start is in the past' });
+    }
+
+    const slot = new TourSlot({ start: date, durationMinutes, capacity, location, notes, published, createdBy: editor(req) });
+    await slot.save();
+    res.status(201).json(slot);
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// Publish/unpublish, change capacity, location or notes. The time is fixed once families have booked.
+router.put('/:id', async (req, res) => {
+  try {
+    const slot = await TourSlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ message: 'Tour slot not found' });
+    }
+
+    const { start, durationMinutes, capacity, location, notes, published } = req.body;
+    if ((start !== undefined || durationMinutes !== undefined) && slot.bookedCount > 0) {
+      return res.status(409).json({ message: 'Cancel the bookings before moving this tour' });
+    }
+    if (capacity !== undefined && capacity < slot.bookedCount) {
+      return res.status(409).json({ message: `${slot.bookedCount} families are already booked` });
+    }
+
+    if (start !== undefined) slot.start = new Date(start);
+    if (durationMinutes !== undefined) slot.durationMinutes = durationMinutes;
+    if (capacity !== undefined) slot.capacity = capacity;
+    if (location !== undefined) slot.location = location;
+    if (notes !== undefined) slot.notes = notes;
+    if (published !== undefined) slot.published = Boolean(published);
+    await slot.save();
+    res.json(slot);
+  } catch (error) {
+    res.status(error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500).json({ message: error.message });
+  }
+});
+
+// Delete a tour time nobody has booked; unpublish it instead to keep the history
+router.delete('/:id', async (req, res) => {
+  try {
+    const slot = await TourSlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ message: 'Tour slot not found' });
+    }
+    if (slot.bookings.length) {
+      return res.status(409).json({ message: 'This tour has bookings; unpublish it instead' });
+    }
+
+    await slot.deleteOne();
+    res.json({ message: 'Tour slot deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Book a family by hand (phone call, walk-in); the invite is emailed like an email booking
+router.post('/:id/bookings', async (req, res) => {
+  try {
+    const { parentName, parentEmail, childName, waitlistId, language } = req.body;
+    if (!Helpers.isValidEmail(parentEmail || '')) {
+      return res.status(400).json({ message: 'A valid parent email is required' });
+    }
+    if (!await TourSlot.exists({ _id: req.params.id })) {
+      return res.status(404).json({ message: 'Tour slot not found' });
+    }
+
+    const result = await createBooking(getOutbox(req), req.params.id, {
+      parentName,
+      parentEmail,
+      childName,
+      waitlistId,
+      bookedBy: editor(req)
+    }, { language });
+    if (!result) {
+      return res.status(409).json({ message: 'This tour is full, unpublished or already past' });
+    }
+    res.status(201).json(result.slot);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Shared wrapper for actions on one booking; a booking in the wrong state is a 409
+const bookingAction = (action) => async (req, res) => {
+  try {
+    const slot = await TourSlot.findById(req.params.id);
+    if (!slot?.bookings.id(req.params.bookingId)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    try {
+      await action(req, slot);
+    } catch (error) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.json(slot);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Cancel a booking and send the calendar cancellation
+router.post('/:id/bookings/:bookingId/cancel', bookingAction((req, slot) =>
+  cancelBooking(getOutbox(req), slot, req.params.bookingId, { language: req.body.language })
+));
+
+// Record how the tour went: { attended, showedInterest, feedback }
+router.post('/:id/bookings/:bookingId/complete', bookingAction((req, slot) =>
+  completeBooking(slot, req.params.bookingId, req.body)
+));
+
+module.exports = router;
@@ -1,15 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const Waitlist = require('../models/waitlist.model');
+const Email = require('../models/email.model');
+const { findDuplicatesOf, mergeEntries } = require('../services/waitlist-dedupe');
+const { FIELDS, validateExtractedData } = require('../services/waitlist-validation');
+const { verifyToken } = require('../middleware/auth');
 
 // Get all waitlist entries
 router.get('/', async (req, res) => {
   try {
-    const { status, programType } = req.query;
+    const { status, programType, needsReview } = req.query;
     const filter = {};
     
     if (status) filter.status = status;
     if (programType) filter.programType = programType;
+    if (needsReview) filter.needsReview = needsReview === 'true';
     
     const entries = await Waitlist.find(filter).sort({ receivedDate: -1 });
     res.json(entries);
@@ -25,6 +30,7 @@ router.get('/stats', async (req, res) => {
     const pending = await Waitlist.countDocuments({ status: 'pending' });
     const contacted = await Waitlist.countDocuments({ status: 'contacted' });
     const enrolled = await Waitlist.countDocuments({ status: 'enrolled' });
+    const needsReview = await Waitlist.countDocuments({ needsReview: true });
     
     const byProgram = await Waitlist.aggregate([
       { $group: { _id: '$programType', count: { $sum: 1 } } }
@@ -45,6 +51,7 @@ router.get('/stats', async (req, res) => {
       pending,
       contacted,
       enrolled,
+      needsReview,
       byProgram,
       byMonth
     });
@@ -66,6 +73,94 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Source emails an entry was extracted from, for the review screen
+router.get('/:id/source', verifyToken, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    const emails = await Email.find({ messageId: { $in: entry.emailIds.length ? entry.emailIds : [entry.emailId] } })
+      .select('-rawBody -analysisHistory')
+      .sort({ received: 1 });
+    res.json({ entry, emails });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save staff corrections and clear the needs-review flag
+router.put('/:id/review', verifyToken, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    // Staff-entered values are fully trusted but still have to pass the validators
+    const corrected = { ...entry.toObject(), ...req.body.values };
+    const confidence = Object.fromEntries(FIELDS.map(f => [f, 1]));
+    const validation = validateExtractedData(corrected, confidence);
+    const invalid = Object.entries(validation.fields).filter(([, f]) => !f.valid);
+    if (invalid.length) {
+      return res.status(400).json({
+        message: 'Some fields are still invalid',
+        errors: invalid.map(([field, f]) => ({ field, issue: f.issue }))
+      });
+    }
+
+    for (const field of FIELDS) {
+      entry[field] = validation.values[field] || undefined;
+    }
+    entry.extraction = validation.fields;
+    entry.needsReview = false;
+    entry.reviewReasons = [];
+    entry.reviewedBy = req.userEmail || req.userId;
+    entry.reviewedAt = new Date();
+
+    await entry.save();
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Possible duplicates of an entry
+router.get('/:id/duplicates', verifyToken, async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+    res.json(await findDuplicatesOf(entry));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Merge another entry into this one (the other entry is deleted)
+router.post('/:id/merge', verifyToken, async (req, res) => {
+  try {
+    const { sourceId } = req.body;
+    if (!sourceId || sourceId === req.params.id) {
+      return res.status(400).json({ message: 'A different sourceId is required' });
+    }
+
+    const [target, source] = await Promise.all([
+      Waitlist.findById(req.params.id),
+      Waitlist.findById(sourceId)
+    ]);
+    if (!target || !source) {
+      return res.status(404).json({ message: 'Entry not found' });
+    }
+
+    res.json(await mergeEntries(target, source, req.userEmail || req.userId));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Update waitlist entry
 router.put('/:id', async (req, res) => {
   try {
@@ -0,0 +1,88 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../services/llm-provider');
+const { loadCorpus, RecordedProvider, runCorpus, computeMetrics, formatReport } = require('../services/classifier-eval');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'eval', 'corpus.jsonl');
+const DEFAULT_RECORDINGS = path.join(__dirname, '..', 'eval', 'recordings.json');
+
+const USAGE = `
+Score a classifier against the labelled corpus.
+
+  node scripts/eval-classifier.js [--provider recorded|rules|openai|local] [--corpus FILE]
+                                  [--recordings FILE] [--record] [--json FILE]
+
+  --provider    recorded replays --recordings offline; the others are the LLM_PROVIDER options.
+                Defaults to recorded when the recordings file exists, rules otherwise
+  --record      run the chosen provider and save its answers to --recordings for later offline runs
+  --json        also write the metrics and per-fixture results to FILE
+`;
+
+// --name value pairs; flags without a value are true
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[name] = next && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+function readRecordings(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const corpusFile = args.corpus || DEFAULT_CORPUS;
+  const recordingsFile = args.recordings || DEFAULT_RECORDINGS;
+  const fixtures = loadCorpus(corpusFile);
+  // Recordings are made locally and not committed, so a fresh checkout scores the rules
+  const providerName = args.provider || (fs.existsSync(recordingsFile) ? 'recorded' : 'rules');
+
+  let provider;
+  if (args.record) {
+    if (providerName === 'recorded') {
+      throw new Error('--record needs a real --provider to record from');
+    }
+    provider = new RecordedProvider({ recordings: readRecordings(recordingsFile), target: createProvider(providerName, { metered: false }) });
+  } else if (providerName === 'recorded') {
+    if (!fs.existsSync(recordingsFile)) {
+      throw new Error(`No recordings at ${recordingsFile}: record them with --provider openai --record, or use --provider rules`);
+    }
+    provider = new RecordedProvider({ recordings: readRecordings(recordingsFile) });
+  } else {
+    provider = createProvider(providerName, { metered: false });
+  }
+
+  console.log(`Evaluating ${provider.name} on ${fixtures.length} fixtures from ${path.relative(process.cwd(), corpusFile)}\n`);
+  const results = await runCorpus(provider, fixtures, {
+    onResult: (r) => process.stdout.write(r.predicted.category === r.expected.category ? '.' : 'x')
+  });
+  process.stdout.write('\n\n');
+
+  const metrics = computeMetrics(results);
+  console.log(formatReport(metrics, results));
+
+  if (args.record) {
+    fs.writeFileSync(recordingsFile, `${JSON.stringify(provider.recordings, null, 2)}\n`);
+    console.log(`\nSaved ${Object.keys(provider.recordings).length} recorded responses to ${recordingsFile}`);
+  }
+  if (typeof args.json === 'string') {
+    fs.writeFileSync(args.json, `${JSON.stringify({ provider: provider.name, metrics, results }, null, 2)}\n`);
+    console.log(`\nWrote results to ${args.json}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Evaluation failed:', error.message);
+  process.exit(1);
+});
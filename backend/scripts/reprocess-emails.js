@@ -0,0 +1,95 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const EnhancedEmailAI = require('../services/email-ai-enhanced');
+const { REPROCESS_FIELDS, reprocessEmails, applyReprocessed } = require('../services/reprocess');
+
+const USAGE = `
+Re-run the email analysis over stored emails (dry run unless --write).
+
+  node scripts/reprocess-emails.js [--from DATE] [--to DATE] [--category NAME]
+                                   [--version VERSION|none] [--ids ID,ID] [--limit N] [--write]
+  node scripts/reprocess-emails.js --apply ID,ID [--fields ${REPROCESS_FIELDS.join(',')}]
+
+  --write   apply every change instead of only recording it
+  --apply   apply the latest dry-run result of these emails (no new model calls)
+`;
+
+// --name value pairs; flags without a value are true
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    args[name] = next && !next.startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+const list = (value) => (typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : JSON.stringify(value);
+}
+
+function printResult(result) {
+  console.log(`\n${new Date(result.received).toISOString().slice(0, 10)} ${result.emailId} ${result.subject || '(no subject)'}`);
+  if (result.error) {
+    console.log(`  error: ${result.error}`);
+    return;
+  }
+
+  console.log(`  version: ${result.processingVersion.from || 'none'} -> ${result.processingVersion.to}`);
+  const { category, urgency, extractedData } = result.changes;
+  if (category) console.log(`  category: ${category.from} -> ${category.to}`);
+  if (urgency) console.log(`  urgency: ${urgency.from} -> ${urgency.to}`);
+  for (const [field, change] of Object.entries(extractedData || {})) {
+    console.log(`  extractedData.${field}: ${formatValue(change.from)} -> ${formatValue(change.to)}`);
+  }
+  if (!Object.keys(result.changes).length) console.log('  no changes');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yus-school');
+  const emailAI = new EnhancedEmailAI();
+  await emailAI.loadMailboxes({ monitor: false });
+  const by = process.env.USER ? `cli:${process.env.USER}` : 'cli';
+
+  try {
+    if (args.apply) {
+      const fields = list(args.fields) || REPROCESS_FIELDS;
+      const results = await applyReprocessed(emailAI, list(args.apply).map(emailId => ({ emailId, fields })), by);
+      for (const result of results) {
+        console.log(result.error
+          ? `${result.emailId}: ${result.error}`
+          : `${result.emailId}: applied ${result.applied.join(', ') || 'nothing'} from ${result.processingVersion}`);
+      }
+      return;
+    }
+
+    const summary = await reprocessEmails(emailAI, {
+      from: args.from,
+      to: args.to,
+      category: args.category,
+      processingVersion: args.version,
+      ids: list(args.ids)
+    }, { dryRun: !args.write, limit: args.limit, by });
+
+    summary.results.forEach(printResult);
+    console.log(`\n${summary.total} emails re-run, ${summary.changed} changed, ${summary.failed} failed` +
+      (summary.dryRun ? ' (dry run: apply with --apply ID,ID or re-run with --write)' : ''));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Reprocessing failed:', error);
+  process.exit(1);
+});
@@ -4,6 +4,10 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
 const EnhancedEmailAI = require('./services/email-ai-enhanced');
+const { isMailboxConfigured } = require('./services/mailbox');
+const Mailbox = require('./models/mailbox.model');
+const { seedDefaultTemplates } = require('./services/templates');
+const { SlaMonitor } = require('./services/sla');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -12,13 +16,19 @@ const PORT = process.env.PORT || 5001;
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/yus-school', {
   useNewUrlParser: true,
   useUnifiedTopology: true
-}).then(() => {
+}).then(async () => {
   console.log('Connected to MongoDB');
+  seedDefaultTemplates().catch(error => console.error('Error installing default templates:', error));
   
-  // Start email monitoring if credentials are provided
-  if (process.env.GMAIL_CLIENT_ID && process.env.OPENAI_API_KEY) {
+  // Start email monitoring if a mailbox is set up, in the env or the mailboxes collection
+  // (LLM_PROVIDER=rules needs no API key)
+  const hasMailbox = isMailboxConfigured() || await Mailbox.exists({ enabled: true });
+  if (hasMailbox && (process.env.OPENAI_API_KEY || process.env.LLM_PROVIDER)) {
     const emailAI = new EnhancedEmailAI();
+    app.set('emailAI', emailAI);
     emailAI.startMonitoring();
+    emailAI.outbox.start();
+    new SlaMonitor(emailAI.outbox).start();
   } else {
     console.log('Email AI monitoring not configured (missing credentials)');
   }
@@ -53,8 +63,8 @@ app.post('/api/auth/login', async (req, res) => {
   }
   
   const token = jwt.sign(
-    { userId: mockUser.id },
-    'your-secret-key',
+    { userId: mockUser.id, email: mockUser.email },
+    process.env.JWT_SECRET || 'your-secret-key',
     { expiresIn: '7d' }
   );
   
@@ -78,7 +88,7 @@ app.get('/api/auth/me', (req, res) => {
   }
   
   try {
-    jwt.verify(token, 'your-secret-key');
+    jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     res.json(mockUser);
   } catch (error) {
     return res.status(401).json({ message: 'Invalid token' });
@@ -90,18 +100,54 @@ app.get('/api/students', (req, res) => {
   res.json([]);
 });
 
-app.get('/api/payments', (req, res) => {
-  res.json([]);
-});
-
-app.get('/api/emails', (req, res) => {
-  res.json([]);
-});
-
 // Waitlist routes
 const waitlistRoutes = require('./routes/routes-waitlist');
 app.use('/api/waitlist', waitlistRoutes);
 
+// Email conversations
+const emailRoutes = require('./routes/routes-emails');
+app.use('/api/emails', emailRoutes);
+
+// AI reply review queue
+const replyRoutes = require('./routes/routes-replies');
+app.use('/api/replies', replyRoutes);
+
+// Email attachments
+const attachmentRoutes = require('./routes/routes-attachments');
+app.use('/api/attachments', attachmentRoutes);
+
+// Email routing rules
+const ruleRoutes = require('./routes/routes-rules');
+app.use('/api/rules', ruleRoutes);
+
+// Reply templates
+const templateRoutes = require('./routes/routes-templates');
+app.use('/api/templates', templateRoutes);
+
+// LLM usage, cost and budget
+const aiRoutes = require('./routes/routes-ai');
+app.use('/api/ai', aiRoutes);
+
+// Invoices and payment reconciliation
+const paymentRoutes = require('./routes/routes-payments');
+app.use('/api/payments', paymentRoutes);
+
+// Class lists and absences reported by email
+const attendanceRoutes = require('./routes/routes-attendance');
+app.use('/api/attendance', attendanceRoutes);
+
+// School tours: published times and bookings
+const tourRoutes = require('./routes/routes-tours');
+app.use('/api/tours', tourRoutes);
+
+// Outgoing mail queue: delivery status and resending failed messages
+const outboxRoutes = require('./routes/routes-outbox');
+app.use('/api/outbox', outboxRoutes);
+
+// Monitored mailboxes and their settings
+const mailboxRoutes = require('./routes/routes-mailboxes');
+app.use('/api/mailboxes', mailboxRoutes);
+
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Login with: admin@yusmontessori.edu / admin123`);
@@ -0,0 +1,194 @@
+const Student = require('../models/student.model');
+const Helpers = require('../utils/helpers');
+
+// Longest absence recorded without a person looking at it, in calendar days
+const MAX_ABSENCE_DAYS = 21;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6
+};
+const MONTHS = {
+  january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6, august: 7, september: 8, october: 9,
+  november: 10, december: 11, jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9,
+  nov: 10, dec: 11, janvier: 0, fevrier: 1, mars: 2, avril: 3, mai: 4, juin: 5, juillet: 6, aout: 7,
+  septembre: 8, octobre: 9, novembre: 10, decembre: 11
+};
+
+// Calendar day as midnight UTC, the way attendance dates are stored
+function toDay(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// A day written by a parent ("today", "Friday", "March 3", "3 mars", "2024-03-03"), read relative to
+// the day the email was received. Weekdays mean the next one on or after that day. Returns null when unsure.
+function parseAbsenceDay(value, received = new Date()) {
+  if (!value) return null;
+  const base = toDay(received);
+  const text = String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+  if (/\b(?:today|this morning|aujourd'?hui|ce matin)\b/.test(text)) return base;
+  if (/\b(?:tomorrow|demain)\b/.test(text)) return new Date(base.getTime() + DAY_MS);
+
+  const numeric = text.match(/\b\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}\b/);
+  if (numeric) return Helpers.parseDate(numeric[0]);
+
+  // "may" and "mar" only count as months next to a day number
+  const words = text.match(/[a-z]+|\d{1,4}/g) || [];
+  const dayNumber = (index) => {
+    const number = Number(words[index]);
+    return number >= 1 && number <= 31 ? number : null;
+  };
+  const monthIndex = words.findIndex((word, i) => word in MONTHS && (dayNumber(i + 1) || dayNumber(i - 1)));
+  if (monthIndex !== -1) {
+    const day = dayNumber(monthIndex + 1) || dayNumber(monthIndex - 1);
+    const year = words.map(Number).find(n => n > 999);
+    let date = new Date(Date.UTC(year || base.getUTCFullYear(), MONTHS[words[monthIndex]], day));
+    // Without a year, a date long past means next year ("January 6" written in December)
+    if (!year && base - date > 180 * DAY_MS) {
+      date = new Date(Date.UTC(base.getUTCFullYear() + 1, MONTHS[words[monthIndex]], day));
+    }
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  const weekday = words.find(word => word in WEEKDAYS);
+  if (weekday) {
+    const ahead = (WEEKDAYS[weekday] - base.getUTCDay() + 7) % 7;
+    return new Date(base.getTime() + ahead * DAY_MS);
+  }
+
+  return null;
+}
+
+// School days (Monday to Friday) the extracted absence covers, plus the reason.
+// Returns { issue } instead when the dates cannot be worked out safely.
+function resolveAbsence(extractedData, received = new Date()) {
+  const start = parseAbsenceDay(extractedData?.absenceStart, received);
+  if (!start) return { issue: 'could not tell which day the absence is' };
+
+  const end = extractedData.absenceEnd ? parseAbsenceDay(extractedData.absenceEnd, received) : start;
+  if (!end) return { issue: `could not read the last day of the absence ("${extractedData.absenceEnd}")` };
+  if (end < start) return { issue: 'the absence ends before it starts' };
+  if ((end - start) / DAY_MS >= MAX_ABSENCE_DAYS) {
+    return { issue: `absence longer than ${MAX_ABSENCE_DAYS} days` };
+  }
+
+  const dates = [];
+  for (let day = start; day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getUTCDay() !== 0 && day.getUTCDay() !== 6) dates.push(day);
+  }
+  if (!dates.length) return { issue: 'the absence falls on a weekend' };
+
+  const reason = typeof extractedData.absenceReason === 'string' ? extractedData.absenceReason.trim().slice(0, 200) : '';
+  return { dates, reason: reason || undefined };
+}
+
+// Write excused absences into the student's attendance. A day that already has an entry is
+// overwritten, so a corrected or re-processed email does not add a second one.
+async function recordAbsence(student, { dates, reason, emailId, recordedBy = 'email' }) {
+  for (const date of dates) {
+    const entry = {
+      date,
+      status: 'absent',
+      excused: true,
+      reason,
+      notes: 'Reported by a parent by email',
+      emailId,
+      recordedBy
+    };
+    const existing = student.attendance.find(a => dayKey(a.date) === dayKey(date));
+    if (existing) existing.set(entry);
+    else student.attendance.push(entry);
+  }
+  student.attendance.sort((a, b) => a.date - b.date);
+  await student.save();
+  return student;
+}
+
+function formatDay(date, language) {
+  return new Date(date).toLocaleDateString(language === 'fr' ? 'fr-CA' : 'en-CA', {
+    weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC'
+  });
+}
+
+// Plain-text confirmation sent back to the parent, in the reply language
+function absenceConfirmation(student, { dates, reason }, language = 'en') {
+  const days = dates.length > 3
+    ? [formatDay(dates[0], language), formatDay(dates[dates.length - 1], language)]
+    : dates.map(date => formatDay(date, language));
+
+  if (language === 'fr') {
+    const when = dates.length > 3 ? `du ${days[0]} au ${days[1]}` : `le ${days.join(', le ')}`;
+    return {
+      subject: `Absence de ${student.firstName} enregistrée`,
+      draft: [
+        'Bonjour,',
+        '',
+        `Merci de nous avoir prévenus. Nous avons noté l'absence motivée de ${student.firstName} ${when}.`,
+        ...(reason ? [`Motif : ${reason}`] : []),
+        '',
+        "Si ces renseignements sont inexacts, il suffit de répondre à ce courriel.",
+        '',
+        'Yus Montessori School'
+      ].join('\n')
+    };
+  }
+
+  const when = dates.length > 3 ? `from ${days[0]} to ${days[1]}` : `on ${days.join(', ')}`;
+  return {
+    subject: `Absence recorded for ${student.firstName}`,
+    draft: [
+      'Hello,',
+      '',
+      `Thank you for letting us know. We have recorded ${student.firstName} as absent (excused) ${when}.`,
+      ...(reason ? [`Reason: ${reason}`] : []),
+      '',
+      'If any of this is not right, just reply to this email.',
+      '',
+      'Yus Montessori School'
+    ].join('\n')
+  };
+}
+
+// Active students for one day (default today), grouped by classroom, with their attendance entry for that day
+async function getClassList(date = toDay(new Date()), classroom) {
+  const day = dayKey(date);
+  const filter = { enrollmentStatus: 'active' };
+  if (classroom) filter.classroom = classroom;
+
+  const students = await Student.find(filter).sort({ classroom: 1, lastName: 1, firstName: 1 });
+  const classes = {};
+  for (const student of students) {
+    const key = student.classroom || 'Unassigned';
+    classes[key] = classes[key] || { classroom: key, students: [], absent: 0 };
+
+    const entry = student.attendance.find(a => dayKey(a.date) === day);
+    classes[key].students.push({
+      _id: student._id,
+      entryId: entry?._id,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      status: entry?.status || null,
+      excused: entry?.excused || false,
+      reason: entry?.reason,
+      emailId: entry?.emailId
+    });
+    if (entry?.status === 'absent') classes[key].absent += 1;
+  }
+
+  return { date: day, classes: Object.values(classes) };
+}
+
+module.exports = {
+  MAX_ABSENCE_DAYS,
+  parseAbsenceDay,
+  resolveAbsence,
+  recordAbsence,
+  absenceConfirmation,
+  getClassList
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { createFileStore } = require('./file-store');
+const { listAttachments } = require('./mime-parser');
+
+const MAX_BYTES = (Number(process.env.ATTACHMENT_MAX_MB) || 20) * 1024 * 1024;
+
+let defaultStore;
+function getFileStore() {
+  if (!defaultStore) defaultStore = createFileStore();
+  return defaultStore;
+}
+
+// "Application Form (2).pdf" -> "Application-Form-2.pdf"
+function safeFilename(filename) {
+  const cleaned = String(filename)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/-\./g, '.')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  return cleaned.slice(-100) || 'attachment';
+}
+
+function storageKey(messageId, attachment, date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${date.getFullYear()}/${month}/${safeFilename(messageId)}/${attachment.index}-${safeFilename(attachment.filename)}`;
+}
+
+// Download one attachment part into the file store and return the fields to record on the Email
+async function storeAttachment(mailbox, messageId, part, store = getFileStore()) {
+  const record = {
+    index: part.index,
+    filename: part.filename,
+    mimeType: part.mimeType,
+    size: part.size,
+    attachmentId: part.attachmentId,
+    downloaded: false
+  };
+
+  if (part.size > MAX_BYTES) {
+    record.error = `larger than ${MAX_BYTES / 1024 / 1024} MB`;
+    return record;
+  }
+
+  try {
+    let data;
+    if (part.data) {
+      data = Buffer.from(part.data, 'base64');
+    } else if (part.attachmentId && mailbox.fetchAttachment) {
+      data = await mailbox.fetchAttachment(messageId, part.attachmentId);
+    } else {
+      throw new Error('attachment data is not available from this mailbox');
+    }
+
+    record.storageKey = await store.save(storageKey(messageId, part), data, { mimeType: part.mimeType });
+    record.store = store.name;
+    record.size = data.length;
+    record.contentHash = crypto.createHash('sha256').update(data).digest('hex');
+    record.downloaded = true;
+    record.downloadedAt = new Date();
+  } catch (error) {
+    console.error(`Error downloading attachment ${part.filename} of ${messageId}:`, error.message);
+    record.error = error.message;
+  }
+  return record;
+}
+
+// Store every attachment of a fetched message; failures are recorded, not thrown
+async function ingestAttachments(mailbox, message, store = getFileStore()) {
+  const records = [];
+  for (const part of listAttachments(message.payload)) {
+    records.push(await storeAttachment(mailbox, message.id, part, store));
+  }
+  return records;
+}
+
+// Retry an attachment that failed or was skipped when the email was processed
+async function downloadMissing(mailbox, emailDoc, attachment, store = getFileStore()) {
+  const message = await mailbox.fetchMessage(emailDoc.messageId);
+  const part = listAttachments(message.payload).find(p => p.index === attachment.index);
+  if (!part) {
+    throw new Error(`Attachment ${attachment.filename} no longer exists in the mailbox`);
+  }
+
+  Object.assign(attachment, await storeAttachment(mailbox, emailDoc.messageId, part, store));
+  await emailDoc.save();
+  return attachment;
+}
+
+module.exports = {
+  getFileStore,
+  ingestAttachments,
+  downloadMissing,
+  safeFilename
+};
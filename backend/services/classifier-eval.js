@@ -0,0 +1,220 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { CATEGORIES, URGENCIES, normalizeAnalysis } = require('./llm-provider');
+const { sanitizeEmailForLLM } = require('./llm-safety');
+const { DEFAULT_TEMPLATES } = require('./templates');
+
+// Stands in for a prediction when the classifier threw
+const ERROR_LABEL = 'error';
+
+// Labelled corpus, one JSON object per line:
+// { id, from, subject, body, context?, expected: { category, urgency?, extractedData? } }
+// Blank lines and lines starting with # are skipped.
+function loadCorpus(file) {
+  const fixtures = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    let fixture;
+    try {
+      fixture = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: ${error.message}`);
+    }
+    if (!fixture.id || !fixture.expected || !CATEGORIES.includes(fixture.expected.category)) {
+      throw new Error(`${file}:${index + 1}: a fixture needs an id and expected.category (one of ${CATEGORIES.join(', ')})`);
+    }
+    if (fixture.expected.urgency && !URGENCIES.includes(fixture.expected.urgency)) {
+      throw new Error(`${file}:${index + 1}: expected.urgency must be one of ${URGENCIES.join(', ')}`);
+    }
+    fixtures.push(fixture);
+  });
+  return fixtures;
+}
+
+// Recordings are keyed by the email itself, so reordering or renaming fixtures keeps them valid
+function recordingKey(from, subject, body) {
+  return crypto.createHash('sha256').update(`${from}\n${subject}\n${body}`).digest('hex').slice(0, 16);
+}
+
+// Replays analyses saved from a real provider, so the harness runs offline and repeatably.
+// With `target` set it calls that provider and records what it returns.
+class RecordedProvider {
+  constructor({ recordings = {}, target = null } = {}) {
+    this.name = target ? `recording:${target.name}` : 'recorded';
+    this.recordings = recordings;
+    this.target = target;
+  }
+
+  async analyzeEmail(from, subject, body, context = [], templates = []) {
+    const key = recordingKey(from, subject, body);
+
+    if (this.target) {
+      const analysis = await this.target.analyzeEmail(from, subject, body, context, templates);
+      this.recordings[key] = analysis;
+      return analysis;
+    }
+
+    if (!this.recordings[key]) {
+      throw new Error(`No recorded response for this email (${key}); run the harness with --record first`);
+    }
+    return normalizeAnalysis(this.recordings[key]);
+  }
+}
+
+// Same preparation as EnhancedEmailAI.analyzeEmailWithAI, without its fallback: failures are scored
+async function classifyFixture(provider, fixture, templates) {
+  const safe = sanitizeEmailForLLM(fixture.from || '', fixture.subject || '', fixture.body || '', fixture.context || []);
+  try {
+    return await provider.analyzeEmail(safe.from, safe.subject, safe.body, safe.context, templates);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Loose comparison: case, spacing and punctuation differences do not count as mistakes
+function normalizeFieldValue(field, value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value).trim().toLowerCase();
+  if (/phone/i.test(field)) return text.replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+  if (/postal/i.test(field)) return text.replace(/\s/g, '');
+  return text.replace(/[.,]/g, '').replace(/\s+/g, ' ');
+}
+
+// The starter templates stand in for the library, so runs do not need the database
+const PROMPT_TEMPLATES = DEFAULT_TEMPLATES.map(t => ({ key: t.key, name: t.name, description: t.description, categories: t.categories }));
+
+// Run every fixture through the provider, one at a time
+async function runCorpus(provider, fixtures, { templates = PROMPT_TEMPLATES, onResult } = {}) {
+  const results = [];
+  for (const fixture of fixtures) {
+    const analysis = await classifyFixture(provider, fixture, templates);
+    const result = {
+      id: fixture.id,
+      expected: fixture.expected,
+      predicted: {
+        category: analysis.error ? ERROR_LABEL : analysis.category,
+        urgency: analysis.error ? ERROR_LABEL : analysis.urgency,
+        extractedData: analysis.extractedData || {}
+      },
+      error: analysis.error
+    };
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+  return results;
+}
+
+const ratio = (numerator, denominator) => (denominator ? Math.round(numerator / denominator * 1000) / 1000 : null);
+
+// Precision/recall per category, confusion matrix (rows expected, columns predicted),
+// urgency accuracy and per-field extraction accuracy
+function computeMetrics(results) {
+  const labels = [...CATEGORIES];
+  if (results.some(r => r.predicted.category === ERROR_LABEL)) labels.push(ERROR_LABEL);
+
+  const confusion = {};
+  for (const expected of CATEGORIES) {
+    confusion[expected] = Object.fromEntries(labels.map(label => [label, 0]));
+  }
+  for (const r of results) {
+    confusion[r.expected.category][r.predicted.category] += 1;
+  }
+
+  const categories = {};
+  for (const category of CATEGORIES) {
+    const truePositives = confusion[category][category];
+    const predicted = CATEGORIES.reduce((sum, expected) => sum + confusion[expected][category], 0);
+    const support = labels.reduce((sum, label) => sum + confusion[category][label], 0);
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    let f1 = null;
+    if (precision !== null && recall !== null) {
+      f1 = precision + recall ? Math.round(2 * precision * recall / (precision + recall) * 1000) / 1000 : 0;
+    }
+    categories[category] = { support, predicted, precision, recall, f1 };
+  }
+
+  const withUrgency = results.filter(r => r.expected.urgency);
+  const fields = {};
+  for (const r of results) {
+    for (const [field, expected] of Object.entries(r.expected.extractedData || {})) {
+      fields[field] = fields[field] || { total: 0, correct: 0, mismatches: [] };
+      fields[field].total += 1;
+      const actual = r.predicted.extractedData[field];
+      if (normalizeFieldValue(field, expected) === normalizeFieldValue(field, actual)) {
+        fields[field].correct += 1;
+      } else {
+        fields[field].mismatches.push({ id: r.id, expected, actual: actual ?? null });
+      }
+    }
+  }
+  for (const field of Object.values(fields)) {
+    field.accuracy = ratio(field.correct, field.total);
+  }
+
+  return {
+    total: results.length,
+    errors: results.filter(r => r.error).length,
+    accuracy: ratio(results.filter(r => r.predicted.category === r.expected.category).length, results.length),
+    urgencyAccuracy: ratio(withUrgency.filter(r => r.predicted.urgency === r.expected.urgency).length, withUrgency.length),
+    categories,
+    labels,
+    confusion,
+    fields
+  };
+}
+
+const pct = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+function formatReport(metrics, results = []) {
+  const lines = [];
+  lines.push(`Fixtures: ${metrics.total}   Errors: ${metrics.errors}`);
+  lines.push(`Category accuracy: ${pct(metrics.accuracy)}   Urgency accuracy: ${pct(metrics.urgencyAccuracy)}`);
+
+  lines.push('', 'Category     Support  Precision  Recall    F1');
+  for (const [category, m] of Object.entries(metrics.categories)) {
+    lines.push(`${category.padEnd(12)} ${String(m.support).padStart(7)}  ${pct(m.precision)}    ${pct(m.recall)}  ${pct(m.f1)}`);
+  }
+
+  lines.push('', 'Confusion matrix (rows: expected, columns: predicted)');
+  const width = Math.max(...metrics.labels.map(l => l.length)) + 1;
+  lines.push(`${''.padEnd(12)}${metrics.labels.map(l => l.padStart(width)).join('')}`);
+  for (const [expected, row] of Object.entries(metrics.confusion)) {
+    lines.push(`${expected.padEnd(12)}${metrics.labels.map(l => String(row[l] || '.').padStart(width)).join('')}`);
+  }
+
+  if (Object.keys(metrics.fields).length) {
+    lines.push('', 'Field                Correct  Accuracy');
+    for (const [field, m] of Object.entries(metrics.fields)) {
+      lines.push(`${field.padEnd(20)} ${`${m.correct}/${m.total}`.padStart(7)}  ${pct(m.accuracy)}`);
+    }
+  }
+
+  const misses = results.filter(r => r.predicted.category !== r.expected.category);
+  if (misses.length) {
+    lines.push('', 'Misclassified');
+    for (const r of misses) {
+      lines.push(`  ${r.id}: expected ${r.expected.category}, got ${r.predicted.category}${r.error ? ` (${r.error})` : ''}`);
+    }
+  }
+
+  const fieldMisses = Object.entries(metrics.fields).flatMap(([field, m]) => m.mismatches.map(x => ({ field, ...x })));
+  if (fieldMisses.length) {
+    lines.push('', 'Extraction mismatches');
+    for (const x of fieldMisses) {
+      lines.push(`  ${x.id} ${x.field}: expected ${JSON.stringify(x.expected)}, got ${JSON.stringify(x.actual)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  loadCorpus,
+  recordingKey,
+  RecordedProvider,
+  runCorpus,
+  computeMetrics,
+  formatReport
+};
@@ -0,0 +1,150 @@
+const Email = require('../models/email.model');
+
+const CONTEXT_MESSAGES = Number(process.env.THREAD_CONTEXT_MESSAGES) || 5;
+const CONTEXT_BODY_LENGTH = 500;
+
+// Flatten stored emails into inbound messages plus the replies we sent, oldest first
+function toMessages(emails) {
+  const messages = [];
+
+  for (const email of emails) {
+    messages.push({
+      direction: 'inbound',
+      emailId: email._id,
+      messageId: email.messageId,
+      from: email.from,
+      subject: email.subject,
+      date: email.received,
+      body: email.body,
+      language: email.language,
+      summaryEn: email.summaryEn,
+      category: email.category,
+      urgency: email.urgency,
+      requiresAction: Boolean(email.requiresAction)
+    });
+
+    if (email.reply?.status === 'sent') {
+      messages.push({
+        direction: 'outbound',
+        emailId: email._id,
+        from: 'Yus Montessori School',
+        subject: `Re: ${email.subject}`,
+        date: email.reply.sentAt,
+        body: email.reply.draft,
+        language: email.reply.language,
+        approvedBy: email.reply.approvedBy
+      });
+    }
+  }
+
+  return messages.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// open: a parent message still needs us; awaiting-parent: we replied last; resolved: nothing outstanding
+function threadStatus(messages) {
+  const last = messages[messages.length - 1];
+  if (!last) return 'resolved';
+
+  const lastOutbound = messages.map(m => m.direction).lastIndexOf('outbound');
+  const unanswered = messages.slice(lastOutbound + 1).some(m => m.direction === 'inbound' && m.requiresAction);
+
+  if (unanswered) return 'open';
+  if (last.direction === 'outbound') return 'awaiting-parent';
+  return 'resolved';
+}
+
+// Full conversation for one thread
+async function getConversation(threadId) {
+  const emails = await Email.find({ threadId }).sort({ received: 1 });
+  if (emails.length === 0) return null;
+
+  const messages = toMessages(emails);
+  return {
+    threadId,
+    subject: emails[0].subject,
+    participants: [...new Set(emails.map(e => e.from).filter(Boolean))],
+    messageCount: messages.length,
+    lastActivity: messages[messages.length - 1].date,
+    status: threadStatus(messages),
+    messages
+  };
+}
+
+// One page of threads, most recent activity first. Status, sort and paging all run in the database,
+// using the same rules as threadStatus: open when a parent message needing action came after our
+// last sent reply, awaiting-parent when that reply is the latest message.
+async function listThreads({ status, category, page = 1, limit = 20 } = {}) {
+  const match = { threadId: { $ne: null } };
+  if (category) match.category = category;
+
+  const sent = { $eq: ['$reply.status', 'sent'] };
+  const [result] = await Email.aggregate([
+    { $match: match },
+    { $sort: { received: 1 } },
+    {
+      $group: {
+        _id: '$threadId',
+        subject: { $first: '$subject' },
+        participants: { $addToSet: '$from' },
+        categories: { $addToSet: '$category' },
+        messageCount: { $sum: { $cond: [sent, 2, 1] } },
+        lastReceived: { $max: '$received' },
+        lastSentAt: { $max: { $cond: [sent, '$reply.sentAt', null] } },
+        lastActionAt: { $max: { $cond: [{ $eq: ['$requiresAction', true] }, '$received', null] } }
+      }
+    },
+    {
+      $addFields: {
+        lastActivity: { $max: ['$lastReceived', '$lastSentAt'] },
+        status: {
+          $switch: {
+            branches: [
+              { case: { $gt: ['$lastActionAt', '$lastSentAt'] }, then: 'open' },
+              { case: { $gte: ['$lastSentAt', '$lastReceived'] }, then: 'awaiting-parent' }
+            ],
+            default: 'resolved'
+          }
+        }
+      }
+    },
+    ...(status ? [{ $match: { status } }] : []),
+    { $sort: { lastActivity: -1, _id: 1 } },
+    {
+      $facet: {
+        threads: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { _id: 0, threadId: '$_id', subject: 1, participants: 1, categories: 1, messageCount: 1, lastActivity: 1, status: 1 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return { threads: result.threads, total: result.total[0]?.count || 0, page, limit };
+}
+
+// Last N messages of the thread before this one, shaped for the analysis prompt.
+// Re-runs pass the email's received date so later replies do not leak into the context.
+async function getThreadContext(threadId, excludeMessageId, limit = CONTEXT_MESSAGES, before = null) {
+  if (!threadId || limit <= 0) return [];
+
+  const emails = await Email.find({ threadId, messageId: { $ne: excludeMessageId } }).sort({ received: 1 });
+  return toMessages(emails)
+    .filter(m => !before || new Date(m.date) < before)
+    .slice(-limit)
+    .map(m => ({
+      direction: m.direction,
+      from: m.from,
+      date: m.date,
+      body: (m.body || '').substring(0, CONTEXT_BODY_LENGTH)
+    }));
+}
+
+module.exports = {
+  toMessages,
+  threadStatus,
+  getConversation,
+  listThreads,
+  getThreadContext
+};
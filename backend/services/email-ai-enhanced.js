@@ -1,340 +1,586 @@
-const { google } = require('googleapis');
-const { OpenAI } = require('openai');
-const nodemailer = require('nodemailer');
-const mongoose = require('mongoose');
-
-// Waitlist Schema
-const waitlistSchema = new mongoose.Schema({
-  parentName: String,
-  parentEmail: { type: String, required: true },
-  parentPhone: String,
-  childName: { type: String, required: true },
-  childBirthDate: Date,
-  preferredStartDate: String,
-  programType: String,
-  emailId: String,
-  receivedDate: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'contacted', 'enrolled', 'withdrawn'], default: 'pending' },
-  priority: { type: String, enum: ['urgent', 'normal', 'low'], default: 'normal' },
-  notes: String
-});
-
-const Waitlist = mongoose.model('Waitlist', waitlistSchema);
-
-// Enhanced Email Schema
-const emailSchema = new mongoose.Schema({
-  messageId: { type: String, unique: true },
-  threadId: String,
-  from: String,
-  to: String,
-  subject: String,
-  body: String,
-  received: { type: Date, default: Date.now },
-  processed: { type: Boolean, default: false },
-  category: { 
-    type: String, 
-    enum: ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'],
-    default: 'general'
-  },
-  urgency: { type: String, enum: ['high', 'medium', 'low'], default: 'medium' },
-  extractedData: mongoose.Schema.Types.Mixed,
-  aiResponse: String,
-  folderLabel: String,
-  requiresAction: Boolean,
-  actionTaken: String
-});
-
-const Email = mongoose.model('Email', emailSchema);
+const Waitlist = require('../models/waitlist.model');
+const Email = require('../models/email.model');
+const Setting = require('../models/setting.model');
+const { createProvider, RuleBasedProvider, getProcessingVersion, FOLDER_LABELS } = require('./llm-provider');
+const { createMailbox, isMailboxConfigured } = require('./mailbox');
+const GmailSync = require('./gmail-sync');
+const { getThreadContext } = require('./conversation');
+const { findDuplicate, attachEmail } = require('./waitlist-dedupe');
+const { validateExtractedData } = require('./waitlist-validation');
+const { extractBody, messageDate } = require('./mime-parser');
+const { ingestAttachments } = require('./attachments');
+const { findStudentForEmail } = require('./students');
+const { sanitizeEmailForLLM, checkReplyPolicy } = require('./llm-safety');
+const { applyRules, applyActions } = require('./rules-engine');
+const { listTemplatesForPrompt, draftFromTemplate, textToHtml } = require('./templates');
+const { getSlaTargets, computeSla } = require('./sla');
+const { getBudgetStatus, alertBudgetExceeded } = require('./llm-usage');
+const {
+  incomingBlockReason, senderBlockReason, ownAddressReason, recentAutoReply, setMailboxAddresses
+} = require('./reply-guard');
+const { detectLanguage, getReplyLanguage } = require('./language');
+const { resolveAbsence, recordAbsence, absenceConfirmation } = require('./absences');
+const { matchPayment } = require('./reconciliation');
+const { bookFromReply, recordTourOffer } = require('./tours');
+const { Outbox, applyReplyDelivery } = require('./outbox');
+const { CATEGORY_LABELS, mailboxChanges, categoryFromLabels } = require('./labels');
+const {
+  DEFAULT_MAILBOX, createMailboxFromConfig, scheduleFor, restrictCategory, getEnabledMailboxes
+} = require('./mailboxes');
 
 class EnhancedEmailAI {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.gmail = null;
-    this.initializeGmail();
+  constructor(options = {}) {
+    this.ai = options.ai || createProvider();
+    this.fallbackAI = new RuleBasedProvider();
+
+    // The default mailbox: Gmail, or MAILBOX_TYPE=maildir|mbox reads a local directory instead.
+    // Further mailboxes come from the Mailbox collection (see loadMailboxes).
+    this.mailbox = options.mailbox || (isMailboxConfigured() ? createMailbox() : null);
+    this.mailboxes = new Map(); // name -> { config, mailbox }
+    this.monitors = new Map(); // name -> { timer, sync }
+    // Everything this service sends is queued and retried through the outbox
+    this.outbox = options.outbox || new Outbox(this.mailbox, { resolve: name => this.getMailbox(name) });
   }
 
-  async initializeGmail() {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GMAIL_CLIENT_ID,
-      process.env.GMAIL_CLIENT_SECRET,
-      process.env.GMAIL_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      refresh_token: process.env.GMAIL_REFRESH_TOKEN
-    });
-
-    this.gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  // Adapter for a mailbox name. Without the env mailbox, the first enabled mailbox is the default
+  // (alerts and escalations go out from it).
+  getMailbox(name = DEFAULT_MAILBOX) {
+    if (!name || name === DEFAULT_MAILBOX) {
+      return this.mailbox || this.mailboxes.values().next().value?.mailbox || null;
+    }
+    return this.mailboxes.get(name)?.mailbox || null;
   }
 
   // Main monitoring function
-  async monitorInbox() {
+  async monitorInbox(name = DEFAULT_MAILBOX) {
     try {
-      const response = await this.gmail.users.messages.list({
-        userId: 'me',
-        q: 'is:unread',
-        maxResults: 20
-      });
+      const messages = await this.getMailbox(name).listUnread({ maxResults: 20 });
 
-      if (response.data.messages) {
-        for (const message of response.data.messages) {
-          await this.processEmail(message.id, message.threadId);
-        }
+      for (const message of messages) {
+        await this.processEmail(message.id, message.threadId, name);
       }
     } catch (error) {
-      console.error('Error monitoring inbox:', error);
+      console.error(`Error monitoring inbox (${name}):`, error);
     }
   }
 
-  // Process individual email
-  async processEmail(messageId, threadId) {
+  // Process individual email - resolves false when it should be retried
+  async processEmail(messageId, threadId, mailboxName = DEFAULT_MAILBOX) {
     try {
-      const email = await this.gmail.users.messages.get({
-        userId: 'me',
-        id: messageId
-      });
-
-      const headers = email.data.payload.headers;
-      const from = headers.find(h => h.name === 'From')?.value || '';
-      const subject = headers.find(h => h.name === 'Subject')?.value || '';
-      const body = this.extractBody(email.data.payload);
-
       // Check if already processed
       const existing = await Email.findOne({ messageId });
-      if (existing) return;
+      if (existing) return true;
+
+      const mailbox = this.getMailbox(mailboxName);
+      const config = this.mailboxes.get(mailboxName)?.config;
+      const email = await mailbox.fetchMessage(messageId);
 
-      // AI Analysis
-      const analysis = await this.analyzeEmailWithAI(from, subject, body);
+      const headers = email.payload.headers;
+      const from = headers.find(h => h.name === 'From')?.value || '';
+      const subject = headers.find(h => h.name === 'Subject')?.value || '';
+      const internetMessageId = headers.find(h => h.name.toLowerCase() === 'message-id')?.value;
+      // When the parent sent it; a resync or backfill processes mail long after it arrived
+      const received = messageDate(email) || new Date();
+      const { raw: rawBody, cleaned: body, format: bodyFormat } = this.extractBody(email.payload);
+
+      // Admin routing rules run first and can override the analysis or skip the AI entirely
+      const rules = await applyRules({ from, subject, body, headers });
+
+      // A category set by a rule stands; otherwise the mailbox's category set applies
+      const analyzed = await this.analyzeWithRules(
+        { from, subject, body, threadId: threadId || email.threadId, messageId },
+        rules.actions
+      );
+      const analysis = rules.actions.category ? analyzed : restrictCategory(analyzed, config);
+
+      // Store attachments, and link the email to a student when the sender is a known parent
+      const attachments = await ingestAttachments(mailbox, email);
+      const student = analysis.category === 'waitlist'
+        ? null
+        : await findStudentForEmail(from, `${subject}\n${body}`, analysis.extractedData?.childName);
+
+      // Response-time target for anything staff have to deal with. The clock starts when the email
+      // reaches the app, so a backfill does not escalate mail staff may already have answered in Gmail.
+      const sla = analysis.requiresAction
+        ? computeSla(new Date(), analysis.category, analysis.urgency, await getSlaTargets())
+        : undefined;
 
       // Save email record
       const emailDoc = new Email({
         messageId,
-        threadId,
+        mailbox: mailboxName,
+        threadId: threadId || email.threadId,
+        internetMessageId,
+        received,
+        sla,
         from,
         subject,
         body: body.substring(0, 2000),
+        rawBody: rawBody.substring(0, 20000),
+        bodyFormat,
+        attachments,
+        studentId: student?._id,
         category: analysis.category,
         urgency: analysis.urgency,
         extractedData: analysis.extractedData,
         requiresAction: analysis.requiresAction,
         aiResponse: analysis.suggestedResponse,
         folderLabel: analysis.folderLabel,
+        language: analysis.language,
+        summaryEn: analysis.summaryEn || undefined,
+        processingVersion: analysis.processingVersion,
+        processedAt: new Date(),
+        assignee: rules.actions.assignee || config?.defaultAssignee,
+        noReplyReason: incomingBlockReason({ from, subject, headers }) || undefined,
+        ruleMatches: rules.matches,
+        redactions: Object.entries(analysis.redactions || {}).map(([type, count]) => `${type} x${count}`),
         processed: true
       });
       await emailDoc.save();
 
       // Process based on category
       if (analysis.category === 'waitlist' && analysis.extractedData) {
-        await this.saveWaitlistEntry(analysis.extractedData, messageId);
+        await this.saveWaitlistEntry(analysis.extractedData, messageId, emailDoc.threadId, {
+          confidence: analysis.fieldConfidence,
+          from
+        });
       }
 
-      // Apply Gmail label
-      await this.applyLabel(messageId, analysis.folderLabel);
+      // Absences go straight into attendance, and the parent gets a confirmation instead of a drafted reply
+      const absenceRecorded = analysis.category === 'absence' && await this.handleAbsence(emailDoc, student, analysis);
+
+      // Payments are matched to an open invoice for staff to confirm
+      if (analysis.category === 'payment') {
+        await this.handlePayment(emailDoc, analysis);
+      }
+
+      // Apply label and mark as read
+      await this.applyLabel(messageId, analysis.folderLabel, mailbox);
+      await this.markAsRead(messageId, mailbox);
 
       // Mark urgent emails
       if (analysis.urgency === 'high') {
-        await this.markAsImportant(messageId);
+        await this.markAsImportant(messageId, mailbox);
       }
 
-      // Auto-respond if appropriate
-      if (analysis.shouldAutoRespond && analysis.suggestedResponse) {
-        await this.sendAutoResponse(from, subject, analysis.suggestedResponse);
+      // A parent picking one of the tour times we offered gets booked and sent the invite
+      const tourBooked = await this.handleTourReply(emailDoc, analysis);
+
+      // Queue the drafted reply for review (or send it if the category skips review)
+      if (analysis.shouldAutoRespond && !absenceRecorded && !tourBooked) {
+        const reply = await this.buildReplyDraft(analysis);
+        if (reply) await this.queueReply(emailDoc, reply);
       }
 
+      return true;
     } catch (error) {
       console.error('Error processing email:', error);
+      return false;
     }
   }
 
-  // Enhanced AI analysis
-  async analyzeEmailWithAI(from, subject, body) {
-    try {
-      const prompt = `
-        Analyze this school email and provide detailed categorization and data extraction.
-        
-        From: ${from}
-        Subject: ${subject}
-        Body: ${body}
-        
-        Tasks:
-        1. Categorize: waitlist, inquiry, payment, absence, urgent, or general
-        2. Urgency level: high, medium, or low
-        3. Extract structured data if it's a waitlist form
-        4. Determine folder/label: Waitlist, Urgent, Payments, General, or Archive
-        5. Should auto-respond: yes/no
-        6. Suggested response if auto-respond is yes
-        
-        For waitlist emails, extract:
-        - Parent name
-        - Parent email
-        - Parent phone
-        - Child name
-        - Child birth date
-        - Preferred start date
-        - Program type (Full Day, Half Day, etc.)
-        
-        Respond in JSON format:
-        {
-          "category": "string",
-          "urgency": "high|medium|low",
-          "requiresAction": boolean,
-          "folderLabel": "string",
-          "shouldAutoRespond": boolean,
-          "suggestedResponse": "string or null",
-          "extractedData": {
-            "parentName": "string",
-            "parentEmail": "string",
-            "parentPhone": "string",
-            "childName": "string",
-            "childBirthDate": "string",
-            "preferredStartDate": "string",
-            "programType": "string"
-          } or null
-        }
-      `;
+  // AI Analysis, with the last few messages of the thread as context. Rule actions are layered
+  // over the result; `before` is set when re-running old mail (see services/reprocess.js).
+  // Replies are written in the parent's stored language, or else the language of the email.
+  async analyzeWithRules({ from, subject, body, threadId, messageId, before, feature = 'triage' }, actions = {}) {
+    const language = detectLanguage(`${subject}\n${body}`);
+    const replyLanguage = await getReplyLanguage(from, language);
+
+    let analysis;
+    if (actions.skipAI) {
+      // Nothing leaves the server; the offline classifier still extracts form fields
+      analysis = {
+        ...await this.fallbackAI.analyzeEmail(from, subject, body),
+        processingVersion: getProcessingVersion(this.fallbackAI)
+      };
+    } else {
+      const context = await getThreadContext(threadId, messageId, undefined, before);
+      analysis = await this.analyzeEmailWithAI(from, subject, body, context, { messageId, feature, language, replyLanguage });
+    }
+    return applyActions({ ...analysis, language, replyLanguage }, actions);
+  }
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [{ role: 'user', content: prompt }],
-        response_format: { type: 'json_object' }
-      });
+  // Enhanced AI analysis - falls back to the offline classifier when the provider fails.
+  // Sensitive tokens are masked first, and reviewFlags lists why a drafted reply must not skip review.
+  // The provider logs every model call to the usage log under `feature`.
+  async analyzeEmailWithAI(from, subject, body, context = [], { messageId, feature = 'triage', language, replyLanguage } = {}) {
+    const safe = sanitizeEmailForLLM(from, subject, body, context);
+    if (safe.injectionSignals.length) {
+      console.warn(`Possible prompt injection in email from ${from}: ${safe.injectionSignals.join(', ')}`);
+    }
 
-      return JSON.parse(response.choices[0].message.content);
+    let analysis;
+    let provider = await this.selectProvider();
+    try {
+      const templates = await listTemplatesForPrompt();
+      analysis = await provider.analyzeEmail(safe.from, safe.subject, safe.body, safe.context, templates, { language, replyLanguage, feature, messageId });
     } catch (error) {
-      console.error('AI analysis error:', error);
-      return {
-        category: 'general',
-        urgency: 'medium',
-        requiresAction: true,
-        folderLabel: 'General',
-        shouldAutoRespond: false,
-        suggestedResponse: null,
-        extractedData: null
-      };
+      console.error(`AI analysis error (${provider.name}), using rule-based fallback:`, error.message);
+      provider = this.fallbackAI;
+      analysis = await this.fallbackAI.analyzeEmail(safe.from, safe.subject, safe.body);
+    }
+
+    return {
+      ...analysis,
+      processingVersion: getProcessingVersion(provider),
+      redactions: safe.redactions,
+      reviewFlags: [
+        ...safe.injectionSignals.map(signal => `email ${signal}`),
+        ...checkReplyPolicy(analysis.suggestedResponse)
+      ]
+    };
+  }
+
+  // The configured provider, or once this month's budget is spent a cheaper model
+  // (LLM_OVER_BUDGET_MODEL) or the offline rules. Admins are alerted once a month.
+  async selectProvider() {
+    if (this.ai === this.fallbackAI || this.ai.name === 'rules') return this.ai;
+
+    const status = await getBudgetStatus();
+    if (!status.exceeded) return this.ai;
+
+    if (this.budgetAlertedMonth !== status.month) {
+      await alertBudgetExceeded(this.outbox, status);
+      this.budgetAlertedMonth = status.month;
+    }
+    if (!this.overBudgetAI) {
+      const model = process.env.LLM_OVER_BUDGET_MODEL;
+      this.overBudgetAI = model ? createProvider(this.ai.name, { model, overBudget: true }) : this.fallbackAI;
     }
+    return this.overBudgetAI;
   }
 
-  // Save waitlist entry to database
-  async saveWaitlistEntry(data, emailId) {
+  // Save waitlist entry to database - extracted fields are validated first and
+  // low-confidence or invalid values flag the entry for review
+  async saveWaitlistEntry(data, emailId, threadId, { confidence, from } = {}) {
     try {
+      const validation = validateExtractedData(data, confidence, from);
+      const values = validation.values;
+
+      // A second email (or thread reply) for the same child updates the existing entry
+      const existing = await findDuplicate(values, { threadId });
+      if (existing) {
+        const filled = attachEmail(existing, values, emailId, threadId);
+        const filledIssues = validation.reasons.filter(r => filled.includes(r.split(':')[0]));
+        if (filledIssues.length) {
+          existing.needsReview = true;
+          existing.reviewReasons = [...new Set([...(existing.reviewReasons || []), ...filledIssues])];
+        }
+        await existing.save();
+        console.log(`Waitlist email attached to existing entry for ${existing.childName}`);
+        return;
+      }
+
       const waitlistEntry = new Waitlist({
-        parentName: data.parentName,
-        parentEmail: data.parentEmail,
-        parentPhone: data.parentPhone,
-        childName: data.childName,
-        childBirthDate: data.childBirthDate ? new Date(data.childBirthDate) : null,
-        preferredStartDate: data.preferredStartDate,
-        programType: data.programType,
+        ...values,
+        childName: values.childName || 'Unknown',
         emailId: emailId,
-        status: 'pending'
+        threadIds: threadId ? [threadId] : [],
+        status: 'pending',
+        extraction: validation.fields,
+        needsReview: validation.needsReview,
+        reviewReasons: validation.reasons
       });
       
       await waitlistEntry.save();
-      console.log(`Waitlist entry saved for ${data.childName}`);
+      console.log(`Waitlist entry saved for ${waitlistEntry.childName}${validation.needsReview ? ' (needs review)' : ''}`);
     } catch (error) {
       console.error('Error saving waitlist entry:', error);
     }
   }
 
-  // Apply Gmail label
-  async applyLabel(messageId, labelName) {
-    try {
-      // First, get or create the label
-      const labels = await this.gmail.users.labels.list({ userId: 'me' });
-      let label = labels.data.labels.find(l => l.name === labelName);
-      
-      if (!label) {
-        // Create label if it doesn't exist
-        const newLabel = await this.gmail.users.labels.create({
-          userId: 'me',
-          requestBody: {
-            name: labelName,
-            labelListVisibility: 'labelShow',
-            messageListVisibility: 'show'
-          }
-        });
-        label = newLabel.data;
-      }
 
-      // Apply label to message
-      await this.gmail.users.messages.modify({
-        userId: 'me',
-        id: messageId,
-        requestBody: {
-          addLabelIds: [label.id],
-          removeLabelIds: ['UNREAD']
-        }
-      });
+  // Apply mailbox label
+  async applyLabel(messageId, labelName, mailbox = this.getMailbox()) {
+    try {
+      await mailbox.applyLabel(messageId, labelName);
     } catch (error) {
       console.error('Error applying label:', error);
     }
   }
 
+  // Make the mailbox match a change made in the app: move the category label, star and archive to suit
+  async syncMailboxLabels(email) {
+    try {
+      const mailbox = this.getMailbox(email.mailbox);
+      if (!mailbox) throw new Error(`Mailbox ${email.mailbox} is not configured`);
+      await mailbox.modifyLabels(email.messageId, mailboxChanges(email));
+    } catch (error) {
+      console.error('Error updating mailbox labels:', error);
+    }
+  }
+
+  // Gmail sync reported label changes made by hand; a category label moves the email to that category
+  async syncLabelsFromMailbox(messageId, { labelIds = [], added = [] }, mailboxName = DEFAULT_MAILBOX) {
+    const email = await Email.findOne({ messageId });
+    if (!email) return;
+
+    const mailbox = this.getMailbox(mailboxName);
+    const category = categoryFromLabels(email, {
+      labels: await mailbox.labelNames(labelIds),
+      added: await mailbox.labelNames(added)
+    });
+    if (!category || category === email.category) return;
+
+    email.edits.push({ field: 'category', from: email.category, to: category, by: 'gmail', at: new Date() });
+    email.category = category;
+    email.folderLabel = FOLDER_LABELS[category];
+    await email.save();
+    console.log(`Email ${messageId} moved to ${category} from a Gmail label`);
+
+    // Leave only the new category label; the echo from this change matches and is ignored
+    const label = FOLDER_LABELS[category];
+    await mailbox.modifyLabels(messageId, { remove: CATEGORY_LABELS.filter(name => name !== label) });
+    if (category === 'waitlist' && email.extractedData) {
+      await this.saveWaitlistEntry(email.extractedData, email.messageId, email.threadId, { from: email.from });
+    }
+  }
+
+  // Mark as read
+  async markAsRead(messageId, mailbox = this.getMailbox()) {
+    try {
+      await mailbox.markRead(messageId);
+    } catch (error) {
+      console.error('Error marking as read:', error);
+    }
+  }
+
   // Mark as important
-  async markAsImportant(messageId) {
+  async markAsImportant(messageId, mailbox = this.getMailbox()) {
     try {
-      await this.gmail.users.messages.modify({
-        userId: 'me',
-        id: messageId,
-        requestBody: {
-          addLabelIds: ['IMPORTANT', 'STARRED']
-        }
-      });
+      await mailbox.markImportant(messageId);
     } catch (error) {
       console.error('Error marking as important:', error);
     }
   }
 
-  // Send auto response
-  async sendAutoResponse(to, originalSubject, responseText) {
+  // Record an excused absence for the matched student and confirm it to the parent. Resolves false
+  // when nothing could be recorded; the reason is kept on the email for staff to handle by hand.
+  async handleAbsence(emailDoc, student, analysis) {
     try {
-      const transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-          type: 'OAuth2',
-          user: process.env.GMAIL_USER,
-          clientId: process.env.GMAIL_CLIENT_ID,
-          clientSecret: process.env.GMAIL_CLIENT_SECRET,
-          refreshToken: process.env.GMAIL_REFRESH_TOKEN
-        }
+      const absence = student
+        ? resolveAbsence(analysis.extractedData, emailDoc.received)
+        : { issue: 'no enrolled child matched the sender and child name' };
+      if (absence.issue) {
+        emailDoc.absence = { issue: absence.issue };
+        await emailDoc.save();
+        return false;
+      }
+
+      await recordAbsence(student, { ...absence, emailId: emailDoc._id });
+      emailDoc.absence = { dates: absence.dates, reason: absence.reason, recordedAt: new Date() };
+      emailDoc.actionTaken = 'absence recorded';
+
+      const language = analysis.replyLanguage || 'en';
+      await this.queueReply(emailDoc, { ...absenceConfirmation(student, absence, language), language, flags: [] }, { send: true });
+      return true;
+    } catch (error) {
+      console.error('Error recording absence:', error);
+      return false;
+    }
+  }
+
+  // Propose the invoice this payment settles; unmatched payments go to the exceptions list
+  async handlePayment(emailDoc, analysis) {
+    try {
+      emailDoc.reconciliation = await matchPayment(emailDoc, analysis.extractedData || {});
+      await emailDoc.save();
+    } catch (error) {
+      console.error('Error matching payment:', error);
+    }
+  }
+
+  // Book the tour when this email answers an offer in the same thread. Resolves true when booked;
+  // the invite is the reply, so no draft is queued.
+  async handleTourReply(emailDoc, analysis) {
+    try {
+      const booked = await bookFromReply(this.outbox, emailDoc, { language: analysis.replyLanguage || 'en' });
+      if (!booked) return false;
+
+      emailDoc.actionTaken = `tour booked for ${booked.slot.start.toISOString()}`;
+      emailDoc.requiresAction = false;
+      if (emailDoc.sla?.dueAt && !emailDoc.sla.respondedAt && booked.booking.inviteSentAt) {
+        emailDoc.sla.respondedAt = booked.booking.inviteSentAt;
+      }
+      await emailDoc.save();
+      return true;
+    } catch (error) {
+      console.error('Error booking tour from reply:', error);
+      return false;
+    }
+  }
+
+  // Categories whose AI drafts go out without human review; a mailbox can set its own
+  async getAutoSendCategories(mailboxName) {
+    const own = this.mailboxes.get(mailboxName)?.config?.autoSendCategories;
+    if (own) return own;
+
+    const fallback = (process.env.AUTO_SEND_CATEGORIES || '').split(',').map(c => c.trim()).filter(Boolean);
+    return Setting.getValue('autoSendCategories', fallback);
+  }
+
+  // Reply draft from the template the AI picked, or its free-form text when no template fits
+  async buildReplyDraft(analysis) {
+    const flags = [...(analysis.reviewFlags || [])];
+
+    if (analysis.responseTemplate) {
+      const templated = await draftFromTemplate(analysis.responseTemplate, {
+        extractedData: analysis.extractedData,
+        language: analysis.replyLanguage
       });
+      if (templated) {
+        return { ...templated, flags: [...flags, ...templated.flags] };
+      }
+      flags.push(`unknown template "${analysis.responseTemplate.key}"`);
+    }
 
-      await transporter.sendMail({
-        from: process.env.GMAIL_USER,
-        to: to,
-        subject: `Re: ${originalSubject}`,
-        html: `
-          <p>${responseText}</p>
+    if (!analysis.suggestedResponse) return null;
+    return {
+      draft: analysis.suggestedResponse,
+      language: analysis.replyLanguage,
+      flags: [...flags, 'free-form reply (no template)']
+    };
+  }
+
+  // Hold a draft in the review queue, sending straight away only for allow-listed categories or when
+  // `send` is set (fixed confirmations written by the app, not the AI).
+  // A flagged draft (free-form text, links, money, suspected prompt injection) always waits for a person.
+  async queueReply(emailDoc, reply, { send = false } = {}) {
+    const flags = reply.flags || [];
+    emailDoc.reply = { ...reply, status: 'pending', flags };
+
+    const blocked = emailDoc.noReplyReason || senderBlockReason(emailDoc.from);
+    if (blocked) return this.suppressReply(emailDoc, blocked);
+
+    emailDoc.requiresAction = true;
+    await emailDoc.save();
+
+    const autoSend = send || (await this.getAutoSendCategories(emailDoc.mailbox)).includes(emailDoc.category);
+    if (autoSend && !flags.length) {
+      await this.approveReply(emailDoc, { approvedBy: 'auto', autoApproved: true });
+    }
+  }
+
+  // Approval path: the only caller of sendAutoResponse. The reply is claimed in the database first,
+  // so of two approvals racing (a double click, bulk approve) only one sends it.
+  async approveReply(emailDoc, { approvedBy, draft, autoApproved = false } = {}) {
+    const previous = emailDoc.reply?.status;
+    if (previous !== 'pending' && previous !== 'failed') {
+      throw new Error(`Reply is ${previous || 'none'}, only pending or failed replies can be approved`);
+    }
+
+    const claimed = await Email.updateOne(
+      { _id: emailDoc._id, 'reply.status': { $in: ['pending', 'failed'] } },
+      { 'reply.status': 'sending' }
+    );
+    if (!claimed.modifiedCount) {
+      throw new Error('Reply is already being sent');
+    }
+    emailDoc.reply.status = 'sending';
+
+    try {
+      return await this.deliverApprovedReply(emailDoc, { approvedBy, draft, autoApproved });
+    } catch (error) {
+      // Nothing was queued; let the reply be approved again
+      await Email.updateOne({ _id: emailDoc._id, 'reply.status': 'sending' }, { 'reply.status': previous });
+      emailDoc.reply.status = previous;
+      throw error;
+    }
+  }
+
+  async deliverApprovedReply(emailDoc, { approvedBy, draft, autoApproved }) {
+    if (draft !== undefined) {
+      emailDoc.reply.draft = draft;
+    }
+    emailDoc.reply.approvedBy = approvedBy;
+    emailDoc.reply.approvedAt = new Date();
+    emailDoc.reply.autoApproved = autoApproved;
+
+    // Automatic replies never answer lists, bounces, auto-replies or ourselves, and go out at most once
+    // per sender and thread within the window. A person sending the reply is only kept from answering us.
+    const blocked = autoApproved
+      ? emailDoc.noReplyReason || senderBlockReason(emailDoc.from) || await recentAutoReply(emailDoc)
+      : ownAddressReason(emailDoc.from);
+    if (blocked) return this.suppressReply(emailDoc, blocked);
+
+    // Templates carry their own subject and sign-off; staff-written replies their own sign-off
+    const outbound = await this.sendAutoResponse(
+      emailDoc.from,
+      emailDoc.subject,
+      emailDoc.reply.draft,
+      emailDoc.internetMessageId,
+      {
+        subject: emailDoc.reply.subject,
+        footer: !emailDoc.reply.templateKey && !emailDoc.reply.composedBy,
+        language: emailDoc.reply.language,
+        emailId: emailDoc._id,
+        createdBy: approvedBy,
+        mailbox: emailDoc.mailbox
+      }
+    );
+
+    // Sent, or queued for a retry; the outbox updates the email when a retry goes through
+    if (outbound) {
+      applyReplyDelivery(emailDoc, outbound);
+      await recordTourOffer(emailDoc);
+    } else {
+      emailDoc.reply.status = 'failed';
+      emailDoc.reply.error = 'Send failed, see server log';
+    }
+
+    await emailDoc.save();
+    return emailDoc;
+  }
+
+  // Record why no reply went out; the draft stays on the email for reference
+  async suppressReply(emailDoc, reason) {
+    emailDoc.reply.status = 'suppressed';
+    emailDoc.reply.suppressedReason = reason;
+    emailDoc.reply.suppressedAt = new Date();
+    console.log(`Reply to ${emailDoc.from} (${emailDoc.messageId}) suppressed: ${reason}`);
+    await emailDoc.save();
+    return emailDoc;
+  }
+
+  // Queue an auto response in the outbox - resolves the outbound message, or null when it could not be queued.
+  // It goes out from the mailbox the email arrived in, with that mailbox's signature.
+  async sendAutoResponse(to, originalSubject, responseText, inReplyTo, { subject, footer = true, language = 'en', emailId, createdBy, mailbox } = {}) {
+    try {
+      const signature = this.mailboxes.get(mailbox)?.config?.signature;
+      const text = signature ? `${responseText}\n\n${signature}` : responseText;
+      const footerText = language === 'fr'
+        ? `Ceci est une réponse automatique de Yus Montessori School.
+          Un membre de l'équipe fera un suivi avec vous sous peu au besoin.`
+        : `This is an automated response from Yus Montessori School. 
+          A staff member will follow up with you shortly if needed.`;
+      const footerHtml = footer
+        ? `
           <br>
-          <p><small>This is an automated response from Yus Montessori School. 
-          A staff member will follow up with you shortly if needed.</small></p>
+          <p><small>${footerText}</small></p>
         `
-      });
+        : '';
+
+      return await this.outbox.send({
+        to: to,
+        subject: subject || `Re: ${originalSubject}`,
+        inReplyTo,
+        references: inReplyTo,
+        text,
+        html: `${textToHtml(text)}${footerHtml}`
+      }, { kind: 'reply', emailId, createdBy, mailbox });
     } catch (error) {
       console.error('Error sending auto response:', error);
+      return null;
     }
   }
 
-  // Extract email body
+
+  // Extract email body: { format, raw, cleaned } - cleaned has quotes and signatures removed
   extractBody(payload) {
-    let body = '';
-    
-    const extractFromPart = (part) => {
-      if (part.body?.data) {
-        body += Buffer.from(part.body.data, 'base64').toString('utf-8');
-      }
-      if (part.parts) {
-        part.parts.forEach(extractFromPart);
-      }
-    };
-    
-    extractFromPart(payload);
-    return body;
+    return extractBody(payload);
   }
 
+
   // Get waitlist statistics
   async getWaitlistStats() {
     const total = await Waitlist.countDocuments();
@@ -346,13 +592,70 @@ class EnhancedEmailAI {
     return { total, pending, byProgram };
   }
 
-  // Start monitoring
-  startMonitoring() {
+  // Start monitoring the default mailbox and every enabled mailbox in the collection
+  async startMonitoring() {
     console.log('Starting enhanced email monitoring...');
-    this.monitorInbox();
-    setInterval(() => {
-      this.monitorInbox();
-    }, 3 * 60 * 1000); // Check every 3 minutes
+    if (this.mailbox) this.monitor(DEFAULT_MAILBOX, this.mailbox);
+    await this.loadMailboxes();
+  }
+
+  // (Re)load enabled mailboxes; called at startup and whenever a mailbox is edited. Unchanged
+  // mailboxes keep running, changed ones restart and disabled or deleted ones stop.
+  // Scripts pass monitor: false to only make the mailboxes available for labels and replies.
+  async loadMailboxes({ monitor = true } = {}) {
+    try {
+      const configs = await getEnabledMailboxes();
+      const names = configs.map(config => config.name);
+
+      for (const name of [...this.mailboxes.keys()]) {
+        if (!names.includes(name)) {
+          this.stopMonitor(name);
+          this.mailboxes.delete(name);
+        }
+      }
+
+      for (const config of configs) {
+        const current = this.mailboxes.get(config.name);
+        if (current && String(current.config.updatedAt) === String(config.updatedAt)) continue;
+
+        const mailbox = createMailboxFromConfig(config);
+        this.mailboxes.set(config.name, { config, mailbox });
+        if (monitor) this.monitor(config.name, mailbox, config);
+      }
+
+      setMailboxAddresses(configs.map(config => config.address));
+      if (monitor) console.log(`Monitoring ${this.monitors.size} mailbox(es)`);
+    } catch (error) {
+      console.error('Error loading mailboxes:', error);
+    }
+  }
+
+  // Gmail: incremental historyId sync, so messages opened by staff are still processed.
+  // Local mailboxes (and Gmail mailboxes set to poll) check unread mail instead.
+  monitor(name, mailbox, config) {
+    this.stopMonitor(name);
+    const { mode, intervalMs } = scheduleFor(config, mailbox);
+
+    let run;
+    let sync;
+    if (mode === 'sync') {
+      sync = new GmailSync(mailbox, messageId => this.processEmail(messageId, undefined, name), {
+        onLabelsChanged: (messageId, changes) => this.syncLabelsFromMailbox(messageId, changes, name)
+      });
+      run = () => sync.sync();
+    } else {
+      run = () => this.monitorInbox(name);
+    }
+
+    run();
+    this.monitors.set(name, { timer: setInterval(run, intervalMs), sync });
+  }
+
+  stopMonitor(name) {
+    const monitor = this.monitors.get(name);
+    if (!monitor) return;
+    clearInterval(monitor.timer);
+    this.monitors.delete(name);
   }
 }
 
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Every store implements the same operations:
+//   save(key, buffer, { mimeType }) -> key
+//   createReadStream(key)           -> readable stream
+//   exists(key)                     -> boolean
+//   remove(key)
+// Keys are relative, slash separated paths such as "2024/05/<messageId>/0-form.pdf".
+
+// Files on local disk (the default)
+class LocalFileStore {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.ATTACHMENT_STORE_PATH || path.join(__dirname, '../uploads/attachments'));
+  }
+
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  }
+
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+    return key;
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const STORES = {
+  local: LocalFileStore
+};
+
+function createFileStore(type = process.env.ATTACHMENT_STORE || 'local', options = {}) {
+  const Store = STORES[type];
+  if (!Store) {
+    throw new Error(`Unknown file store "${type}" (expected one of: ${Object.keys(STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+// Register another backend (S3, GCS, ...) under a name usable in ATTACHMENT_STORE
+function registerFileStore(type, Store) {
+  STORES[type] = Store;
+}
+
+module.exports = {
+  createFileStore,
+  registerFileStore,
+  LocalFileStore
+};
@@ -0,0 +1,175 @@
+const SyncState = require('../models/sync-state.model');
+
+const SKIPPED_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+// System label ids (UNREAD, STARRED, CATEGORY_UPDATES...); user labels look like Label_12
+const SYSTEM_LABEL = /^[A-Z_]+$/;
+
+// Incremental Gmail sync driven by historyId checkpoints stored in Mongo.
+// Every inbound inbox message is handed to processMessage once, read or unread.
+// Label changes on other messages go to options.onLabelsChanged(messageId, { labelIds, added, removed }).
+class GmailSync {
+  constructor(mailbox, processMessage, options = {}) {
+    this.mailbox = mailbox;
+    this.processMessage = processMessage;
+    this.onLabelsChanged = options.onLabelsChanged;
+    this.key = options.key || `gmail:${mailbox.user || 'me'}`;
+    this.resyncDays = options.resyncDays || Number(process.env.GMAIL_RESYNC_DAYS) || 7;
+    this.maxAttempts = options.maxAttempts || Number(process.env.GMAIL_MAX_MESSAGE_ATTEMPTS) || 5;
+    this.running = false;
+  }
+
+  async getState() {
+    return (await SyncState.findOne({ mailbox: this.key })) || new SyncState({ mailbox: this.key });
+  }
+
+  async sync() {
+    // Never overlap runs, a slow run would otherwise process the same history twice
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const state = await this.getState();
+
+      if (!state.historyId) {
+        await this.fullSync(state);
+      } else {
+        try {
+          await this.incrementalSync(state);
+        } catch (error) {
+          if (!this.isHistoryExpired(error)) throw error;
+          console.log(`Gmail history ${state.historyId} expired for ${this.key}, running full resync`);
+          await this.fullSync(state);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing Gmail:', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Gmail answers 404 once startHistoryId is older than the retained history window
+  isHistoryExpired(error) {
+    return error.code === 404 || error.status === 404 || error.response?.status === 404;
+  }
+
+  async incrementalSync(state) {
+    const added = [];
+    const relabeled = new Map();
+    let pageToken;
+    let latestHistoryId = state.historyId;
+
+    do {
+      const page = await this.mailbox.listHistory({ startHistoryId: state.historyId, pageToken });
+
+      for (const record of page.history || []) {
+        for (const { message } of record.messagesAdded || []) {
+          const labels = message.labelIds || [];
+          if (labels.includes('INBOX') && !labels.some(l => SKIPPED_LABELS.includes(l))) {
+            added.push(message.id);
+          }
+        }
+        this.collectLabelChanges(relabeled, record);
+      }
+
+      if (page.historyId) latestHistoryId = page.historyId;
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    // New messages are labelled by processing itself
+    for (const messageId of added) relabeled.delete(messageId);
+    await this.syncLabelChanges(relabeled);
+    await this.processBatch(state, added, latestHistoryId);
+  }
+
+  // Net label changes per message across history records, with the labels it ended up with
+  collectLabelChanges(relabeled, record) {
+    const changes = [
+      ...(record.labelsAdded || []).map(change => ({ ...change, type: 'added' })),
+      ...(record.labelsRemoved || []).map(change => ({ ...change, type: 'removed' }))
+    ];
+
+    for (const { message, labelIds = [], type } of changes) {
+      const entry = relabeled.get(message.id) || { labelIds: [], added: [], removed: [] };
+      const [into, from] = type === 'added' ? [entry.added, entry.removed] : [entry.removed, entry.added];
+      for (const id of labelIds) {
+        if (from.includes(id)) from.splice(from.indexOf(id), 1);
+        else if (!into.includes(id)) into.push(id);
+      }
+      entry.labelIds = message.labelIds || entry.labelIds;
+      relabeled.set(message.id, entry);
+    }
+  }
+
+  // A failed label sync is logged and not retried; the next change to the message syncs it again
+  async syncLabelChanges(relabeled) {
+    if (!this.onLabelsChanged) return;
+    for (const [messageId, changes] of relabeled) {
+      if (![...changes.added, ...changes.removed].some(id => !SYSTEM_LABEL.test(id))) continue;
+      try {
+        await this.onLabelsChanged(messageId, changes);
+      } catch (error) {
+        console.error(`Error syncing labels for message ${messageId}:`, error);
+      }
+    }
+  }
+
+  // Bootstrap (or recover) from a recent inbox listing; the checkpoint is taken first
+  // so nothing that arrives while we page through the listing is missed
+  async fullSync(state) {
+    const { historyId } = await this.mailbox.getProfile();
+    const ids = [];
+    let pageToken;
+
+    do {
+      const page = await this.mailbox.listMessages({
+        q: `in:inbox newer_than:${this.resyncDays}d`,
+        pageToken
+      });
+      ids.push(...(page.messages || []).map(m => m.id));
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    // Listing is newest first
+    ids.reverse();
+    state.lastFullSyncAt = new Date();
+    await this.processBatch(state, ids, historyId);
+  }
+
+  // Process retries from the previous run plus new ids, then advance the checkpoint.
+  // Messages whose processing fails are kept for the next run, up to maxAttempts runs.
+  async processBatch(state, messageIds, historyId) {
+    const queue = [...new Set([...(state.pendingMessageIds || []), ...messageIds])];
+    const failed = [];
+    const dropped = [];
+    const attempts = new Map();
+
+    for (const messageId of queue) {
+      const ok = await this.processMessage(messageId);
+      if (ok) continue;
+
+      const count = (state.messageAttempts?.get(messageId) || 0) + 1;
+      if (count >= this.maxAttempts) {
+        dropped.push(messageId);
+      } else {
+        failed.push(messageId);
+        attempts.set(messageId, count);
+      }
+    }
+
+    state.historyId = historyId;
+    state.pendingMessageIds = failed;
+    state.messageAttempts = attempts;
+    state.lastSyncAt = new Date();
+    await state.save();
+
+    if (dropped.length) {
+      console.error(`Gmail sync (${this.key}): giving up on ${dropped.join(', ')} after ${this.maxAttempts} failed attempts`);
+    }
+    if (queue.length) {
+      console.log(`Gmail sync (${this.key}): ${queue.length - failed.length - dropped.length} processed, ${failed.length} pending retry`);
+    }
+  }
+}
+
+module.exports = GmailSync;
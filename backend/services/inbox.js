@@ -0,0 +1,107 @@
+const Email = require('../models/email.model');
+const { CATEGORIES, URGENCIES, FOLDER_LABELS } = require('./llm-provider');
+const { followUp } = require('./reprocess');
+const { DEFAULT_MAILBOX } = require('./mailboxes');
+
+// Fields staff can change from the inbox
+const EDITABLE_FIELDS = ['category', 'urgency', 'assignee', 'requiresAction'];
+const LIST_FIELDS = 'messageId mailbox threadId from subject body received category urgency requiresAction assignee language '
+  + 'summaryEn studentId attachments.filename reply.status sla.dueAt sla.respondedAt noReplyReason';
+const SNIPPET_LENGTH = 140;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Inbox filters from the query string: mailbox, category, urgency, requiresAction=true|false, assignee,
+// q (sender or subject). Emails stored before mailboxes existed count as the default mailbox.
+function buildInboxFilter({ mailbox, category, urgency, requiresAction, assignee, q } = {}) {
+  const filter = {};
+  if (mailbox) filter.mailbox = mailbox === DEFAULT_MAILBOX ? { $in: [DEFAULT_MAILBOX, null] } : mailbox;
+  if (category) filter.category = category;
+  if (urgency) filter.urgency = urgency;
+  if (requiresAction === 'true') filter.requiresAction = true;
+  if (requiresAction === 'false') filter.requiresAction = { $ne: true };
+  if (assignee) filter.assignee = assignee === 'none' ? null : assignee;
+  if (q && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$or = [{ from: pattern }, { subject: pattern }];
+  }
+  return filter;
+}
+
+// One page of the inbox, newest first, with a short snippet instead of the body
+async function listInbox(query = {}, { page = 1, limit = 25 } = {}) {
+  const filter = buildInboxFilter(query);
+  const [emails, total] = await Promise.all([
+    Email.find(filter)
+      .select(LIST_FIELDS)
+      .sort({ received: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Email.countDocuments(filter)
+  ]);
+
+  return {
+    emails: emails.map(({ body, ...email }) => ({ ...email, snippet: (body || '').replace(/\s+/g, ' ').slice(0, SNIPPET_LENGTH) })),
+    total,
+    page,
+    limit
+  };
+}
+
+// Problems with a { category, urgency, assignee, requiresAction } update, as { field, issue }
+function validateEmailUpdate(changes = {}) {
+  const errors = [];
+  for (const field of Object.keys(changes)) {
+    if (!EDITABLE_FIELDS.includes(field)) errors.push({ field, issue: 'cannot be changed from the inbox' });
+  }
+  if (changes.category !== undefined && !CATEGORIES.includes(changes.category)) {
+    errors.push({ field: 'category', issue: `must be one of ${CATEGORIES.join(', ')}` });
+  }
+  if (changes.urgency !== undefined && !URGENCIES.includes(changes.urgency)) {
+    errors.push({ field: 'urgency', issue: `must be one of ${URGENCIES.join(', ')}` });
+  }
+  if (changes.assignee !== undefined && changes.assignee !== null && typeof changes.assignee !== 'string') {
+    errors.push({ field: 'assignee', issue: 'must be an email address or null' });
+  }
+  if (changes.requiresAction !== undefined && typeof changes.requiresAction !== 'boolean') {
+    errors.push({ field: 'requiresAction', issue: 'must be true or false' });
+  }
+  return errors;
+}
+
+// Apply a staff update, keeping each changed value in `edits`. A new category moves the email to
+// that folder (and onto the waitlist); marking it handled stops the response-time clock and archives it.
+async function updateEmail(emailAI, email, changes, by) {
+  const changed = [];
+  for (const field of EDITABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+    const value = field === 'assignee' ? (changes.assignee || '').trim() || null : changes[field];
+    if ((email[field] ?? null) === value) continue;
+
+    email.edits.push({ field, from: email[field] ?? null, to: value, by, at: new Date() });
+    email[field] = value;
+    changed.push(field);
+  }
+  if (!changed.length) return changed;
+
+  if (changed.includes('category')) email.folderLabel = FOLDER_LABELS[email.category];
+  if (changed.includes('requiresAction') && !email.requiresAction && email.sla?.dueAt && !email.sla.respondedAt) {
+    email.sla.respondedAt = new Date();
+  }
+  await email.save();
+
+  if (emailAI) {
+    if (changed.includes('category')) await followUp(emailAI, email, changed);
+    else if (changed.includes('requiresAction') || changed.includes('urgency')) await emailAI.syncMailboxLabels(email);
+  }
+  return changed;
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  buildInboxFilter,
+  listInbox,
+  validateEmailUpdate,
+  updateEmail
+};
@@ -0,0 +1,46 @@
+const { FOLDER_LABELS } = require('./llm-provider');
+
+// The category labels the app puts on messages in the mailbox
+const CATEGORY_LABELS = [...new Set(Object.values(FOLDER_LABELS))];
+
+// Category for a label added by hand in Gmail. General covers inquiry and absence too;
+// an email already in one of those keeps its category.
+const LABEL_CATEGORIES = {
+  Waitlist: 'waitlist',
+  Payments: 'payment',
+  Urgent: 'urgent',
+  General: 'general'
+};
+
+const isStarred = (email) => email.category === 'urgent' || email.urgency === 'high';
+
+// Labels to add and remove so the mailbox matches the email: only its category label,
+// starred while urgent, in the inbox while it needs action and archived once handled
+function mailboxChanges(email) {
+  const label = FOLDER_LABELS[email.category] || FOLDER_LABELS.general;
+  const add = [label];
+  const remove = CATEGORY_LABELS.filter(name => name !== label);
+
+  (isStarred(email) ? add : remove).push('STARRED');
+  (email.requiresAction ? add : remove).push('INBOX');
+  return { add, remove };
+}
+
+// Category implied by label names changed in Gmail, or null when it still matches the email.
+// A newly added category label wins; otherwise the email's label was removed and exactly one other is left.
+function categoryFromLabels(email, { labels = [], added = [] }) {
+  const current = FOLDER_LABELS[email.category];
+  const newLabels = added.filter(name => LABEL_CATEGORIES[name] && name !== current);
+  if (newLabels.length) return LABEL_CATEGORIES[newLabels[newLabels.length - 1]];
+
+  if (labels.includes(current)) return null;
+  const remaining = labels.filter(name => LABEL_CATEGORIES[name]);
+  return remaining.length === 1 ? LABEL_CATEGORIES[remaining[0]] : null;
+}
+
+module.exports = {
+  CATEGORY_LABELS,
+  LABEL_CATEGORIES,
+  mailboxChanges,
+  categoryFromLabels
+};
@@ -0,0 +1,64 @@
+const Student = require('../models/student.model');
+const { User } = require('../models/models-combined');
+const Helpers = require('../utils/helpers');
+
+const LANGUAGES = ['en', 'fr'];
+const LANGUAGE_NAMES = { en: 'English', fr: 'French' };
+
+// Common short words; whole words only, so "pour" does not count inside "pouring"
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'we', 'for', 'with', 'not', 'that', 'this', 'my', 'our', 'your', 'hello', 'hi',
+    'thanks', 'thank', 'please', 'would', 'will', 'school', 'child', 'daughter', 'son', 'have', 'be', 'of', 'to', 'in'],
+  fr: ['le', 'la', 'les', 'des', 'du', 'une', 'est', 'et', 'je', 'nous', 'vous', 'pour', 'avec', 'pas', 'que', 'qui',
+    'dans', 'sur', 'mon', 'ma', 'mes', 'notre', 'votre', 'bonjour', 'merci', 'madame', 'monsieur', 'école', 'enfant',
+    'fille', 'fils', 'être', 'sera', 'cette', 'aujourd', 'demain', 'au', 'aux', 'il', 'elle', 'ce', 'ne', 'se', 'en',
+    'un', 'sont', 'mais', 'avons', 'avez', 'malade', 'absente', 'semaine', 'prochaine', 'matin', 'inscription', 'paiement']
+};
+const MIN_FRENCH_WORDS = 2;
+
+// 'fr' when French words clearly outnumber English ones, otherwise 'en'
+function detectLanguage(text = '') {
+  const words = String(text).toLowerCase().match(/\p{L}+/gu) || [];
+  const score = { en: 0, fr: 0 };
+  for (const word of words) {
+    if (STOPWORDS.en.includes(word)) score.en += 1;
+    if (STOPWORDS.fr.includes(word)) score.fr += 1;
+  }
+  // Accented letters are a strong hint on short messages
+  score.fr += Math.min((String(text).match(/[éèêàçùâîôûœ]/gi) || []).length, 5) * 0.5;
+
+  return score.fr >= MIN_FRENCH_WORDS && score.fr > score.en * 1.2 ? 'fr' : 'en';
+}
+
+// Language stored for the sender, or null: their own account first, then the parent account of
+// a child they are listed for
+async function getPreferredLanguage(from) {
+  const address = Helpers.normalizeEmail(from);
+  if (!address) return null;
+
+  const user = await User.findOne({ email: address }).select('preferences');
+  if (user?.preferences?.language) return user.preferences.language;
+
+  const student = await Student.findOne({ parentEmails: address, parentId: { $ne: null } }).select('parentId');
+  if (!student) return null;
+  const parent = await User.findById(student.parentId).select('preferences');
+  return parent?.preferences?.language || null;
+}
+
+// The parent's stored preference wins over the language the email was written in
+async function getReplyLanguage(from, detected) {
+  try {
+    return (await getPreferredLanguage(from)) || detected;
+  } catch (error) {
+    console.error('Error looking up language preference:', error);
+    return detected;
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  LANGUAGE_NAMES,
+  detectLanguage,
+  getPreferredLanguage,
+  getReplyLanguage
+};
@@ -0,0 +1,120 @@
+// Guards around the LLM: mask sensitive tokens before email content leaves the server,
+// spot prompt-injection attempts, and flag drafted replies that must not go out unreviewed
+
+const DEFAULT_MEDICAL_TERMS = [
+  'asthma', 'asthmatic', 'diabetes', 'diabetic', 'insulin', 'epilepsy', 'epileptic', 'seizures?',
+  'anaphylaxis', 'anaphylactic', 'epi-?pen', 'inhaler', 'adhd', 'autism', 'autistic',
+  'diagnos(?:is|ed)', 'medications?', 'prescriptions?', 'therapy', 'therapist',
+  'covid(?:-19)?', 'chicken ?pox', 'measles', 'strep throat', 'concussion'
+];
+
+// Luhn checksum - valid for both card numbers and Canadian SINs
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function medicalPattern() {
+  const terms = process.env.REDACT_MEDICAL_TERMS
+    ? process.env.REDACT_MEDICAL_TERMS.split(',').map(t => t.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).filter(Boolean)
+    : DEFAULT_MEDICAL_TERMS;
+  return new RegExp(`\\b(?:${terms.join('|')})\\b`, 'gi');
+}
+
+// Each redactor replaces matches with a placeholder the model can still reason about.
+// They run in this order, so long card numbers are masked before SIN-sized runs of digits.
+const REDACTORS = {
+  // 13-19 digits, optionally grouped by spaces or dashes
+  card: (text) => text.replace(/\b\d(?:[ -]?\d){12,18}\b/g, match =>
+    passesLuhn(match.replace(/\D/g, '')) ? '[REDACTED_CARD]' : match),
+
+  // 9 digits, optionally grouped 3-3-3
+  sin: (text) => text.replace(/\b\d{3}[ -]?\d{3}[ -]?\d{3}\b/g, match =>
+    passesLuhn(match.replace(/\D/g, '')) ? '[REDACTED_SIN]' : match),
+
+  medical: (text) => text.replace(medicalPattern(), '[REDACTED_MEDICAL]')
+};
+
+// PII_REDACTION is a comma separated list of redactors (default "sin,card"; "none" turns it off)
+function enabledRedactions() {
+  const setting = process.env.PII_REDACTION === undefined ? 'sin,card' : process.env.PII_REDACTION;
+  return setting.split(',').map(t => t.trim().toLowerCase()).filter(t => REDACTORS[t]);
+}
+
+// Returns the masked text and { type: count } of what was masked
+function redactText(text, types = enabledRedactions()) {
+  let result = text || '';
+  const counts = {};
+
+  for (const type of Object.keys(REDACTORS).filter(t => types.includes(t))) {
+    const before = result;
+    result = REDACTORS[type](result);
+    const placeholder = `[REDACTED_${type.toUpperCase()}]`;
+    const count = result.split(placeholder).length - before.split(placeholder).length;
+    if (count > 0) counts[type] = count;
+  }
+  return { text: result, counts };
+}
+
+const INJECTION_PATTERNS = [
+  { signal: 'asks to ignore instructions', pattern: /\b(?:ignore|disregard|forget|override)\b[^.\n]{0,40}\b(?:previous|prior|above|earlier|all|your|these)\b[^.\n]{0,20}\b(?:instructions?|prompts?|rules?|directions?)/i },
+  { signal: 'addresses the AI directly', pattern: /\b(?:system prompt|developer message|you are now|new instructions|as an ai|language model)\b/i },
+  { signal: 'contains chat role markers', pattern: /^\s*(?:system|assistant)\s*:|<\|im_start\|>|\[\/?INST\]/im },
+  { signal: 'tries to set analysis fields', pattern: /\b(?:shouldAutoRespond|suggestedResponse|requiresAction|folderLabel)\b/ },
+  { signal: 'contains prompt delimiters', pattern: /<<<\s*(?:UNTRUSTED|END)/i }
+];
+
+// Phrases in an email that try to steer the model
+function detectInjection(text) {
+  return INJECTION_PATTERNS.filter(({ pattern }) => pattern.test(text || '')).map(({ signal }) => signal);
+}
+
+// Mask sensitive tokens in everything the model will see and note any injection attempt
+function sanitizeEmailForLLM(from, subject, body, context = []) {
+  const redactions = {};
+  const redact = (text) => {
+    const result = redactText(text);
+    for (const [type, count] of Object.entries(result.counts)) {
+      redactions[type] = (redactions[type] || 0) + count;
+    }
+    return result.text;
+  };
+
+  return {
+    from,
+    subject: redact(subject),
+    body: redact(body),
+    context: context.map(message => ({ ...message, body: redact(message.body) })),
+    redactions,
+    injectionSignals: detectInjection(`${subject}\n${body}`)
+  };
+}
+
+// Email addresses are allowed in a reply; bare domains count as links
+const REPLY_POLICY = [
+  { flag: 'reply contains a link', pattern: /https?:\/\/|\bwww\.|(?<![@\w.-])[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|ca|org|net|io|ly|co|me|info)\b/i },
+  { flag: 'reply mentions an amount of money', pattern: /[$€£]\s?\d|\b\d+(?:[.,]\d{2})?\s?(?:dollars|cad|usd)\b/i },
+  { flag: 'reply makes a financial promise', pattern: /\b(?:refund(?:ed|s)?|discount(?:ed|s)?|waive[ds]?|free of charge|no charge|reimburs\w*|credit(?:ed)? (?:to )?your|guarantee[ds]?)\b/i },
+  { flag: 'reply contains redacted text', pattern: /\[REDACTED_[A-Z]+\]/ }
+];
+
+// Reasons a drafted reply must be seen by staff before it is sent
+function checkReplyPolicy(text) {
+  if (!text) return [];
+  return REPLY_POLICY.filter(({ pattern }) => pattern.test(text)).map(({ flag }) => flag);
+}
+
+module.exports = {
+  redactText,
+  detectInjection,
+  sanitizeEmailForLLM,
+  checkReplyPolicy
+};
@@ -0,0 +1,185 @@
+const LlmUsage = require('../models/llm-usage.model');
+const Setting = require('../models/setting.model');
+
+// USD per million tokens [prompt, completion]. Longest matching prefix wins, so "gpt-4o-mini-2024-07-18"
+// is priced as gpt-4o-mini. Models not listed (local ones) cost nothing unless LLM_PRICE_* is set.
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4': [30, 60]
+};
+const BUDGET_CACHE_MS = 60 * 1000;
+
+function modelPrice(model = '') {
+  if (process.env.LLM_PRICE_INPUT || process.env.LLM_PRICE_OUTPUT) {
+    return [Number(process.env.LLM_PRICE_INPUT) || 0, Number(process.env.LLM_PRICE_OUTPUT) || 0];
+  }
+  const match = Object.keys(MODEL_PRICES)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : [0, 0];
+}
+
+function estimateCost(model, promptTokens = 0, completionTokens = 0) {
+  const [input, output] = modelPrice(model);
+  return (promptTokens * input + completionTokens * output) / 1000000;
+}
+
+// Log one model call; usage = { provider, model, promptTokens, completionTokens, durationMs }
+async function recordUsage(feature, usage, { messageId, error } = {}) {
+  try {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    await LlmUsage.create({
+      feature,
+      provider: usage.provider,
+      model: usage.model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: estimateCost(usage.model, promptTokens, completionTokens),
+      durationMs: usage.durationMs,
+      success: !error,
+      error: error && error.message,
+      messageId
+    });
+  } catch (err) {
+    console.error('Error recording LLM usage:', err);
+  }
+}
+
+function monthStart(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+// Monthly budget in USD; 0 means no cap
+async function getMonthlyBudget() {
+  return Number(await Setting.getValue('llmMonthlyBudget', process.env.LLM_MONTHLY_BUDGET || 0)) || 0;
+}
+
+async function getSpend(from, to = new Date()) {
+  const [row] = await LlmUsage.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+  return row ? row.cost : 0;
+}
+
+let cachedStatus = null;
+
+// Spend so far this month against the budget. Cached for a minute so triage does not
+// aggregate the usage log for every email.
+async function getBudgetStatus({ refresh = false } = {}) {
+  if (!refresh && cachedStatus && Date.now() - cachedStatus.checkedAt < BUDGET_CACHE_MS) {
+    return cachedStatus;
+  }
+
+  const now = new Date();
+  const budget = await getMonthlyBudget();
+  const spent = await getSpend(monthStart(now), now);
+  cachedStatus = {
+    budget,
+    spent: Math.round(spent * 10000) / 10000,
+    remaining: budget ? Math.max(budget - spent, 0) : null,
+    exceeded: budget > 0 && spent >= budget,
+    month: now.toISOString().slice(0, 7),
+    checkedAt: Date.now()
+  };
+  return cachedStatus;
+}
+
+// Email the admins the first time the budget is exceeded in a month
+async function alertBudgetExceeded(outbox, status) {
+  const alerted = await Setting.getValue('llmBudgetAlertedMonth', null);
+  if (alerted === status.month) return false;
+
+  const to = process.env.LLM_BUDGET_ALERT_EMAIL || process.env.GMAIL_USER;
+  if (outbox && to) {
+    try {
+      await outbox.send({
+        to,
+        subject: `[AI budget] Monthly budget of $${status.budget} reached`,
+        text: [
+          `The AI email assistant has spent $${status.spent.toFixed(2)} of its $${status.budget} budget for ${status.month}.`,
+          '',
+          'Until next month, or until the budget is raised, emails are analysed by the cheaper fallback classifier.',
+          'Usage details: /api/ai/usage'
+        ].join('\n')
+      }, { kind: 'budget-alert' });
+    } catch (error) {
+      console.error('Error sending AI budget alert:', error);
+      return false;
+    }
+  }
+
+  console.warn(`AI budget of $${status.budget} reached for ${status.month} ($${status.spent.toFixed(2)} spent)`);
+  await Setting.setValue('llmBudgetAlertedMonth', status.month, 'system');
+  return true;
+}
+
+// Usage between from and to, per day and feature
+async function getUsageReport(from, to) {
+  const rows = await LlmUsage.aggregate([
+    { $match: { createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          feature: '$feature'
+        },
+        calls: { $sum: 1 },
+        failures: { $sum: { $cond: ['$success', 0, 1] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        cost: { $sum: '$cost' },
+        avgDurationMs: { $avg: '$durationMs' }
+      }
+    },
+    { $sort: { '_id.day': 1, '_id.feature': 1 } }
+  ]);
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const empty = () => ({ calls: 0, failures: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+  const add = (sum, row) => {
+    sum.calls += row.calls;
+    sum.failures += row.failures;
+    sum.promptTokens += row.promptTokens;
+    sum.completionTokens += row.completionTokens;
+    sum.cost = round(sum.cost + row.cost);
+  };
+
+  const days = {};
+  const features = {};
+  const totals = empty();
+  for (const row of rows) {
+    const { day, feature } = row._id;
+    days[day] = days[day] || { day, features: {}, ...empty() };
+    days[day].features[feature] = {
+      calls: row.calls,
+      failures: row.failures,
+      promptTokens: row.promptTokens,
+      completionTokens: row.completionTokens,
+      cost: round(row.cost),
+      avgDurationMs: row.avgDurationMs === null ? null : Math.round(row.avgDurationMs)
+    };
+    add(days[day], row);
+    features[feature] = features[feature] || empty();
+    add(features[feature], row);
+    add(totals, row);
+  }
+
+  return { from, to, days: Object.values(days), features, totals };
+}
+
+module.exports = {
+  MODEL_PRICES,
+  estimateCost,
+  recordUsage,
+  monthStart,
+  getMonthlyBudget,
+  getBudgetStatus,
+  alertBudgetExceeded,
+  getUsageReport
+};
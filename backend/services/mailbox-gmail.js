@@ -0,0 +1,199 @@
+const { google } = require('googleapis');
+const nodemailer = require('nodemailer');
+
+// Mailbox adapter backed by the Gmail API
+class GmailMailbox {
+  constructor(options = {}) {
+    this.name = 'gmail';
+    this.user = options.user || process.env.GMAIL_USER;
+    this.credentials = {
+      clientId: options.clientId || process.env.GMAIL_CLIENT_ID,
+      clientSecret: options.clientSecret || process.env.GMAIL_CLIENT_SECRET,
+      redirectUri: options.redirectUri || process.env.GMAIL_REDIRECT_URI,
+      refreshToken: options.refreshToken || process.env.GMAIL_REFRESH_TOKEN
+    };
+
+    const oauth2Client = new google.auth.OAuth2(
+      this.credentials.clientId,
+      this.credentials.clientSecret,
+      this.credentials.redirectUri
+    );
+
+    oauth2Client.setCredentials({
+      refresh_token: this.credentials.refreshToken
+    });
+
+    this.gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+  }
+
+  // [{ id, threadId }] of unread inbox messages
+  async listUnread({ maxResults = 20 } = {}) {
+    const response = await this.gmail.users.messages.list({
+      userId: 'me',
+      q: 'is:unread',
+      maxResults
+    });
+    return response.data.messages || [];
+  }
+
+  // Used by the incremental sync: { emailAddress, historyId, ... }
+  async getProfile() {
+    const response = await this.gmail.users.getProfile({ userId: 'me' });
+    return response.data;
+  }
+
+  // One page of messages matching a search query
+  async listMessages({ q, pageToken, maxResults = 100 } = {}) {
+    const response = await this.gmail.users.messages.list({
+      userId: 'me',
+      q,
+      pageToken,
+      maxResults
+    });
+    return response.data;
+  }
+
+  // One page of message-added and label change events since startHistoryId
+  async listHistory({ startHistoryId, pageToken }) {
+    const response = await this.gmail.users.history.list({
+      userId: 'me',
+      startHistoryId,
+      pageToken,
+      historyTypes: ['messageAdded', 'labelAdded', 'labelRemoved']
+    });
+    return response.data;
+  }
+
+  // { id, threadId, labelIds, payload } in Gmail API format
+  async fetchMessage(messageId) {
+    const response = await this.gmail.users.messages.get({
+      userId: 'me',
+      id: messageId
+    });
+    return response.data;
+  }
+
+  // Raw bytes of an attachment part, which Gmail leaves out of the message payload
+  async fetchAttachment(messageId, attachmentId) {
+    const response = await this.gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: attachmentId
+    });
+    return Buffer.from(response.data.data, 'base64url');
+  }
+
+  // Labels (system and user) as { id, name }, listed once and reused. refreshLabels() reloads them,
+  // e.g. after labels were renamed or deleted in Gmail.
+  async getLabels({ refresh = false } = {}) {
+    if (!this.labels || refresh) {
+      const response = await this.gmail.users.labels.list({ userId: 'me' });
+      this.labels = response.data.labels || [];
+    }
+    return this.labels;
+  }
+
+  refreshLabels() {
+    return this.getLabels({ refresh: true });
+  }
+
+  // Id for a label name (system labels such as INBOX are their own id). With create, a name missing
+  // from the cache reloads it once and the label is created if it still does not exist; without, the
+  // cache answers alone, so removing labels that were never created costs no API call.
+  async labelId(name, { create = true } = {}) {
+    const find = () => this.labels.find(l => l.name === name || l.id === name);
+    await this.getLabels();
+    let label = find();
+    if (!label && !create) return null;
+    if (!label) {
+      await this.refreshLabels();
+      label = find();
+    }
+
+    if (!label) {
+      const newLabel = await this.gmail.users.labels.create({
+        userId: 'me',
+        requestBody: {
+          name,
+          labelListVisibility: 'labelShow',
+          messageListVisibility: 'show'
+        }
+      });
+      label = newLabel.data;
+      this.labels.push(label);
+    }
+    return label?.id || null;
+  }
+
+  // Names for label ids; history records only carry ids
+  async labelNames(ids = []) {
+    await this.getLabels();
+    if (ids.some(id => !this.labels.some(l => l.id === id))) await this.refreshLabels();
+    return ids.map(id => this.labels.find(l => l.id === id)?.name).filter(Boolean);
+  }
+
+  // Add and remove labels by name in one call. A stale cached id (label deleted in Gmail) reloads the cache and retries once.
+  async modifyLabels(messageId, { add = [], remove = [] } = {}, retried = false) {
+    const addLabelIds = [];
+    for (const name of add) addLabelIds.push(await this.labelId(name));
+    const removeLabelIds = [];
+    for (const name of remove) {
+      const id = await this.labelId(name, { create: false });
+      if (id) removeLabelIds.push(id);
+    }
+
+    try {
+      await this.gmail.users.messages.modify({
+        userId: 'me',
+        id: messageId,
+        requestBody: { addLabelIds, removeLabelIds }
+      });
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (retried || ![400, 404].includes(status)) throw error;
+      await this.refreshLabels();
+      return this.modifyLabels(messageId, { add, remove }, true);
+    }
+  }
+
+  async applyLabel(messageId, labelName) {
+    await this.modifyLabels(messageId, { add: [labelName] });
+  }
+
+  async markRead(messageId) {
+    await this.gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { removeLabelIds: ['UNREAD'] }
+    });
+  }
+
+  async markImportant(messageId) {
+    await this.gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds: ['IMPORTANT', 'STARRED'] }
+    });
+  }
+
+  // message: { to, subject, text, html, inReplyTo, references, icalEvent } (nodemailer fields).
+  // The transport is created once and reused; failures throw so the outbox can retry.
+  async send(message) {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          type: 'OAuth2',
+          user: this.user,
+          clientId: this.credentials.clientId,
+          clientSecret: this.credentials.clientSecret,
+          refreshToken: this.credentials.refreshToken
+        }
+      });
+    }
+
+    return this.transporter.sendMail({ from: this.user, ...message });
+  }
+}
+
+module.exports = GmailMailbox;
@@ -0,0 +1,240 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { headerValue, parseHeaders, parseRawMessage } = require('./mime-parser');
+
+function stripAngles(id) {
+  return id.trim().replace(/^<|>$/g, '');
+}
+
+// Local messages have no server-side thread, so derive one from References / In-Reply-To
+function deriveThreadId(headers) {
+  const references = headerValue(headers, 'References').split(/\s+/).filter(Boolean);
+  const root = references[0] || headerValue(headers, 'In-Reply-To') || headerValue(headers, 'Message-ID');
+  return root ? crypto.createHash('sha1').update(stripAngles(root)).digest('hex').slice(0, 16) : null;
+}
+
+// Shared behaviour for file-based mailboxes: a JSON sidecar keeps labels and read state
+class LocalMailbox {
+  constructor(options = {}) {
+    this.path = options.path || process.env.MAILBOX_PATH;
+    if (!this.path) {
+      throw new Error('MAILBOX_PATH is required for a local mailbox');
+    }
+    this.address = options.address || process.env.MAILBOX_ADDRESS || process.env.GMAIL_USER || 'school@localhost';
+    this.outboxPath = options.outboxPath || process.env.MAILBOX_OUTBOX || path.join(path.dirname(this.path), 'outbox');
+    this.smtp = options.smtp || (process.env.SMTP_HOST ? {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    } : null);
+  }
+
+  async loadState() {
+    try {
+      return JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return { read: [], important: [], labels: {} };
+    }
+  }
+
+  async saveState(state) {
+    await fs.writeFile(this.statePath, JSON.stringify(state, null, 2));
+  }
+
+  async applyLabel(messageId, labelName) {
+    await this.modifyLabels(messageId, { add: [labelName] });
+  }
+
+  // STARRED is kept with the important flag; local mailboxes have no INBOX to archive from
+  async modifyLabels(messageId, { add = [], remove = [] } = {}) {
+    const state = await this.loadState();
+    let labels = state.labels[messageId] || [];
+
+    for (const name of add) {
+      if (name === 'STARRED' && !state.important.includes(messageId)) state.important.push(messageId);
+      else if (!['STARRED', 'INBOX'].includes(name) && !labels.includes(name)) labels.push(name);
+    }
+    if (remove.includes('STARRED')) state.important = state.important.filter(id => id !== messageId);
+    labels = labels.filter(name => !remove.includes(name));
+
+    state.labels[messageId] = labels;
+    await this.saveState(state);
+  }
+
+  async markImportant(messageId) {
+    const state = await this.loadState();
+    if (!state.important.includes(messageId)) state.important.push(messageId);
+    await this.saveState(state);
+  }
+
+  toMessage(id, raw, state, unread) {
+    const payload = parseRawMessage(raw);
+    const labelIds = [...(state.labels[id] || [])];
+    if (unread) labelIds.push('UNREAD');
+    if (state.important.includes(id)) labelIds.push('IMPORTANT', 'STARRED');
+
+    return {
+      id,
+      threadId: deriveThreadId(payload.headers) || id,
+      labelIds,
+      payload
+    };
+  }
+
+  // Relay over SMTP when configured, otherwise drop an .eml into the outbox directory
+  async send(message) {
+    const mail = { from: this.address, ...message };
+
+    if (this.smtp) {
+      this.transporter = this.transporter || nodemailer.createTransport(this.smtp);
+      return this.transporter.sendMail(mail);
+    }
+
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const info = await transporter.sendMail(mail);
+    await fs.mkdir(this.outboxPath, { recursive: true });
+    const file = path.join(this.outboxPath, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(file, info.message);
+    console.log(`Outgoing email written to ${file}`);
+    return info;
+  }
+}
+
+// Maildir: new/ holds unseen mail, cur/ seen mail with flags after ":2,"
+class MaildirMailbox extends LocalMailbox {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'maildir';
+    this.statePath = path.join(this.path, '.yus-mailbox.json');
+  }
+
+  async listFiles() {
+    const files = [];
+    for (const folder of ['new', 'cur']) {
+      let entries = [];
+      try {
+        entries = await fs.readdir(path.join(this.path, folder));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      for (const entry of entries) {
+        if (entry.startsWith('.')) continue;
+        const [id, info = ''] = entry.split(':2,');
+        files.push({ id, folder, file: path.join(this.path, folder, entry), flags: info });
+      }
+    }
+    return files;
+  }
+
+  async findFile(messageId) {
+    const files = await this.listFiles();
+    const found = files.find(f => f.id === messageId);
+    if (!found) {
+      throw new Error(`Message ${messageId} not found in ${this.path}`);
+    }
+    return found;
+  }
+
+  isUnread(entry, state) {
+    return !entry.flags.includes('S') && !state.read.includes(entry.id);
+  }
+
+  async listUnread({ maxResults = 20 } = {}) {
+    const state = await this.loadState();
+    const files = (await this.listFiles()).filter(f => this.isUnread(f, state));
+
+    const withTimes = await Promise.all(files.map(async f => ({ ...f, mtime: (await fs.stat(f.file)).mtimeMs })));
+    withTimes.sort((a, b) => a.mtime - b.mtime);
+
+    const messages = [];
+    for (const entry of withTimes.slice(0, maxResults)) {
+      const { threadId } = this.toMessage(entry.id, await fs.readFile(entry.file, 'latin1'), state, true);
+      messages.push({ id: entry.id, threadId });
+    }
+    return messages;
+  }
+
+  async fetchMessage(messageId) {
+    const state = await this.loadState();
+    const entry = await this.findFile(messageId);
+    return this.toMessage(messageId, await fs.readFile(entry.file, 'latin1'), state, this.isUnread(entry, state));
+  }
+
+  async setFlag(messageId, flag) {
+    const entry = await this.findFile(messageId);
+    if (entry.folder === 'cur' && entry.flags.includes(flag)) return;
+
+    const flags = [...new Set((entry.flags + flag).split(''))].sort().join('');
+    await fs.mkdir(path.join(this.path, 'cur'), { recursive: true });
+    await fs.rename(entry.file, path.join(this.path, 'cur', `${entry.id}:2,${flags}`));
+  }
+
+  async markRead(messageId) {
+    await this.setFlag(messageId, 'S');
+  }
+
+  async markImportant(messageId) {
+    await this.setFlag(messageId, 'F');
+    await super.markImportant(messageId);
+  }
+}
+
+// mbox: one file, messages separated by "From " lines; read state lives in the sidecar
+class MboxMailbox extends LocalMailbox {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'mbox';
+    this.statePath = `${this.path}.yus-state.json`;
+  }
+
+  async readMessages() {
+    const content = await fs.readFile(this.path, 'latin1');
+    return content
+      .split(/^From .*\r?\n/m)
+      .filter(chunk => chunk.trim())
+      .map(chunk => {
+        // Undo mboxrd ">From " quoting
+        const raw = chunk.replace(/^>(>*From )/gm, '$1');
+        const messageId = headerValue(parseHeaders(raw.split(/\r?\n\r?\n/)[0]), 'Message-ID');
+        const id = crypto.createHash('sha1').update(messageId ? stripAngles(messageId) : raw).digest('hex').slice(0, 16);
+        return { id, raw };
+      });
+  }
+
+  isUnread(entry, state) {
+    const status = headerValue(parseHeaders(entry.raw.split(/\r?\n\r?\n/)[0]), 'Status');
+    return !status.includes('R') && !state.read.includes(entry.id);
+  }
+
+  async listUnread({ maxResults = 20 } = {}) {
+    const state = await this.loadState();
+    return (await this.readMessages())
+      .filter(entry => this.isUnread(entry, state))
+      .slice(0, maxResults)
+      .map(entry => ({ id: entry.id, threadId: this.toMessage(entry.id, entry.raw, state, true).threadId }));
+  }
+
+  async fetchMessage(messageId) {
+    const state = await this.loadState();
+    const entry = (await this.readMessages()).find(m => m.id === messageId);
+    if (!entry) {
+      throw new Error(`Message ${messageId} not found in ${this.path}`);
+    }
+    return this.toMessage(messageId, entry.raw, state, this.isUnread(entry, state));
+  }
+
+  async markRead(messageId) {
+    const state = await this.loadState();
+    if (!state.read.includes(messageId)) state.read.push(messageId);
+    await this.saveState(state);
+  }
+}
+
+module.exports = {
+  MaildirMailbox,
+  MboxMailbox
+};
@@ -0,0 +1,38 @@
+const GmailMailbox = require('./mailbox-gmail');
+const { MaildirMailbox, MboxMailbox } = require('./mailbox-local');
+
+// Every adapter implements the same operations:
+//   listUnread({ maxResults })       -> [{ id, threadId }]
+//   fetchMessage(id)                 -> { id, threadId, labelIds, payload } (Gmail API message format)
+//   fetchAttachment(id, attachmentId) -> Buffer (Gmail only; local mailboxes inline attachment data)
+//   applyLabel(id, labelName)
+//   modifyLabels(id, { add: [names], remove: [names] })
+//   markRead(id)
+//   markImportant(id)
+//   send({ to, subject, text, html, inReplyTo, references, icalEvent })
+const ADAPTERS = {
+  gmail: GmailMailbox,
+  maildir: MaildirMailbox,
+  mbox: MboxMailbox
+};
+
+function createMailbox(type = process.env.MAILBOX_TYPE || 'gmail', options = {}) {
+  const Adapter = ADAPTERS[type];
+  if (!Adapter) {
+    throw new Error(`Unknown mailbox type "${type}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return new Adapter(options);
+}
+
+// Gmail needs OAuth credentials, local mailboxes only a path
+function isMailboxConfigured(type = process.env.MAILBOX_TYPE || 'gmail') {
+  return type === 'gmail' ? Boolean(process.env.GMAIL_CLIENT_ID) : Boolean(process.env.MAILBOX_PATH);
+}
+
+module.exports = {
+  createMailbox,
+  isMailboxConfigured,
+  GmailMailbox,
+  MaildirMailbox,
+  MboxMailbox
+};
@@ -0,0 +1,123 @@
+const Mailbox = require('../models/mailbox.model');
+const { createMailbox } = require('./mailbox');
+const { CATEGORIES, FOLDER_LABELS } = require('./llm-provider');
+
+// Emails from the GMAIL_* / MAILBOX_* env mailbox (and every email stored before mailboxes existed)
+const DEFAULT_MAILBOX = 'default';
+
+const EDITABLE = ['name', 'address', 'type', 'enabled', 'credentials', 'path', 'smtp', 'schedule',
+  'categories', 'defaultAssignee', 'autoSendCategories', 'signature'];
+// Nested settings are set field by field, so leaving a secret blank keeps the stored one
+const NESTED = ['credentials', 'smtp', 'schedule'];
+const SECRETS = ['credentials.clientSecret', 'credentials.refreshToken', 'smtp.pass'];
+
+// Copy editable fields from a request body onto a Mailbox document
+function applyMailboxChanges(mailbox, body = {}) {
+  for (const key of EDITABLE) {
+    if (body[key] === undefined) continue;
+    if (!NESTED.includes(key) || !body[key] || typeof body[key] !== 'object') {
+      mailbox.set(key, body[key]);
+      continue;
+    }
+    for (const [field, value] of Object.entries(body[key])) {
+      const path = `${key}.${field}`;
+      if (SECRETS.includes(path) && (value === undefined || value === '')) continue;
+      mailbox.set(path, value === '' ? undefined : value);
+    }
+  }
+  // Only Gmail can sync, so a local mailbox saved without a schedule mode is polled
+  if (mailbox.type !== 'gmail' && !body.schedule?.mode) mailbox.set('schedule.mode', 'poll');
+  return mailbox;
+}
+
+// Problems with a mailbox configuration, as messages
+function validateMailbox(mailbox) {
+  const errors = [];
+  if (!/^[a-z0-9-]+$/.test(mailbox.name || '')) errors.push('name must be letters, numbers or dashes');
+  if (mailbox.name === DEFAULT_MAILBOX) errors.push(`"${DEFAULT_MAILBOX}" is reserved for the env-configured mailbox`);
+  if (!/^[^@\s]+@[^@\s]+$/.test(mailbox.address || '')) errors.push('address must be an email address');
+
+  if (mailbox.type === 'gmail') {
+    if (!mailbox.credentials?.refreshToken) errors.push('Gmail mailboxes need a refresh token');
+    if (!mailbox.credentials?.clientId && !process.env.GMAIL_CLIENT_ID) {
+      errors.push('Gmail mailboxes need a client id (or GMAIL_CLIENT_ID)');
+    }
+  } else {
+    if (!mailbox.path) errors.push(`${mailbox.type} mailboxes need a path`);
+    if (mailbox.schedule?.mode === 'sync') errors.push('local mailboxes can only be polled');
+  }
+
+  for (const field of ['categories', 'autoSendCategories']) {
+    const unknown = (mailbox[field] || []).filter(category => !CATEGORIES.includes(category));
+    if (unknown.length) errors.push(`unknown ${field}: ${unknown.join(', ')}`);
+  }
+  if (mailbox.defaultAssignee && !/^[^@\s]+@[^@\s]+$/.test(mailbox.defaultAssignee)) {
+    errors.push('defaultAssignee must be an email address');
+  }
+  return errors;
+}
+
+// Adapter for a Mailbox document; Gmail client id, secret and redirect URI fall back to the env vars
+function createMailboxFromConfig(config) {
+  if (config.type === 'gmail') {
+    return createMailbox('gmail', {
+      user: config.address,
+      clientId: config.credentials?.clientId,
+      clientSecret: config.credentials?.clientSecret,
+      redirectUri: config.credentials?.redirectUri,
+      refreshToken: config.credentials?.refreshToken
+    });
+  }
+
+  const smtp = config.smtp?.host ? {
+    host: config.smtp.host,
+    port: config.smtp.port || 587,
+    secure: Boolean(config.smtp.secure),
+    auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined
+  } : undefined;
+  return createMailbox(config.type, { path: config.path, address: config.address, smtp });
+}
+
+// How often to check a mailbox: { mode: 'sync' | 'poll', intervalMs }. The default mailbox keeps
+// the env settings: Gmail syncs every GMAIL_SYNC_INTERVAL_MS, local mailboxes are polled every 3 minutes.
+function scheduleFor(config, mailbox) {
+  const canSync = typeof mailbox.listHistory === 'function';
+  if (!config) {
+    return canSync
+      ? { mode: 'sync', intervalMs: Number(process.env.GMAIL_SYNC_INTERVAL_MS) || 60 * 1000 }
+      : { mode: 'poll', intervalMs: 3 * 60 * 1000 };
+  }
+  return {
+    mode: canSync && config.schedule?.mode !== 'poll' ? 'sync' : 'poll',
+    intervalMs: (config.schedule?.intervalMinutes || 1) * 60 * 1000
+  };
+}
+
+// Keep the analysis inside the mailbox's categories. Anything else is filed as general (or the
+// first allowed category), and its draft waits for review.
+function restrictCategory(analysis, config) {
+  const allowed = config?.categories || [];
+  if (!allowed.length || allowed.includes(analysis.category)) return analysis;
+
+  const category = allowed.includes('general') ? 'general' : allowed[0];
+  return {
+    ...analysis,
+    category,
+    folderLabel: FOLDER_LABELS[category],
+    reviewFlags: [...(analysis.reviewFlags || []), `${analysis.category} is not handled by the ${config.name} mailbox`]
+  };
+}
+
+function getEnabledMailboxes() {
+  return Mailbox.find({ enabled: true }).sort({ createdAt: 1 });
+}
+
+module.exports = {
+  DEFAULT_MAILBOX,
+  applyMailboxChanges,
+  validateMailbox,
+  createMailboxFromConfig,
+  scheduleFor,
+  restrictCategory,
+  getEnabledMailboxes
+};
@@ -0,0 +1,291 @@
+// Shared MIME handling for every mailbox adapter. Messages are in the Gmail API payload shape:
+// { mimeType, headers: [{ name, value }], body: { size, data, attachmentId }, parts, filename }
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“',
+  ndash: '–', mdash: '—', hellip: '…', copy: '©', reg: '®',
+  eacute: 'é', egrave: 'è', ecirc: 'ê', agrave: 'à', acirc: 'â',
+  ccedil: 'ç', ocirc: 'ô', icirc: 'î', ucirc: 'û', ugrave: 'ù', euml: 'ë'
+};
+
+function headerValue(headers = [], name) {
+  const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : '';
+}
+
+// Decode bytes in the declared charset, falling back to UTF-8 for unknown labels
+function decodeBytes(buffer, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset.trim().toLowerCase()).decode(buffer);
+  } catch (error) {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const cleaned = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < cleaned.length; i++) {
+    const hex = cleaned.substr(i + 1, 2);
+    if (cleaned[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(cleaned.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Decode RFC 2047 encoded words (=?UTF-8?B?...?=) in header values
+function decodeHeaderValue(value) {
+  return value
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeBytes(bytes, charset);
+    });
+}
+
+function parseHeaders(block) {
+  const headers = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length) {
+      headers[headers.length - 1].value += ' ' + line.trim();
+    } else if (line.includes(':')) {
+      const index = line.indexOf(':');
+      headers.push({ name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() });
+    }
+  }
+  return headers.map(h => ({ name: h.name, value: decodeHeaderValue(h.value) }));
+}
+
+// Parse a raw RFC 822 message (read as latin1 so bytes survive) into a Gmail-style payload.
+// Transfer encodings are undone here, like Gmail does; charsets are left to partText.
+function parseRawMessage(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerBlock = split === -1 ? raw : raw.slice(0, split);
+  const bodyText = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+  const headers = parseHeaders(headerBlock);
+
+  const contentType = headerValue(headers, 'Content-Type') || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  const payload = { mimeType, headers, body: { size: 0 } };
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = (contentType.match(/boundary="?([^";]+)"?/i) || [])[1];
+    if (boundary) {
+      const delimiter = `--${boundary}`;
+      payload.parts = bodyText
+        .split(delimiter)
+        .slice(1)
+        .filter(chunk => !chunk.startsWith('--'))
+        .map(chunk => parseRawMessage(chunk.replace(/^\r?\n/, '')));
+      return payload;
+    }
+  }
+
+  const encoding = headerValue(headers, 'Content-Transfer-Encoding').toLowerCase();
+  let bytes;
+  if (encoding === 'base64') {
+    bytes = Buffer.from(bodyText.replace(/\s+/g, ''), 'base64');
+  } else if (encoding === 'quoted-printable') {
+    bytes = decodeQuotedPrintable(bodyText);
+  } else {
+    bytes = Buffer.from(bodyText, 'latin1');
+  }
+
+  const filename = (headerValue(headers, 'Content-Disposition').match(/filename="?([^";]+)"?/i) || [])[1]
+    || (contentType.match(/name="?([^";]+)"?/i) || [])[1];
+  if (filename) payload.filename = filename;
+  payload.body = { size: bytes.length, data: bytes.toString('base64') };
+  return payload;
+}
+
+// Visit every leaf part of a payload
+function walkParts(payload, visit) {
+  if (!payload) return;
+  if (payload.parts && payload.parts.length) {
+    payload.parts.forEach(part => walkParts(part, visit));
+  } else {
+    visit(payload);
+  }
+}
+
+function isAttachment(part) {
+  return Boolean(part.filename) || /^attachment/i.test(headerValue(part.headers, 'Content-Disposition'));
+}
+
+// Attachment parts in message order: { index, filename, mimeType, size, attachmentId, data }.
+// Gmail only sends an attachmentId (fetch the bytes separately); parsed local mail carries data inline.
+function listAttachments(payload) {
+  const attachments = [];
+  walkParts(payload, part => {
+    if (!isAttachment(part)) return;
+    attachments.push({
+      index: attachments.length,
+      filename: part.filename || 'attachment',
+      mimeType: (part.mimeType || 'application/octet-stream').toLowerCase(),
+      size: part.body?.size || 0,
+      attachmentId: part.body?.attachmentId,
+      data: part.body?.data
+    });
+  });
+  return attachments;
+}
+
+// Text of one leaf part, decoded from base64 and its charset. The transfer encoding is already undone:
+// Gmail sends decoded bytes, and parseRawMessage decodes local mail.
+function partText(part) {
+  if (!part.body?.data) return '';
+
+  const bytes = Buffer.from(part.body.data, 'base64');
+  const charset = (headerValue(part.headers, 'Content-Type').match(/charset="?([^";]+)"?/i) || [])[1] || 'utf-8';
+  return decodeBytes(bytes, charset);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Convert HTML to readable plain text
+function htmlToText(html, { dropQuotes = false } = {}) {
+  let text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  if (dropQuotes) {
+    text = text
+      // Gmail and Outlook put the quoted history at the end of the message
+      .replace(/<div[^>]+class="?[^">]*gmail_quote[\s\S]*$/i, '')
+      .replace(/<div[^>]+id="?(?:divRplyFwdMsg|appendonsend)[\s\S]*$/i, '')
+      .replace(/<blockquote[\s\S]*?<\/blockquote>/gi, '');
+  }
+
+  text = text
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/(p|div|h[1-6]|tr|table|ul|ol|blockquote)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|tr|table)[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeWhitespace(decodeEntities(text));
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Lines that start the quoted previous message in a reply
+const QUOTE_HEADERS = [
+  /^On .{5,200}wrote:\s*$/,
+  /^Le .{5,200}a écrit\s?:\s*$/,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}\s*$/
+];
+
+// Drop the quoted history of a reply: "On ... wrote:" blocks, Outlook headers and "> " lines
+function stripQuotedReply(text) {
+  const lines = text.split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // "On Mon, Jan 1, 2024 at 9:00 AM Jane <jane@x.com>" is often wrapped onto two lines
+    const joined = `${line} ${lines[i + 1] || ''}`.trim();
+
+    const isOutlookHeader = /^From: .+$/.test(line) && /^(Sent|Date): /.test(lines[i + 1] || '');
+    const isQuoteHeader = QUOTE_HEADERS.some(re => re.test(line.trim()) || re.test(joined));
+    if (kept.length && (isQuoteHeader || isOutlookHeader)) break;
+
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n');
+}
+
+const SIGNATURE_MARKERS = [
+  /^-- ?$/,
+  /^Sent from my (iPhone|iPad|Android|Samsung|mobile|Galaxy|BlackBerry)/i,
+  /^Get Outlook for (iOS|Android)/i,
+  /^Envoyé de mon (iPhone|iPad)/i
+];
+
+// Cut at the standard "-- " delimiter or a mobile client footer
+function stripSignature(text) {
+  const lines = text.split('\n');
+  const index = lines.findIndex((line, i) => i > 0 && SIGNATURE_MARKERS.some(re => re.test(line.trim())));
+  return index === -1 ? text : lines.slice(0, index).join('\n');
+}
+
+// Extract the body of a message: prefers text/plain, falls back to HTML converted to text.
+// raw is the full decoded body (HTML source when only HTML was sent), cleaned is what the AI should read.
+function extractBody(payload) {
+  const plain = [];
+  const html = [];
+
+  walkParts(payload, part => {
+    if (isAttachment(part)) return;
+    const mimeType = (part.mimeType || '').toLowerCase();
+    if (mimeType === 'text/plain') plain.push(partText(part));
+    else if (mimeType === 'text/html') html.push(partText(part));
+  });
+
+  if (plain.length) {
+    const raw = plain.join('\n');
+    return { format: 'text', raw, cleaned: cleanText(raw) };
+  }
+  if (html.length) {
+    const raw = html.join('\n');
+    return { format: 'html', raw, cleaned: cleanText(htmlToText(raw, { dropQuotes: true })) };
+  }
+  return { format: 'text', raw: '', cleaned: '' };
+}
+
+// When the message reached the mailbox: Gmail's internalDate, or the Date header for local mail.
+// Null when neither is usable; a date in the future is taken as now.
+function messageDate(message, now = new Date()) {
+  const date = message?.internalDate
+    ? new Date(Number(message.internalDate))
+    : new Date(headerValue(message?.payload?.headers, 'Date'));
+  if (isNaN(date)) return null;
+  return date > now ? now : date;
+}
+
+function cleanText(text) {
+  return normalizeWhitespace(stripSignature(stripQuotedReply(normalizeWhitespace(text))));
+}
+
+module.exports = {
+  headerValue,
+  decodeBytes,
+  decodeQuotedPrintable,
+  decodeHeaderValue,
+  parseHeaders,
+  parseRawMessage,
+  walkParts,
+  isAttachment,
+  listAttachments,
+  partText,
+  htmlToText,
+  stripQuotedReply,
+  stripSignature,
+  extractBody,
+  messageDate
+};
@@ -0,0 +1,192 @@
+const OutboundMessage = require('../models/outbound-message.model');
+const Email = require('../models/email.model');
+const { recordTourOffer } = require('./tours');
+
+// Fields handed to mailbox.send
+const MESSAGE_FIELDS = ['to', 'subject', 'text', 'html', 'inReplyTo', 'references', 'icalEvent'];
+const RETRY_BASE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A message claimed this long ago whose sender never finished is queued again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const maxAttempts = () => Number(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+
+// Wait before the next attempt: 1, 4, 16, 64 minutes... at most 6 hours
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 4 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function messageFields(source) {
+  const message = {};
+  for (const field of MESSAGE_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) message[field] = source[field];
+  }
+  return message;
+}
+
+// Copy a reply's delivery state onto its email: sent, failed for good, or queued for another try
+function applyReplyDelivery(emailDoc, outbound) {
+  const reply = emailDoc.reply;
+  reply.outboundId = outbound._id;
+
+  if (outbound.status === 'sent') {
+    reply.status = 'sent';
+    reply.sentAt = outbound.sentAt;
+    reply.error = undefined;
+    emailDoc.requiresAction = false;
+    if (emailDoc.sla?.dueAt && !emailDoc.sla.respondedAt) emailDoc.sla.respondedAt = reply.sentAt;
+    emailDoc.actionTaken = reply.autoApproved ? 'auto-responded' : `reply approved by ${reply.approvedBy}`;
+  } else if (outbound.status === 'failed') {
+    reply.status = 'failed';
+    reply.error = `Send failed after ${outbound.attempts} attempts: ${outbound.lastError}`;
+  } else {
+    reply.status = 'queued';
+    reply.error = outbound.lastError ? `Retrying: ${outbound.lastError}` : undefined;
+  }
+  return emailDoc;
+}
+
+// Every email the app sends goes through here: it is stored first, tried straight away, and retried with
+// backoff until it is sent or maxAttempts is reached (status failed, shown on the outbox page for a resend).
+// With several mailboxes, options.resolve(name) finds the one a message goes out from.
+class Outbox {
+  constructor(mailbox, options = {}) {
+    this.mailbox = mailbox;
+    this.resolve = options.resolve;
+    this.running = false;
+  }
+
+  // The named mailbox, or the default one when no name is given
+  mailboxFor(name) {
+    return this.resolve ? this.resolve(name) : this.mailbox;
+  }
+
+  // Address mail from that mailbox is sent as
+  fromAddress(name) {
+    const mailbox = this.mailboxFor(name);
+    return mailbox?.user || mailbox?.address;
+  }
+
+  // message: the mailbox.send fields. Resolves the OutboundMessage, sent or queued for a retry;
+  // only throws when the message cannot be stored. mailbox names the mailbox to send from.
+  async send(message, { kind = 'notification', emailId, createdBy = 'system', mailbox } = {}) {
+    const outbound = await OutboundMessage.create({
+      ...messageFields(message),
+      kind,
+      emailId,
+      mailbox,
+      createdBy,
+      maxAttempts: maxAttempts(),
+      status: 'sending',
+      lockedAt: new Date()
+    });
+    return this.deliver(outbound);
+  }
+
+  // One attempt at a message already claimed (status sending)
+  async deliver(outbound) {
+    outbound.attempts += 1;
+    try {
+      // A retry goes out from the same mailbox, and waits while that mailbox is disabled
+      const mailbox = this.mailboxFor(outbound.mailbox);
+      if (!mailbox) throw new Error(`Mailbox ${outbound.mailbox || 'default'} is not configured`);
+      const info = await mailbox.send(messageFields(outbound));
+      outbound.status = 'sent';
+      outbound.sentAt = new Date();
+      outbound.providerMessageId = info?.messageId;
+      outbound.lastError = undefined;
+    } catch (error) {
+      console.error(`Error sending ${outbound.kind} to ${outbound.to} (attempt ${outbound.attempts}):`, error);
+      outbound.lastError = error.message;
+      outbound.failures.push({ error: error.message });
+      if (outbound.attempts >= outbound.maxAttempts) {
+        outbound.status = 'failed';
+      } else {
+        outbound.status = 'queued';
+        outbound.nextAttemptAt = new Date(Date.now() + retryDelay(outbound.attempts));
+      }
+    }
+
+    outbound.lockedAt = undefined;
+    await outbound.save();
+    return outbound;
+  }
+
+  // Replies also record the result on their email, unless it has since been approved again
+  async syncReply(outbound) {
+    if (outbound.kind !== 'reply' || !outbound.emailId) return;
+    const emailDoc = await Email.findById(outbound.emailId);
+    if (!emailDoc || String(emailDoc.reply?.outboundId) !== String(outbound._id)) return;
+
+    applyReplyDelivery(emailDoc, outbound);
+    await recordTourOffer(emailDoc);
+    await emailDoc.save();
+  }
+
+  // Background job: retry every message that is due. Each one is claimed first, so two
+  // servers never send the same message.
+  async processDue(now = new Date()) {
+    if (this.running) return [];
+    this.running = true;
+
+    const processed = [];
+    try {
+      await OutboundMessage.updateMany(
+        { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        { status: 'queued', nextAttemptAt: now }
+      );
+
+      let outbound;
+      while ((outbound = await OutboundMessage.findOneAndUpdate(
+        { status: 'queued', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: new Date() },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      ))) {
+        await this.deliver(outbound);
+        await this.syncReply(outbound);
+        processed.push(outbound);
+      }
+    } catch (error) {
+      console.error('Error processing outbox:', error);
+    } finally {
+      this.running = false;
+    }
+    return processed;
+  }
+
+  // Staff resend a failed message: attempts start again from zero. Null when it is not failed.
+  async resend(id, by) {
+    const outbound = await OutboundMessage.findOneAndUpdate(
+      { _id: id, status: 'failed' },
+      { status: 'sending', lockedAt: new Date(), attempts: 0, resentBy: by, resentAt: new Date() },
+      { new: true }
+    );
+    if (!outbound) return null;
+
+    await this.deliver(outbound);
+    await this.syncReply(outbound);
+    return outbound;
+  }
+
+  start(interval = Number(process.env.OUTBOX_INTERVAL_MS) || 60 * 1000) {
+    this.processDue();
+    setInterval(() => {
+      this.processDue();
+    }, interval);
+  }
+}
+
+// Number of messages per status, for the outbox page tabs
+async function getOutboxCounts() {
+  const rows = await OutboundMessage.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+  const counts = { queued: 0, sending: 0, sent: 0, failed: 0 };
+  for (const row of rows) counts[row._id] = row.count;
+  return counts;
+}
+
+module.exports = {
+  Outbox,
+  applyReplyDelivery,
+  retryDelay,
+  getOutboxCounts
+};
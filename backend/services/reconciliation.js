@@ -0,0 +1,200 @@
+const Student = require('../models/student.model');
+const Payment = require('../models/payment.model');
+const Email = require('../models/email.model');
+const { User } = require('../models/models-combined');
+const Helpers = require('../utils/helpers');
+
+const RECONCILIATION_STATUSES = ['proposed', 'confirmed', 'exception', 'dismissed'];
+// Notifications sent by the bank, not the parent: the sender address says nothing about who paid
+const BANK_SENDER = /interac|notify@|no-?reply/i;
+
+// "1,250.00", "1 250,00", "$850" -> 1250, 1250, 850; null when there is no usable amount
+function parseAmount(value) {
+  if (value === null || value === undefined) return null;
+  let text = String(value).replace(/[$\s]|CAD/gi, '');
+  text = /,\d{2}$/.test(text) && !text.includes('.')
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  const amount = Math.round(Number(text) * 100) / 100;
+  return Number.isFinite(amount) && amount > 0 ? amount : null;
+}
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+// Children of whoever paid: the sender when a parent wrote in, and parent accounts whose name
+// matches the payer name on the transfer
+async function findPayerStudents(from, payerName) {
+  const ids = new Set();
+  const address = Helpers.normalizeEmail(from);
+  if (address && !BANK_SENDER.test(address)) {
+    for (const student of await Student.find({ parentEmails: address }).select('_id')) ids.add(String(student._id));
+  }
+
+  const name = Helpers.normalizeName(payerName);
+  if (name) {
+    const parents = (await User.find({ role: 'parent' }).select('name'))
+      .filter(user => Helpers.normalizeName(user.name) === name);
+    if (parents.length) {
+      const students = await Student.find({ parentId: { $in: parents.map(p => p._id) } }).select('_id');
+      for (const student of students) ids.add(String(student._id));
+    }
+  }
+  return [...ids];
+}
+
+// Match a payment email against pending invoices. Returns the email's reconciliation record:
+// "proposed" with the invoice to mark paid, or "exception" with the reason nothing was proposed.
+async function matchPayment(emailDoc, extractedData = {}) {
+  const paidOn = Helpers.parseDate(extractedData.paymentDate);
+  const record = {
+    amount: parseAmount(extractedData.paymentAmount),
+    reference: extractedData.paymentReference || undefined,
+    payer: extractedData.payerName || undefined,
+    paidOn: paidOn && paidOn.getFullYear() >= 2000 ? paidOn : emailDoc.received || new Date()
+  };
+  const exception = (issue) => ({ ...record, status: 'exception', issue });
+
+  if (!record.amount) return exception('no amount found in the email');
+
+  if (record.reference) {
+    const recorded = await Payment.findOne({ 'transactions.transactionId': record.reference }).select('invoiceNumber');
+    if (recorded) return exception(`reference ${record.reference} is already recorded on invoice ${recorded.invoiceNumber || recorded._id}`);
+
+    // A parent quoting the invoice number is the strongest match
+    const invoice = await Payment.findOne({ invoiceNumber: record.reference.toUpperCase(), status: 'pending' });
+    if (invoice) {
+      return sameAmount(invoice.amount, record.amount)
+        ? { ...record, status: 'proposed', paymentId: invoice._id, matchedBy: 'invoice number' }
+        : exception(`invoice ${invoice.invoiceNumber} is for $${invoice.amount.toFixed(2)}, the email says $${record.amount.toFixed(2)}`);
+    }
+  }
+
+  const studentIds = await findPayerStudents(emailDoc.from, record.payer);
+  if (!studentIds.length) return exception('payer is not a known parent');
+
+  const invoices = await Payment.find({ studentId: { $in: studentIds }, status: 'pending' }).sort({ dueDate: 1 });
+  const matching = invoices.filter(invoice => sameAmount(invoice.amount, record.amount));
+  if (!matching.length) {
+    return exception(invoices.length
+      ? `no open invoice for $${record.amount.toFixed(2)} (family has ${invoices.length} open)`
+      : 'family has no open invoices');
+  }
+
+  return {
+    ...record,
+    status: 'proposed',
+    paymentId: matching[0]._id,
+    matchedBy: 'parent and amount',
+    // Several invoices of the same amount: the oldest is proposed, staff can pick another
+    issue: matching.length > 1 ? `${matching.length} open invoices of this amount, oldest proposed` : undefined
+  };
+}
+
+// Staff accept the proposal (or pick another invoice) and the invoice is marked paid. The email and the invoice
+// are claimed in the database first, so of two staff confirming at once only one records the payment.
+async function confirmReconciliation(emailDoc, { paymentId, by } = {}) {
+  const record = emailDoc.reconciliation;
+  const previous = record?.status;
+  if (!['proposed', 'exception'].includes(previous)) {
+    throw new Error(`Reconciliation is ${previous || 'missing'}, only proposed matches or exceptions can be confirmed`);
+  }
+
+  const payment = await Payment.findById(paymentId || record.paymentId);
+  if (!payment) throw new Error('Choose an invoice to mark paid');
+  if (payment.status !== 'pending') throw new Error(`Invoice is already ${payment.status}`);
+
+  const reviewedAt = new Date();
+  const claimed = await Email.findOneAndUpdate(
+    { _id: emailDoc._id, 'reconciliation.status': { $in: ['proposed', 'exception'] } },
+    { 'reconciliation.status': 'confirmed', 'reconciliation.reviewedBy': by, 'reconciliation.reviewedAt': reviewedAt },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new Error('Reconciliation is already being confirmed');
+  }
+
+  const release = () => Email.updateOne(
+    { _id: emailDoc._id, 'reconciliation.status': 'confirmed' },
+    { 'reconciliation.status': previous, $unset: { 'reconciliation.reviewedBy': 1, 'reconciliation.reviewedAt': 1 } }
+  );
+
+  const invoice = await Payment.updateOne({ _id: payment._id, status: 'pending' }, { status: 'completed' });
+  if (!invoice.modifiedCount) {
+    await release();
+    throw new Error('Invoice is already paid');
+  }
+
+  try {
+    await payment.markAsPaid({
+      transactionId: record.reference,
+      processor: BANK_SENDER.test(emailDoc.from || '') ? 'e-transfer' : 'manual',
+      processedAt: record.paidOn,
+      amount: record.amount || payment.amount,
+      emailId: emailDoc._id
+    }, by);
+  } catch (error) {
+    // Nothing was recorded; let the payment be confirmed again
+    await Payment.updateOne({ _id: payment._id, status: 'completed' }, { status: 'pending' });
+    await release();
+    throw error;
+  }
+
+  record.status = 'confirmed';
+  record.paymentId = payment._id;
+  record.reviewedBy = by;
+  record.reviewedAt = reviewedAt;
+  emailDoc.requiresAction = false;
+  emailDoc.actionTaken = `payment recorded on invoice ${payment.invoiceNumber || payment._id}`;
+  await emailDoc.save();
+  return emailDoc;
+}
+
+// A wrong proposal moves to the exceptions list
+async function rejectReconciliation(emailDoc, { reason, by } = {}) {
+  const record = emailDoc.reconciliation;
+  if (record?.status !== 'proposed') {
+    throw new Error(`Reconciliation is ${record?.status || 'missing'}, only proposed matches can be rejected`);
+  }
+
+  record.status = 'exception';
+  record.issue = `match rejected by ${by}${reason ? `: ${reason}` : ''}`;
+  record.paymentId = undefined;
+  record.reviewedBy = by;
+  record.reviewedAt = new Date();
+  await emailDoc.save();
+  return emailDoc;
+}
+
+// Not a payment after all, or settled outside the app
+async function dismissReconciliation(emailDoc, { by } = {}) {
+  if (!emailDoc.reconciliation?.status || emailDoc.reconciliation.status === 'confirmed') {
+    throw new Error('Only open reconciliations can be dismissed');
+  }
+
+  emailDoc.reconciliation.status = 'dismissed';
+  emailDoc.reconciliation.reviewedBy = by;
+  emailDoc.reconciliation.reviewedAt = new Date();
+  emailDoc.requiresAction = false;
+  await emailDoc.save();
+  return emailDoc;
+}
+
+// Queue (proposed) or exceptions list, oldest first, with the proposed invoice filled in
+function listReconciliations(status = 'proposed', limit = 100) {
+  return Email.find({ 'reconciliation.status': status })
+    .select('messageId threadId from subject received studentId reconciliation')
+    .populate('reconciliation.paymentId')
+    .sort({ received: 1 })
+    .limit(limit);
+}
+
+module.exports = {
+  RECONCILIATION_STATUSES,
+  parseAmount,
+  findPayerStudents,
+  matchPayment,
+  confirmReconciliation,
+  rejectReconciliation,
+  dismissReconciliation,
+  listReconciliations
+};
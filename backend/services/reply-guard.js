@@ -0,0 +1,109 @@
+const Email = require('../models/email.model');
+const Helpers = require('../utils/helpers');
+const { headerValue } = require('./mime-parser');
+
+// Local parts of addresses that belong to systems, not people
+const SYSTEM_SENDER = /^(?:no-?reply|do-?not-?reply|donotreply|mailer-daemon|postmaster|bounces?|notifications?|alerts?|automated|auto-?confirm|daemon)(?:[+._-].*)?$/i;
+// Out-of-office replies and bounces that arrive without the proper headers
+const AUTOMATED_SUBJECT = /^\s*(?:auto(?:matic)?[ -]?reply|out of (?:the )?office|away from (?:the )?office|r[ée]ponse automatique|absent(?:e)? du bureau|undeliverable|undelivered mail|delivery status notification|mail delivery (?:failed|subsystem)|returned mail)\b/i;
+const DEFAULT_WINDOW_HOURS = 24;
+
+// Addresses of the monitored mailboxes, set whenever they are (re)loaded
+let mailboxAddresses = [];
+
+function setMailboxAddresses(addresses) {
+  mailboxAddresses = addresses;
+}
+
+// Addresses this app sends from; replying to them would talk to ourselves
+function ownAddresses() {
+  return [process.env.GMAIL_USER, process.env.MAILBOX_ADDRESS, process.env.SMTP_USER, ...mailboxAddresses]
+    .map(address => Helpers.normalizeEmail(address))
+    .filter(Boolean);
+}
+
+// Extra senders never to auto-reply to: addresses or @domains, comma separated
+function blockedSenders() {
+  return (process.env.AUTO_REPLY_BLOCKED_SENDERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// Why mail carrying these headers must not get an automatic reply (RFC 3834), or null
+function headerBlockReason(headers = []) {
+  const autoSubmitted = headerValue(headers, 'Auto-Submitted').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return `Auto-Submitted: ${autoSubmitted}`;
+
+  if (headerValue(headers, 'List-Id')) return 'mailing list (List-Id)';
+  if (headerValue(headers, 'List-Unsubscribe')) return 'mailing list (List-Unsubscribe)';
+
+  const precedence = headerValue(headers, 'Precedence').toLowerCase();
+  if (['bulk', 'list', 'junk', 'auto_reply'].includes(precedence)) return `Precedence: ${precedence}`;
+
+  const returnPath = headerValue(headers, 'Return-Path');
+  if (returnPath && /^<\s*>$/.test(returnPath.trim())) return 'bounce (empty Return-Path)';
+
+  if (headerValue(headers, 'X-Autoreply') || headerValue(headers, 'X-Autorespond')) return 'auto-reply header';
+  if (/\b(?:all|oof|autoreply)\b/i.test(headerValue(headers, 'X-Auto-Response-Suppress'))) {
+    return `X-Auto-Response-Suppress: ${headerValue(headers, 'X-Auto-Response-Suppress')}`;
+  }
+  if (/multipart\/report/i.test(headerValue(headers, 'Content-Type'))) return 'delivery report';
+
+  return null;
+}
+
+// Why this sender must not get an automatic reply, or null
+// Replying to one of our own addresses would talk to ourselves, even when staff send it
+function ownAddressReason(from) {
+  return ownAddresses().includes(Helpers.normalizeEmail(from)) ? 'sent from our own address' : null;
+}
+
+function senderBlockReason(from) {
+  const address = Helpers.normalizeEmail(from);
+  if (!address || !address.includes('@')) return 'no sender address';
+
+  const [localPart, domain] = address.split('@');
+  const own = ownAddressReason(address);
+  if (own) return own;
+  if (SYSTEM_SENDER.test(localPart)) return `system sender (${address})`;
+  if (blockedSenders().some(entry => entry === address || (entry.startsWith('@') && `@${domain}` === entry))) {
+    return `blocked sender (${address})`;
+  }
+  return null;
+}
+
+// Checked when an email arrives, while its headers are still at hand
+function incomingBlockReason({ from, subject, headers }) {
+  return headerBlockReason(headers)
+    || senderBlockReason(from)
+    || (AUTOMATED_SUBJECT.test(subject || '') ? 'automated subject (out of office or bounce)' : null);
+}
+
+// At most one automatic reply per sender and thread within AUTO_REPLY_WINDOW_HOURS
+async function recentAutoReply(emailDoc, now = new Date()) {
+  const hours = Number(process.env.AUTO_REPLY_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS;
+  if (!emailDoc.threadId) return null;
+
+  const sender = Helpers.normalizeEmail(emailDoc.from);
+  // A reply still being retried by the outbox counts as sent
+  const replied = await Email.find({
+    _id: { $ne: emailDoc._id },
+    threadId: emailDoc.threadId,
+    'reply.autoApproved': true,
+    $or: [
+      { 'reply.status': 'sent', 'reply.sentAt': { $gte: new Date(now.getTime() - hours * 60 * 60 * 1000) } },
+      { 'reply.status': { $in: ['sending', 'queued'] } }
+    ]
+  }).select('from');
+
+  return replied.some(e => Helpers.normalizeEmail(e.from) === sender)
+    ? `already auto-replied to ${sender} in this thread in the last ${hours}h`
+    : null;
+}
+
+module.exports = {
+  headerBlockReason,
+  senderBlockReason,
+  ownAddressReason,
+  incomingBlockReason,
+  recentAutoReply,
+  setMailboxAddresses
+};
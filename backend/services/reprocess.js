@@ -0,0 +1,207 @@
+const Email = require('../models/email.model');
+const { loadRules, evaluateRules } = require('./rules-engine');
+const { restrictCategory } = require('./mailboxes');
+
+// Fields a re-run can change, and that can be applied one by one
+const REPROCESS_FIELDS = ['category', 'urgency', 'extractedData'];
+const MAX_BATCH = 500;
+
+// Emails to re-run: { from, to, category, processingVersion, ids }. processingVersion "none" selects
+// emails analysed before versions were stamped.
+function buildFilter({ from, to, category, processingVersion, ids } = {}) {
+  const filter = {};
+  if (ids?.length) filter._id = { $in: ids };
+  if (from || to) {
+    filter.received = {};
+    if (from) filter.received.$gte = new Date(from);
+    if (to) filter.received.$lt = new Date(to);
+  }
+  if (category) filter.category = category;
+  if (processingVersion) {
+    filter.processingVersion = processingVersion === 'none' ? null : processingVersion;
+  }
+  return filter;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// { category: { from, to }, urgency: { from, to }, extractedData: { field: { from, to } } }, only what changed
+function diffAnalysis(email, result) {
+  const changes = {};
+  for (const field of ['category', 'urgency']) {
+    if (email[field] !== result[field]) {
+      changes[field] = { from: email[field], to: result[field] };
+    }
+  }
+
+  const before = email.extractedData || {};
+  const after = result.extractedData || {};
+  const data = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!sameValue(before[key], after[key])) {
+      data[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  if (Object.keys(data).length) changes.extractedData = data;
+
+  return changes;
+}
+
+// Headers are not stored, so header conditions in routing rules cannot match on a re-run
+async function reanalyze(emailAI, email, rules) {
+  const { actions } = evaluateRules(rules, { from: email.from, subject: email.subject, body: email.body, headers: [] });
+  const analyzed = await emailAI.analyzeWithRules({
+    from: email.from || '',
+    subject: email.subject || '',
+    body: email.body || '',
+    threadId: email.threadId,
+    messageId: email.messageId,
+    before: email.received,
+    feature: 'reprocess'
+  }, actions);
+
+  // Same as processEmail: a category set by a rule stands, otherwise the mailbox's category set applies
+  return actions.category ? analyzed : restrictCategory(analyzed, emailAI.mailboxes.get(email.mailbox)?.config);
+}
+
+// Copy the chosen fields from a history entry onto the email, keeping the values they replace
+function applyEntry(email, entry, fields, appliedBy) {
+  const applied = fields.filter(field => REPROCESS_FIELDS.includes(field));
+  entry.previous = { processingVersion: email.processingVersion };
+
+  for (const field of applied) {
+    entry.previous[field] = email[field];
+    email[field] = entry[field];
+  }
+  if (applied.includes('category')) {
+    entry.previous.folderLabel = email.folderLabel;
+    entry.previous.requiresAction = email.requiresAction;
+    email.folderLabel = entry.folderLabel;
+    email.requiresAction = entry.requiresAction;
+  }
+  if (applied.includes('extractedData')) email.markModified('extractedData');
+
+  email.processingVersion = entry.processingVersion;
+  email.processedAt = new Date();
+  entry.applied = true;
+  entry.appliedFields = applied;
+  entry.appliedAt = new Date();
+  entry.appliedBy = appliedBy;
+  return applied;
+}
+
+// Move the email to its category label in the mailbox and create the waitlist entry when it moved into waitlist.
+// Also used when staff re-categorize an email from the inbox.
+async function followUp(emailAI, email, applied) {
+  if (!applied.includes('category')) return;
+
+  await emailAI.syncMailboxLabels(email);
+  if (email.category === 'waitlist' && email.extractedData) {
+    await emailAI.saveWaitlistEntry(email.extractedData, email.messageId, email.threadId, { from: email.from });
+  }
+}
+
+// Re-run the analysis over the matching emails, oldest first. Every run is kept in analysisHistory;
+// a dry run only records it, otherwise all changed fields are applied straight away.
+async function reprocessEmails(emailAI, criteria = {}, { dryRun = true, limit = 100, by } = {}) {
+  const emails = await Email.find(buildFilter(criteria))
+    .sort({ received: 1 })
+    .limit(Math.min(Number(limit) || 100, MAX_BATCH));
+  const rules = await loadRules();
+
+  const results = [];
+  for (const email of emails) {
+    const result = {
+      emailId: email._id,
+      messageId: email.messageId,
+      subject: email.subject,
+      received: email.received
+    };
+
+    try {
+      const analysis = await reanalyze(emailAI, email, rules);
+      email.analysisHistory.push({
+        processingVersion: analysis.processingVersion,
+        analyzedAt: new Date(),
+        category: analysis.category,
+        urgency: analysis.urgency,
+        requiresAction: analysis.requiresAction,
+        folderLabel: analysis.folderLabel,
+        extractedData: analysis.extractedData
+      });
+      const entry = email.analysisHistory[email.analysisHistory.length - 1];
+
+      result.processingVersion = { from: email.processingVersion || null, to: analysis.processingVersion };
+      result.changes = diffAnalysis(email, analysis);
+      result.applied = dryRun ? [] : applyEntry(email, entry, Object.keys(result.changes), by);
+      await email.save();
+      await followUp(emailAI, email, result.applied);
+    } catch (error) {
+      console.error(`Error reprocessing email ${email.messageId}:`, error);
+      result.error = error.message;
+    }
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    total: results.length,
+    changed: results.filter(r => r.changes && Object.keys(r.changes).length).length,
+    failed: results.filter(r => r.error).length,
+    results
+  };
+}
+
+// Apply reviewed dry-run results: [{ emailId, fields: ['category', ...] }]. Uses each email's latest
+// unapplied re-run, so the model is not called again.
+async function applyReprocessed(emailAI, selections = [], by) {
+  const results = [];
+  for (const { emailId, fields = REPROCESS_FIELDS } of selections) {
+    try {
+      const email = await Email.findById(emailId);
+      const entry = email && [...email.analysisHistory].reverse().find(h => !h.applied);
+      if (!entry) {
+        results.push({ emailId, error: 'No pending re-run for this email' });
+        continue;
+      }
+
+      const applied = applyEntry(email, entry, fields, by);
+      await email.save();
+      await followUp(emailAI, email, applied);
+      results.push({ emailId, processingVersion: entry.processingVersion, applied });
+    } catch (error) {
+      console.error(`Error applying re-run for email ${emailId}:`, error);
+      results.push({ emailId, error: error.message });
+    }
+  }
+  return results;
+}
+
+// How many emails each processing version currently owns, with its category split
+async function getVersionSummary() {
+  const rows = await Email.aggregate([
+    { $group: { _id: { version: '$processingVersion', category: '$category' }, count: { $sum: 1 } } },
+    { $sort: { '_id.version': 1, '_id.category': 1 } }
+  ]);
+
+  const versions = {};
+  for (const row of rows) {
+    const key = row._id.version || 'none';
+    versions[key] = versions[key] || { processingVersion: key, total: 0, categories: {} };
+    versions[key].total += row.count;
+    versions[key].categories[row._id.category] = row.count;
+  }
+  return Object.values(versions);
+}
+
+module.exports = {
+  REPROCESS_FIELDS,
+  buildFilter,
+  diffAnalysis,
+  reprocessEmails,
+  applyReprocessed,
+  followUp,
+  getVersionSummary
+};
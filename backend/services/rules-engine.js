@@ -0,0 +1,135 @@
+const Rule = require('../models/rule.model');
+const { headerValue } = require('./mime-parser');
+const { FOLDER_LABELS } = require('./llm-provider');
+const Helpers = require('../utils/helpers');
+
+const ACTION_KEYS = ['category', 'urgency', 'label', 'assignee', 'skipAutoRespond', 'skipAI'];
+
+// Values compared case-insensitively; "matches" takes a regular expression
+const OPERATORS = {
+  contains: (actual, expected) => actual.includes(expected),
+  equals: (actual, expected) => actual === expected,
+  startsWith: (actual, expected) => actual.startsWith(expected),
+  endsWith: (actual, expected) => actual.endsWith(expected),
+  matches: (actual, expected) => new RegExp(expected, 'i').test(actual)
+};
+
+// The text a condition looks at: { from, subject, body, headers }
+function fieldValue(email, condition) {
+  switch (condition.field) {
+    case 'from':
+      return Helpers.normalizeEmail(email.from) || '';
+    case 'domain':
+      return (Helpers.normalizeEmail(email.from) || '').split('@')[1] || '';
+    case 'subject':
+      return email.subject || '';
+    case 'body':
+      return email.body || '';
+    case 'header':
+      return headerValue(email.headers, condition.header || '');
+    default:
+      return '';
+  }
+}
+
+function conditionMatches(email, condition) {
+  const test = OPERATORS[condition.operator || 'contains'];
+  if (!test) return false;
+
+  const actual = fieldValue(email, condition);
+  if (condition.operator === 'matches') return test(actual, condition.value);
+  return test(actual.toLowerCase(), String(condition.value).toLowerCase());
+}
+
+function ruleMatches(rule, email) {
+  const conditions = rule.conditions || [];
+  if (!conditions.length) return false;
+  return rule.match === 'any'
+    ? conditions.some(c => conditionMatches(email, c))
+    : conditions.every(c => conditionMatches(email, c));
+}
+
+// Problems with a rule definition that the schema cannot catch
+function validateRule(rule) {
+  const errors = [];
+  if (!rule.conditions || !rule.conditions.length) errors.push('at least one condition is required');
+
+  for (const condition of rule.conditions || []) {
+    if (condition.operator && !OPERATORS[condition.operator]) errors.push(`unknown operator "${condition.operator}"`);
+    if (condition.field === 'header' && !condition.header) errors.push('header conditions need a header name');
+    if (condition.operator === 'matches') {
+      try {
+        new RegExp(condition.value, 'i');
+      } catch (error) {
+        errors.push(`invalid pattern "${condition.value}": ${error.message}`);
+      }
+    }
+  }
+
+  const actions = rule.actions || {};
+  if (!ACTION_KEYS.some(key => actions[key])) errors.push('at least one action is required');
+  return errors;
+}
+
+// Run rules in priority order. Every match is returned; for each action the first rule to set it wins.
+function evaluateRules(rules, email) {
+  const matches = [];
+  const actions = {};
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, email)) continue;
+
+    const ruleActions = {};
+    for (const key of ACTION_KEYS) {
+      const value = rule.actions?.[key];
+      if (value) {
+        ruleActions[key] = value;
+        if (actions[key] === undefined) actions[key] = value;
+      }
+    }
+    matches.push({ ruleId: rule._id, name: rule.name, actions: ruleActions });
+
+    if (rule.stopProcessing) break;
+  }
+
+  return { matches, actions };
+}
+
+async function loadRules() {
+  return Rule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 });
+}
+
+// Evaluate the enabled rules against an email and count the matches
+async function applyRules(email) {
+  const result = evaluateRules(await loadRules(), email);
+  if (result.matches.length) {
+    await Rule.updateMany(
+      { _id: { $in: result.matches.map(m => m.ruleId) } },
+      { $inc: { matchCount: 1 }, lastMatchedAt: new Date() }
+    );
+  }
+  return result;
+}
+
+// Layer rule actions over an analysis (from the AI or the offline classifier)
+function applyActions(analysis, actions) {
+  const result = { ...analysis };
+  if (actions.category) {
+    result.category = actions.category;
+    result.folderLabel = FOLDER_LABELS[actions.category];
+  }
+  if (actions.urgency) result.urgency = actions.urgency;
+  if (actions.label) result.folderLabel = actions.label;
+  if (actions.skipAutoRespond) result.shouldAutoRespond = false;
+  return result;
+}
+
+module.exports = {
+  OPERATORS,
+  ruleMatches,
+  validateRule,
+  evaluateRules,
+  loadRules,
+  applyRules,
+  applyActions
+};
@@ -0,0 +1,195 @@
+const Email = require('../models/email.model');
+const Setting = require('../models/setting.model');
+
+// Hours to answer an email that needs action, per category
+const DEFAULT_SLA_HOURS = {
+  urgent: 1,
+  absence: 4,
+  payment: 24,
+  inquiry: 24,
+  waitlist: 48,
+  general: 72
+};
+const HIGH_URGENCY_HOURS = 4;
+const MAX_ESCALATIONS = 3;
+
+// Defaults overridden by the admin-edited slaHours setting
+async function getSlaTargets() {
+  const custom = await Setting.getValue('slaHours', {});
+  return { ...DEFAULT_SLA_HOURS, ...custom };
+}
+
+// High urgency caps the category target
+function computeSla(received, category, urgency, targets = DEFAULT_SLA_HOURS) {
+  let targetHours = targets[category] || targets.general || DEFAULT_SLA_HOURS.general;
+  if (urgency === 'high') targetHours = Math.min(targetHours, HIGH_URGENCY_HOURS);
+
+  return {
+    targetHours,
+    dueAt: new Date(new Date(received).getTime() + targetHours * 60 * 60 * 1000)
+  };
+}
+
+// Level 1 goes to the assignee (or the staff inbox), later levels to the director
+function escalationRecipients(email, level) {
+  const staff = email.assignee || process.env.SLA_STAFF_EMAIL || process.env.GMAIL_USER;
+  const director = process.env.SLA_DIRECTOR_EMAIL;
+  const recipients = level === 1 ? [staff] : [director || staff];
+  return [...new Set(recipients.filter(Boolean))];
+}
+
+// Background job: escalate overdue emails once per elapsed target period
+class SlaMonitor {
+  constructor(outbox = null) {
+    this.outbox = outbox;
+    this.running = false;
+  }
+
+  // An email is escalated again each time another full target period passes unanswered
+  dueLevel(email, now) {
+    const overdueMs = now - email.sla.dueAt;
+    const periodMs = (email.sla.targetHours || 24) * 60 * 60 * 1000;
+    return Math.min(1 + Math.floor(overdueMs / periodMs), MAX_ESCALATIONS);
+  }
+
+  async check(now = new Date()) {
+    if (this.running) return [];
+    this.running = true;
+
+    const escalated = [];
+    try {
+      const overdue = await Email.findOverdue(now);
+
+      for (const email of overdue) {
+        const level = this.dueLevel(email, now);
+        if (level <= (email.sla.escalationLevel || 0)) continue;
+
+        const hoursLate = Math.round((now - email.sla.dueAt) / (60 * 60 * 1000) * 10) / 10;
+        const reason = `No response ${hoursLate}h after the ${email.sla.targetHours}h ${email.category} target`;
+        const recipients = escalationRecipients(email, level);
+        const notified = await this.notify(email, recipients, level, reason);
+        // Keep the level until someone has been told, so the next check tries again
+        if (!notified.length) {
+          console.warn(`Could not notify anyone about overdue email ${email.messageId}; retrying at the next check`);
+          continue;
+        }
+
+        await email.escalate(reason, notified);
+        escalated.push(email);
+        console.log(`Escalated email ${email.messageId} to level ${email.sla.escalationLevel}: ${reason}`);
+      }
+    } catch (error) {
+      console.error('Error checking email SLAs:', error);
+    } finally {
+      this.running = false;
+    }
+    return escalated;
+  }
+
+  // Returns the addresses that were actually emailed
+  async notify(email, recipients, level, reason) {
+    if (!this.outbox || !recipients.length) return [];
+
+    try {
+      await this.outbox.send({
+        to: recipients.join(', '),
+        subject: `[Overdue${level > 1 ? ` - level ${level}` : ''}] ${email.subject || '(no subject)'}`,
+        text: [
+          `${reason}.`,
+          '',
+          `From: ${email.from}`,
+          `Received: ${new Date(email.received).toLocaleString()}`,
+          `Category: ${email.category} (${email.urgency} urgency)`,
+          `Assigned to: ${email.assignee || 'nobody'}`,
+          '',
+          (email.body || '').substring(0, 500)
+        ].join('\n')
+      }, { kind: 'sla-escalation', emailId: email._id });
+      return recipients;
+    } catch (error) {
+      console.error('Error sending SLA escalation:', error);
+      return [];
+    }
+  }
+
+  start(interval = Number(process.env.SLA_CHECK_INTERVAL_MS) || 15 * 60 * 1000) {
+    this.check();
+    setInterval(() => {
+      this.check();
+    }, interval);
+  }
+}
+
+// Per-category SLA results for emails received in [from, to)
+async function getSlaReport(from, to, now = new Date()) {
+  const match = { 'sla.dueAt': { $ne: null }, received: { $gte: from, $lt: to } };
+
+  const rows = await Email.aggregate([
+    { $match: match },
+    {
+      $project: {
+        category: 1,
+        escalated: { $gt: ['$sla.escalationLevel', 0] },
+        responded: { $ne: [{ $ifNull: ['$sla.respondedAt', null] }, null] },
+        breached: {
+          $cond: [
+            { $ifNull: ['$sla.respondedAt', false] },
+            { $gt: ['$sla.respondedAt', '$sla.dueAt'] },
+            { $lt: ['$sla.dueAt', now] }
+          ]
+        },
+        responseHours: {
+          $cond: [
+            { $ifNull: ['$sla.respondedAt', false] },
+            { $divide: [{ $subtract: ['$sla.respondedAt', '$received'] }, 60 * 60 * 1000] },
+            null
+          ]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: '$category',
+        total: { $sum: 1 },
+        responded: { $sum: { $cond: ['$responded', 1, 0] } },
+        breached: { $sum: { $cond: ['$breached', 1, 0] } },
+        openBreached: { $sum: { $cond: [{ $and: ['$breached', { $not: ['$responded'] }] }, 1, 0] } },
+        escalated: { $sum: { $cond: ['$escalated', 1, 0] } },
+        avgResponseHours: { $avg: '$responseHours' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const targets = await getSlaTargets();
+  const categories = rows.map(row => ({
+    category: row._id,
+    targetHours: targets[row._id],
+    total: row.total,
+    responded: row.responded,
+    breached: row.breached,
+    openBreached: row.openBreached,
+    escalated: row.escalated,
+    complianceRate: row.total ? Math.round((1 - row.breached / row.total) * 1000) / 10 : 100,
+    avgResponseHours: row.avgResponseHours === null ? null : Math.round(row.avgResponseHours * 10) / 10
+  }));
+
+  return {
+    from,
+    to,
+    totals: categories.reduce((sum, c) => ({
+      total: sum.total + c.total,
+      breached: sum.breached + c.breached,
+      openBreached: sum.openBreached + c.openBreached
+    }), { total: 0, breached: 0, openBreached: 0 }),
+    categories
+  };
+}
+
+module.exports = {
+  DEFAULT_SLA_HOURS,
+  getSlaTargets,
+  computeSla,
+  SlaMonitor,
+  getSlaReport
+};
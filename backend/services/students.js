@@ -0,0 +1,25 @@
+const Student = require('../models/student.model');
+const Helpers = require('../utils/helpers');
+
+// Find the enrolled child an email is about: the sender must be a listed parent address,
+// and when a family has several children the first name has to appear in the subject or body
+// (or in the child name the AI extracted)
+async function findStudentForEmail(from, text = '', childName = null) {
+  const email = Helpers.normalizeEmail(from);
+  if (!email) return null;
+
+  const students = await Student.find({ parentEmails: email, enrollmentStatus: 'active' });
+  if (students.length <= 1) return students[0] || null;
+
+  // Whole-word match on normalized text (a-z and single spaces only)
+  const words = ` ${Helpers.normalizeName(`${text} ${childName || ''}`) || ''} `;
+  const named = students.filter(student => {
+    const name = Helpers.normalizeName(student.firstName);
+    return name && words.includes(` ${name} `);
+  });
+  return named.length === 1 ? named[0] : null;
+}
+
+module.exports = {
+  findStudentForEmail
+};
@@ -0,0 +1,180 @@
+const ResponseTemplate = require('../models/response-template.model');
+const Setting = require('../models/setting.model');
+const { checkReplyPolicy } = require('./llm-safety');
+const { getOfferableSlots, formatSlotList } = require('./tours');
+
+// ai: filled from the email by the model; school: filled from settings, never by the model
+const MERGE_FIELDS = [
+  { key: 'parentName', label: 'Parent name', source: 'ai' },
+  { key: 'childName', label: 'Child name', source: 'ai' },
+  { key: 'programType', label: 'Program', source: 'ai' },
+  { key: 'tourSlots', label: 'Available tour slots', source: 'school' },
+  { key: 'tuitionSheetLink', label: 'Tuition sheet link', source: 'school' },
+  { key: 'schoolName', label: 'School name', source: 'school' }
+];
+const AI_FIELDS = MERGE_FIELDS.filter(f => f.source === 'ai').map(f => f.key);
+const MAX_FIELD_LENGTH = 100;
+
+const DEFAULT_TEMPLATES = [
+  {
+    key: 'waitlist_received',
+    name: 'Waitlist application received',
+    description: 'A parent submitted a waitlist application or asked to be added to the waitlist',
+    categories: ['waitlist'],
+    subject: 'Your waitlist application for {{childName|your child}}',
+    body: 'Dear {{parentName|Parent}},\n\nThank you for applying to {{schoolName}}. We have added {{childName|your child}} to our waitlist for the {{programType|requested}} program and will contact you as soon as a space opens.\n\nIn the meantime you are welcome to visit us. Upcoming tour times:\n{{tourSlots}}\n\nWarm regards,\n{{schoolName}}',
+    translations: {
+      fr: {
+        subject: "Votre demande de liste d'attente pour {{childName|votre enfant}}",
+        body: "Bonjour {{parentName|Madame, Monsieur}},\n\nMerci de votre demande auprès de {{schoolName}}. Nous avons inscrit {{childName|votre enfant}} sur notre liste d'attente pour le programme {{programType|demandé}} et nous vous contacterons dès qu'une place se libère.\n\nEn attendant, n'hésitez pas à venir nous visiter. Prochaines visites :\n{{tourSlots}}\n\nCordialement,\n{{schoolName}}"
+      }
+    }
+  },
+  {
+    key: 'tour_request_response',
+    name: 'Tour request',
+    description: 'A parent asks to visit or tour the school',
+    categories: ['inquiry'],
+    subject: 'Visiting {{schoolName}}',
+    body: 'Dear {{parentName|Parent}},\n\nThank you for your interest in {{schoolName}}. We would love to show you around. Upcoming tour times:\n{{tourSlots}}\n\nReply to this email with the number of the time that suits you and we will send you a calendar invitation.\n\nWarm regards,\n{{schoolName}}',
+    translations: {
+      fr: {
+        subject: 'Visiter {{schoolName}}',
+        body: "Bonjour {{parentName|Madame, Monsieur}},\n\nMerci de votre intérêt pour {{schoolName}}. Nous serions ravis de vous faire visiter l'école. Prochaines visites :\n{{tourSlots}}\n\nRépondez à ce courriel avec le numéro de l'heure qui vous convient et nous vous enverrons une invitation de calendrier.\n\nCordialement,\n{{schoolName}}"
+      }
+    }
+  },
+  {
+    key: 'tuition_information',
+    name: 'Tuition and fees',
+    description: 'A parent asks about tuition, fees or costs',
+    categories: ['inquiry', 'payment'],
+    subject: 'Tuition at {{schoolName}}',
+    body: 'Dear {{parentName|Parent}},\n\nThank you for your question. Our current tuition and fees are listed here:\n{{tuitionSheetLink}}\n\nA staff member will be happy to answer any other questions.\n\nWarm regards,\n{{schoolName}}',
+    translations: {
+      fr: {
+        subject: 'Frais de scolarité à {{schoolName}}',
+        body: "Bonjour {{parentName|Madame, Monsieur}},\n\nMerci de votre question. Nos frais de scolarité actuels sont indiqués ici :\n{{tuitionSheetLink}}\n\nUn membre de l'équipe répondra avec plaisir à vos autres questions.\n\nCordialement,\n{{schoolName}}"
+      }
+    }
+  }
+];
+
+// Values the school controls: tuition link lives in settings (env as fallback). Tour slots are the
+// published open slots, numbered so parents can answer with one; the free-text setting is the fallback.
+async function getSchoolFields(language = 'en') {
+  const openSlots = await getOfferableSlots();
+  const envSlots = (process.env.TOUR_SLOTS || '').split(';').map(s => s.trim()).filter(Boolean);
+  const tourSlots = openSlots.length ? [] : await Setting.getValue('tourSlots', envSlots);
+  const tuitionSheetLink = await Setting.getValue('tuitionSheetUrl', process.env.TUITION_SHEET_URL || '');
+
+  let tourSlotText = tourSlots.length ? tourSlots.map(slot => `- ${slot}`).join('\n') : '';
+  if (openSlots.length) tourSlotText = formatSlotList(openSlots, language);
+
+  return {
+    tourSlots: tourSlotText,
+    tuitionSheetLink,
+    schoolName: process.env.SCHOOL_NAME || 'Yus Montessori School'
+  };
+}
+
+// Replace {{field}} and {{field|fallback}}; fields without a value or fallback are reported as missing
+function renderTemplate({ subject, body }, fields = {}) {
+  const missing = new Set();
+  const fill = (text) => String(text || '').replace(/\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g, (match, key, fallback) => {
+    const value = fields[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return String(value);
+    if (fallback !== undefined) return fallback.trim();
+    missing.add(key);
+    return '';
+  });
+
+  return { subject: fill(subject), body: fill(body), missing: [...missing] };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Plain text to simple HTML paragraphs
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+// Subject and body in the requested language; English when there is no translation
+function templateText(template, language = 'en') {
+  const translation = language !== 'en' && template.translations?.[language];
+  if (translation?.subject && translation?.body) {
+    return { subject: translation.subject, body: translation.body, language };
+  }
+  return { subject: template.subject, body: template.body, language: 'en' };
+}
+
+// What the model is told about the library
+async function listTemplatesForPrompt() {
+  const templates = await ResponseTemplate.find({ active: true }).sort({ key: 1 });
+  return templates.map(t => ({ key: t.key, name: t.name, description: t.description, categories: t.categories }));
+}
+
+// Turn the model's { key, fields } choice into a reply draft in the reply language.
+// Returns null when the template does not exist; flags list anything a reviewer should check.
+async function draftFromTemplate(choice, { extractedData, language = 'en' } = {}) {
+  const template = await ResponseTemplate.findOne({ key: choice.key, active: true });
+  if (!template) return null;
+
+  // Only the ai fields are taken from the model, and only as short plain values
+  const aiValues = {};
+  for (const key of AI_FIELDS) {
+    const value = choice.fields?.[key] ?? extractedData?.[key];
+    if (typeof value === 'string' && value.trim()) {
+      aiValues[key] = value.trim().replace(/\s+/g, ' ').slice(0, MAX_FIELD_LENGTH);
+    }
+  }
+
+  const fields = { ...aiValues, ...(await getSchoolFields(language)) };
+  const text = templateText(template, language);
+  const rendered = renderTemplate(text, fields);
+  const flags = [
+    ...checkReplyPolicy(Object.values(aiValues).join('\n')),
+    ...rendered.missing.map(key => `template field ${key} is empty`)
+  ];
+  if (text.language !== language) flags.push(`template ${template.key} has no ${language} version`);
+
+  return {
+    templateId: template._id,
+    templateKey: template.key,
+    templateVersion: template.version,
+    language: text.language,
+    subject: rendered.subject,
+    draft: rendered.body,
+    mergeFields: fields,
+    flags
+  };
+}
+
+// Install the starter templates on an empty library
+async function seedDefaultTemplates() {
+  if (await ResponseTemplate.countDocuments() > 0) return;
+  await ResponseTemplate.insertMany(DEFAULT_TEMPLATES.map(t => ({ ...t, updatedBy: 'system' })));
+  console.log(`Installed ${DEFAULT_TEMPLATES.length} default response templates`);
+}
+
+module.exports = {
+  MERGE_FIELDS,
+  DEFAULT_TEMPLATES,
+  AI_FIELDS,
+  getSchoolFields,
+  renderTemplate,
+  templateText,
+  textToHtml,
+  listTemplatesForPrompt,
+  draftFromTemplate,
+  seedDefaultTemplates
+};
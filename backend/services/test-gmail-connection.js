@@ -80,7 +80,7 @@ async function testGmailConnection() {
     console.log('The email monitoring system is ready to use.');
     console.log('\nNext steps:');
     console.log('1. Restart the server to activate monitoring');
-    console.log('2. The system will check for new emails every 3 minutes');
+    console.log('2. The system will sync new inbox emails every minute');
     console.log('3. Waitlist emails will be automatically processed');
     
   } catch (error) {
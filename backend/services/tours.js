@@ -0,0 +1,346 @@
+const TourSlot = require('../models/tour-slot.model');
+const Waitlist = require('../models/waitlist.model');
+const Email = require('../models/email.model');
+const Helpers = require('../utils/helpers');
+const { buildEvent } = require('./ics');
+const { senderBlockReason } = require('./reply-guard');
+
+const MAX_OFFERED_SLOTS = 5;
+// Slots starting sooner than this are not offered
+const MIN_NOTICE_HOURS = 24;
+
+const WEEKDAY_NAMES = {
+  sunday: ['sunday', 'dimanche'], monday: ['monday', 'lundi'], tuesday: ['tuesday', 'mardi'],
+  wednesday: ['wednesday', 'mercredi'], thursday: ['thursday', 'jeudi'], friday: ['friday', 'vendredi'],
+  saturday: ['saturday', 'samedi']
+};
+const MONTH_NAMES = [
+  ['january', 'jan', 'janvier'], ['february', 'feb', 'fevrier'], ['march', 'mar', 'mars'], ['april', 'apr', 'avril'],
+  ['may', 'mai'], ['june', 'jun', 'juin'], ['july', 'jul', 'juillet'], ['august', 'aug', 'aout'],
+  ['september', 'sept', 'sep', 'septembre'], ['october', 'oct', 'octobre'], ['november', 'nov', 'novembre'],
+  ['december', 'dec', 'decembre']
+];
+// A weekday, or a month next to a day number ("may" alone is just a word)
+const ANY_DAY = new RegExp(`\\b(?:${Object.values(WEEKDAY_NAMES).flat().join('|')})\\b`
+  + `|\\b(?:${MONTH_NAMES.flat().join('|')})\\.? \\d{1,2}\\b|\\b\\d{1,2}(?:er|st|nd|rd|th)? (?:${MONTH_NAMES.flat().join('|')})\\b`);
+
+const timeZone = () => process.env.SCHOOL_TIMEZONE || 'America/Toronto';
+const schoolName = () => process.env.SCHOOL_NAME || 'Yus Montessori School';
+
+// "Tuesday, March 10, 10:00 a.m." in the school's time zone
+function slotLabel(slot, language = 'en') {
+  return new Date(slot.start).toLocaleString(language === 'fr' ? 'fr-CA' : 'en-CA', {
+    weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: timeZone()
+  });
+}
+
+// Calendar day and time of a slot in the school's time zone
+function localParts(date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone(), year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long',
+    hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+
+  return {
+    key: `${parts.year}-${parts.month.padStart(2, '0')}-${parts.day.padStart(2, '0')}`,
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function getOfferableSlots(now = new Date()) {
+  return TourSlot.findOpen(new Date(now.getTime() + MIN_NOTICE_HOURS * 60 * 60 * 1000), MAX_OFFERED_SLOTS);
+}
+
+// Numbered list for the {{tourSlots}} template field; parents answer with the number or the time
+function formatSlotList(slots, language = 'en') {
+  return slots.map((slot, index) => `${index + 1}. ${slotLabel(slot, language)}`).join('\n');
+}
+
+// Slots listed in a reply, in the order they appear there, which is the order "option 2" counts in
+function slotsInText(text, slots) {
+  return slots
+    .map(slot => ({ slot, at: [slotLabel(slot, 'en'), slotLabel(slot, 'fr')].map(label => text.indexOf(label)).filter(i => i !== -1) }))
+    .filter(({ at }) => at.length)
+    .sort((a, b) => Math.min(...a.at) - Math.min(...b.at))
+    .map(({ slot }) => slot);
+}
+
+// Upcoming open slots listed in a reply. Staff may have edited the times, so every open slot is checked.
+async function offeredSlotsIn(text = '', now = new Date()) {
+  return slotsInText(text, await TourSlot.findOpen(now, 100));
+}
+
+// Once a reply has actually been sent, remember the tour times its final text offered so the parent's
+// answer can be matched to one. Drafts are never recorded: the parent has not seen them.
+async function recordTourOffer(emailDoc) {
+  if (emailDoc.reply?.status !== 'sent' || !emailDoc.reply.draft) return;
+  try {
+    const slots = await offeredSlotsIn(emailDoc.reply.draft);
+    if (slots.length) emailDoc.tourOffer = { slotIds: slots.map(slot => slot._id), offeredAt: emailDoc.reply.sentAt };
+  } catch (error) {
+    console.error('Error recording tour offer:', error);
+  }
+}
+
+// Times written in a reply ("10am", "2:30 pm", "14h", "10:00"), as minutes after midnight
+function mentionedTimes(text) {
+  const times = new Set();
+  for (const [, hour, minute, half] of text.matchAll(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s?m\b/g)) {
+    times.add((Number(hour) % 12 + (half === 'p' ? 12 : 0)) * 60 + Number(minute || 0));
+  }
+  for (const [, hour, minute, frMinute] of text.matchAll(/\b(\d{1,2})\s?(?::(\d{2})|h\s?(\d{2})?\b)(?!\s*[ap]\.?\s?m\b)/g)) {
+    times.add(Number(hour) * 60 + Number(minute || frMinute || 0));
+  }
+  return [...times];
+}
+
+// The slot a parent chose: "option 2" / a reply that is just "2", else the one slot that fits the day
+// (weekday or date) and time they wrote, whichever of the two they gave. Null when it is not clear.
+// A day and time that fits an upcoming slot and a past one means the upcoming one; the caller checks
+// that the slot it gets has not passed.
+function pickSlot(text, slots, now = new Date()) {
+  const normalized = String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  const option = normalized.match(/\b(?:option|choice|choix|number|numero|no\.?|#)\s*(\d{1,2})\b/)
+    || normalized.match(/^\s*#?(\d{1,2})\s*[.)]?\s*$/m);
+  if (option) return slots[Number(option[1]) - 1] || null;
+
+  const times = mentionedTimes(normalized);
+  const namesDay = ANY_DAY.test(normalized);
+  const matches = slots.filter(slot => {
+    const parts = localParts(slot.start);
+    const months = MONTH_NAMES[parts.month].join('|');
+    const onDate = new RegExp(`\\b(?:${months})\\.? ${parts.day}\\b|\\b${parts.day}(?:er|st|nd|rd|th)? (?:${months})\\b`).test(normalized);
+    const onWeekday = new RegExp(`\\b(?:${WEEKDAY_NAMES[parts.weekday].join('|')})\\b`).test(normalized);
+    const atTime = times.includes(parts.minutes);
+
+    if (times.length && !atTime) return false;
+    if (namesDay && !onDate && !onWeekday) return false;
+    return namesDay || atTime;
+  });
+  const upcoming = matches.filter(slot => slot.start > now);
+  if (upcoming.length === 1) return upcoming[0];
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Take a place on the slot if it is still ahead and has room; the checks and the booking are one update
+async function bookSlot(slotId, booking, now = new Date()) {
+  const slot = await TourSlot.findOneAndUpdate(
+    { _id: slotId, published: true, start: { $gt: now }, $expr: { $lt: ['$bookedCount', '$capacity'] } },
+    { $inc: { bookedCount: 1 }, $push: { bookings: booking } },
+    { new: true }
+  );
+  if (!slot) return null;
+  return { slot, booking: slot.bookings[slot.bookings.length - 1] };
+}
+
+// Queue the calendar invite (REQUEST) or its cancellation (CANCEL) to the parent in the outbox
+async function sendInvite(outbox, slot, booking, { method = 'REQUEST', language = 'en', inReplyTo } = {}) {
+  const blocked = senderBlockReason(booking.parentEmail);
+  if (blocked) throw new Error(`Invite not sent: ${blocked}`);
+
+  const organizer = outbox.fromAddress(booking.mailbox) || process.env.GMAIL_USER || process.env.MAILBOX_ADDRESS;
+  const location = slot.location || process.env.SCHOOL_ADDRESS;
+  const label = slotLabel(slot, language);
+  const cancelled = method === 'CANCEL';
+  const fr = language === 'fr';
+
+  const ics = buildEvent({
+    uid: `tour-${booking._id}@yus-montessori`,
+    sequence: booking.inviteSequence,
+    start: slot.start,
+    end: slot.end,
+    summary: fr ? `Visite de ${schoolName()}` : `Tour of ${schoolName()}`,
+    description: booking.childName ? `${fr ? 'Enfant' : 'Child'}: ${booking.childName}` : undefined,
+    location,
+    organizer: organizer && { name: schoolName(), email: organizer },
+    attendee: { name: booking.parentName, email: booking.parentEmail }
+  }, { method });
+
+  let text;
+  if (cancelled) {
+    text = fr
+      ? `Bonjour,\n\nVotre visite du ${label} est annulée. Répondez à ce courriel pour choisir une autre date.\n\n${schoolName()}`
+      : `Hello,\n\nYour tour on ${label} has been cancelled. Reply to this email to choose another time.\n\n${schoolName()}`;
+  } else {
+    text = fr
+      ? `Bonjour,\n\nVotre visite de ${schoolName()} est confirmée pour le ${label}.${location ? `\nAdresse : ${location}` : ''}\n\nL'invitation de calendrier est jointe. Pour changer l'heure, il suffit de répondre à ce courriel.\n\n${schoolName()}`
+      : `Hello,\n\nYour tour of ${schoolName()} is booked for ${label}.${location ? `\nAddress: ${location}` : ''}\n\nThe calendar invitation is attached. If you need a different time, just reply to this email.\n\n${schoolName()}`;
+  }
+
+  return outbox.send({
+    to: booking.parentEmail,
+    subject: cancelled
+      ? (fr ? 'Visite annulée' : 'Tour cancelled')
+      : (fr ? `Visite confirmée : ${label}` : `Tour confirmed: ${label}`),
+    text,
+    inReplyTo,
+    references: inReplyTo,
+    icalEvent: { method, filename: cancelled ? 'cancel.ics' : 'invite.ics', content: ics }
+  }, {
+    kind: cancelled ? 'tour-cancel' : 'tour-invite',
+    emailId: booking.emailId,
+    createdBy: booking.bookedBy,
+    mailbox: booking.mailbox
+  });
+}
+
+// Mirror the booking onto the family's waitlist entry (by id, else their latest entry)
+async function updateWaitlistTour(booking, tourInfo) {
+  const entry = booking.waitlistId
+    ? await Waitlist.findById(booking.waitlistId)
+    : await Waitlist.findOne({ 'normalized.parentEmail': Helpers.normalizeEmail(booking.parentEmail) }).sort({ receivedDate: -1 });
+  if (!entry) return null;
+
+  entry.tourInfo = { ...(entry.tourInfo?.toObject ? entry.tourInfo.toObject() : entry.tourInfo), ...tourInfo };
+  await entry.save();
+  return entry;
+}
+
+// Book the slot, send the invite and update the waitlist entry. An invite that did not go out keeps
+// the booking (inviteError says why); the outbox retries it.
+async function createBooking(outbox, slotId, details, { language = 'en', inReplyTo } = {}) {
+  const booked = await bookSlot(slotId, details);
+  if (!booked) return null;
+  const { slot, booking } = booked;
+
+  if (!outbox) {
+    booking.inviteError = 'email sending is not configured';
+  } else {
+    try {
+      const outbound = await sendInvite(outbox, slot, booking, { language, inReplyTo });
+      if (outbound.status === 'sent') booking.inviteSentAt = outbound.sentAt;
+      else booking.inviteError = `${outbound.lastError} (queued for retry in the outbox)`;
+    } catch (error) {
+      console.error(`Error sending tour invite to ${booking.parentEmail}:`, error);
+      booking.inviteError = error.message;
+    }
+  }
+
+  const entry = await updateWaitlistTour(booking, { requested: true, scheduled: slot.start, tourSlotId: slot._id });
+  if (entry) booking.waitlistId = entry._id;
+  await slot.save();
+  return { slot, booking };
+}
+
+// Called for each incoming email: when it answers a tour offer in the same thread and names one of
+// the offered times, book it. Resolves { slot, booking } when booked, otherwise null.
+async function bookFromReply(outbox, emailDoc, { language = 'en' } = {}) {
+  if (!emailDoc.threadId) return null;
+
+  const offer = await Email.findOne({
+    threadId: emailDoc.threadId,
+    _id: { $ne: emailDoc._id },
+    'tourOffer.slotIds.0': { $exists: true },
+    'tourOffer.bookedSlotId': null
+  }).sort({ received: -1 });
+  if (!offer || Helpers.normalizeEmail(offer.from) !== Helpers.normalizeEmail(emailDoc.from)) return null;
+
+  const slots = await TourSlot.find({ _id: { $in: offer.tourOffer.slotIds } });
+  const offered = offer.tourOffer.slotIds
+    .map(id => slots.find(slot => String(slot._id) === String(id)))
+    .filter(Boolean);
+  const chosen = pickSlot(emailDoc.body, offered);
+  if (!chosen) return null;
+
+  // A late answer to an old offer: nothing is booked, and staff see why on both emails
+  if (chosen.start <= new Date()) {
+    offer.tourOffer.issue = `${slotLabel(chosen)} was chosen but has already passed`;
+    await offer.save();
+    emailDoc.requiresAction = true;
+    emailDoc.actionTaken = `tour not booked: ${offer.tourOffer.issue}`;
+    await emailDoc.save();
+    return null;
+  }
+
+  const result = await createBooking(outbox, chosen._id, {
+    parentName: offer.extractedData?.parentName || (emailDoc.from.match(/^\s*"?([^"<]+?)"?\s*</) || [])[1],
+    parentEmail: Helpers.normalizeEmail(emailDoc.from),
+    childName: offer.extractedData?.childName,
+    emailId: emailDoc._id,
+    threadId: emailDoc.threadId,
+    mailbox: emailDoc.mailbox,
+    bookedBy: 'email'
+  }, { language, inReplyTo: emailDoc.internetMessageId });
+
+  if (!result) {
+    offer.tourOffer.issue = `${slotLabel(chosen)} was chosen but is no longer available`;
+    await offer.save();
+    return null;
+  }
+
+  offer.tourOffer.bookedSlotId = result.slot._id;
+  offer.tourOffer.bookingId = result.booking._id;
+  offer.tourOffer.bookedAt = new Date();
+  offer.tourOffer.issue = undefined;
+  await offer.save();
+  return result;
+}
+
+// Cancel a booking, free its place and send the calendar cancellation
+async function cancelBooking(outbox, slot, bookingId, { language = 'en' } = {}) {
+  const booking = slot.bookings.id(bookingId);
+  if (!booking || booking.status !== 'booked') throw new Error('Only booked tours can be cancelled');
+
+  booking.status = 'cancelled';
+  booking.inviteSequence += 1;
+  slot.bookedCount = slot.bookings.filter(b => b.status === 'booked').length;
+  await slot.save();
+
+  if (outbox) {
+    try {
+      await sendInvite(outbox, slot, booking, { method: 'CANCEL', language });
+    } catch (error) {
+      console.error(`Error sending tour cancellation to ${booking.parentEmail}:`, error);
+    }
+  }
+  await updateWaitlistTour(booking, { scheduled: null, tourSlotId: null });
+  return booking;
+}
+
+// After the tour: completed (with feedback and interest) or no-show
+async function completeBooking(slot, bookingId, { attended = true, showedInterest, feedback } = {}) {
+  const booking = slot.bookings.id(bookingId);
+  if (!booking || booking.status !== 'booked') throw new Error('Only booked tours can be completed');
+
+  booking.status = attended ? 'completed' : 'no-show';
+  await slot.save();
+  await updateWaitlistTour(booking, attended
+    ? { completed: true, completedDate: slot.start, showedInterest, feedback }
+    : { completed: false, feedback });
+  return booking;
+}
+
+// Slots between from and to grouped by day in the school's time zone, for the staff day view
+async function getTourDays(from, to) {
+  const slots = await TourSlot.find({ start: { $gte: from, $lt: to } }).sort({ start: 1 });
+  const days = {};
+  for (const slot of slots) {
+    const { key } = localParts(slot.start);
+    days[key] = days[key] || { day: key, slots: [], booked: 0 };
+    days[key].slots.push(slot);
+    days[key].booked += slot.bookedCount;
+  }
+  return Object.values(days);
+}
+
+module.exports = {
+  MAX_OFFERED_SLOTS,
+  slotLabel,
+  getOfferableSlots,
+  formatSlotList,
+  slotsInText,
+  offeredSlotsIn,
+  recordTourOffer,
+  pickSlot,
+  bookSlot,
+  sendInvite,
+  createBooking,
+  bookFromReply,
+  cancelBooking,
+  completeBooking,
+  getTourDays
+};
@@ -0,0 +1,121 @@
+const Waitlist = require('../models/waitlist.model');
+const Helpers = require('../utils/helpers');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const FILLABLE_FIELDS = ['parentName', 'parentEmail', 'parentPhone', 'childName', 'childBirthDate', 'preferredStartDate', 'programType', 'postalCode'];
+
+// Is this entry the same child as the incoming data?
+// Same child name with a shared contact, or same child name and birth date from any contact.
+function isSameChild(entry, data, keys) {
+  const entryChild = entry.normalized?.childName || Helpers.normalizeName(entry.childName);
+  if (!keys.childName || entryChild !== keys.childName) return false;
+
+  const sameEmail = keys.parentEmail && (entry.normalized?.parentEmail || Helpers.normalizeEmail(entry.parentEmail)) === keys.parentEmail;
+  const samePhone = keys.parentPhone && (entry.normalized?.parentPhone || Helpers.normalizePhone(entry.parentPhone)) === keys.parentPhone;
+  const sameBirthDate = Helpers.isSameDay(entry.childBirthDate, data.childBirthDate);
+
+  return Boolean(sameEmail || samePhone || sameBirthDate);
+}
+
+// Find the existing entry an incoming application belongs to, if any
+async function findDuplicate(data, { threadId, excludeId } = {}) {
+  const keys = {
+    parentEmail: Helpers.normalizeEmail(data.parentEmail),
+    parentPhone: Helpers.normalizePhone(data.parentPhone),
+    childName: Helpers.normalizeName(data.childName)
+  };
+
+  const or = [];
+  if (threadId) or.push({ threadIds: threadId });
+  if (keys.parentEmail) {
+    or.push({ 'normalized.parentEmail': keys.parentEmail });
+    // Entries saved before normalization existed
+    or.push({ parentEmail: new RegExp(`^\\s*${escapeRegex(keys.parentEmail)}\\s*$`, 'i') });
+  }
+  if (keys.parentPhone) or.push({ 'normalized.parentPhone': keys.parentPhone });
+  if (keys.childName) or.push({ 'normalized.childName': keys.childName });
+  if (or.length === 0) return null;
+
+  const query = { $or: or };
+  if (excludeId) query._id = { $ne: excludeId };
+  const candidates = await Waitlist.find(query).sort({ receivedDate: 1 });
+
+  // A reply in the same thread belongs to that entry unless it names a different child
+  const inThread = threadId && candidates.find(c =>
+    (c.threadIds || []).includes(threadId) &&
+    (!keys.childName || Helpers.normalizeName(c.childName) === keys.childName)
+  );
+  if (inThread) return inThread;
+
+  return candidates.find(c => isSameChild(c, data, keys)) || null;
+}
+
+// Possible duplicates of an existing entry, for the merge UI
+async function findDuplicatesOf(entry) {
+  const keys = {
+    parentEmail: Helpers.normalizeEmail(entry.parentEmail),
+    parentPhone: Helpers.normalizePhone(entry.parentPhone),
+    childName: Helpers.normalizeName(entry.childName)
+  };
+  const or = [];
+  if (keys.parentEmail) or.push({ 'normalized.parentEmail': keys.parentEmail });
+  if (keys.parentPhone) or.push({ 'normalized.parentPhone': keys.parentPhone });
+  if (keys.childName) or.push({ 'normalized.childName': keys.childName });
+  if (or.length === 0) return [];
+
+  const candidates = await Waitlist.find({ _id: { $ne: entry._id }, $or: or }).sort({ receivedDate: 1 });
+  return candidates.filter(c => isSameChild(c, entry, keys));
+}
+
+function appendNote(entry, note) {
+  entry.notes = entry.notes ? `${entry.notes}\n${note}` : note;
+}
+
+// Record a follow-up email on an existing entry, filling in anything it was missing.
+// Returns the fields that were filled.
+function attachEmail(entry, data, emailId, threadId) {
+  const filled = [];
+  for (const field of FILLABLE_FIELDS) {
+    if (!entry[field] && data[field]) {
+      entry[field] = field === 'childBirthDate' ? new Date(data[field]) : data[field];
+      filled.push(field);
+    }
+  }
+  if (emailId && !entry.emailIds.includes(emailId)) entry.emailIds.push(emailId);
+  if (threadId && !entry.threadIds.includes(threadId)) entry.threadIds.push(threadId);
+  appendNote(entry, `[${new Date().toISOString().slice(0, 10)}] Follow-up email ${emailId || ''} attached`.trim());
+  return filled;
+}
+
+// Fold source into target: target keeps its values, gains source's notes, emails and threads. `by` is the staff member merging.
+async function mergeEntries(target, source, by) {
+  for (const field of FILLABLE_FIELDS) {
+    if (!target[field] && source[field]) target[field] = source[field];
+  }
+
+  target.emailIds = [...new Set([...(target.emailIds || []), ...(source.emailIds || []), source.emailId].filter(Boolean))];
+  target.threadIds = [...new Set([...(target.threadIds || []), ...(source.threadIds || [])])];
+  if (source.receivedDate && (!target.receivedDate || source.receivedDate < target.receivedDate)) {
+    target.receivedDate = source.receivedDate;
+  }
+  if (source.needsReview) {
+    target.needsReview = true;
+    target.reviewReasons = [...new Set([...(target.reviewReasons || []), ...(source.reviewReasons || [])])];
+  }
+  if (source.notes) appendNote(target, source.notes);
+  appendNote(target, `[${new Date().toISOString().slice(0, 10)}] Merged duplicate entry ${source._id}${by ? ` (${by})` : ''}`);
+  target.mergedBy = by;
+  target.mergedAt = new Date();
+
+  await target.save();
+  await Waitlist.findByIdAndDelete(source._id);
+  return target;
+}
+
+module.exports = {
+  findDuplicate,
+  findDuplicatesOf,
+  attachEmail,
+  mergeEntries
+};
@@ -0,0 +1,97 @@
+const Helpers = require('../utils/helpers');
+
+const CONFIDENCE_THRESHOLD = Number(process.env.EXTRACTION_CONFIDENCE_THRESHOLD) || 0.7;
+const MAX_CHILD_AGE_YEARS = 10;
+
+const FIELDS = ['parentName', 'parentEmail', 'parentPhone', 'childName', 'childBirthDate', 'preferredStartDate', 'programType', 'postalCode'];
+const REQUIRED = ['parentEmail', 'childName'];
+
+// Each validator returns { value, issue } - value is what gets stored
+const VALIDATORS = {
+  parentName: (raw) => ({ value: raw.trim(), issue: raw.trim().length < 2 ? 'too short' : null }),
+
+  parentEmail: (raw) => {
+    const value = raw.trim().toLowerCase();
+    return { value, issue: Helpers.isValidEmail(value) ? null : 'not a valid email address' };
+  },
+
+  parentPhone: (raw) => Helpers.isValidPhoneNumber(raw)
+    ? { value: Helpers.formatPhoneNumber(raw), issue: null }
+    : { value: raw.trim(), issue: 'not a valid phone number' },
+
+  childName: (raw) => ({ value: raw.trim(), issue: raw.trim().length < 2 ? 'too short' : null }),
+
+  childBirthDate: (raw) => {
+    const date = Helpers.parseDate(raw);
+    if (!date) return { value: null, issue: `"${raw}" is not a valid date` };
+
+    const now = new Date();
+    const oldest = new Date(now.getFullYear() - MAX_CHILD_AGE_YEARS, now.getMonth(), now.getDate());
+    if (date > now) return { value: date, issue: 'is in the future' };
+    if (date < oldest) return { value: date, issue: `is more than ${MAX_CHILD_AGE_YEARS} years ago` };
+
+    // 03/04/2022 could be March 4 or April 3
+    const numeric = String(raw).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}$/);
+    if (numeric && Number(numeric[1]) <= 12 && Number(numeric[2]) <= 12 && numeric[1] !== numeric[2]) {
+      return { value: date, issue: 'day and month are ambiguous' };
+    }
+    return { value: date, issue: null };
+  },
+
+  postalCode: (raw) => Helpers.isValidPostalCode(raw)
+    ? { value: raw.replace(/\s/g, '').toUpperCase().replace(/^(.{3})/, '$1 '), issue: null }
+    : { value: raw.trim(), issue: 'not a valid postal code' }
+};
+
+// Validate AI-extracted waitlist data field by field.
+// Returns cleaned values, per-field { value, confidence, valid, issue } and whether staff should review.
+function validateExtractedData(data = {}, confidence = {}, senderEmail = null) {
+  const values = {};
+  const fields = {};
+  const reasons = [];
+
+  for (const field of FIELDS) {
+    const raw = data[field];
+    const score = typeof confidence?.[field] === 'number' ? confidence[field] : null;
+
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      values[field] = null;
+      fields[field] = { value: null, confidence: 0, valid: !REQUIRED.includes(field), issue: REQUIRED.includes(field) ? 'missing' : null };
+      continue;
+    }
+
+    const validate = VALIDATORS[field] || ((text) => ({ value: String(text).trim(), issue: null }));
+    const { value, issue } = validate(String(raw));
+    values[field] = value;
+    fields[field] = { value: String(raw), confidence: score, valid: !issue, issue };
+  }
+
+  // The sender address is a reasonable stand-in for a missing or broken parent email
+  const sender = Helpers.normalizeEmail(senderEmail);
+  if (!fields.parentEmail.valid && Helpers.isValidEmail(sender)) {
+    values.parentEmail = sender;
+    fields.parentEmail = { value: sender, confidence: 0.6, valid: true, issue: 'taken from sender address' };
+  }
+
+  for (const field of FIELDS) {
+    const result = fields[field];
+    if (result.issue) {
+      reasons.push(`${field}: ${result.issue}`);
+    } else if (result.value !== null && (result.confidence === null || result.confidence < CONFIDENCE_THRESHOLD)) {
+      reasons.push(`${field}: low confidence (${result.confidence === null ? 'not reported' : result.confidence})`);
+    }
+  }
+
+  return {
+    values,
+    fields,
+    needsReview: reasons.length > 0,
+    reasons
+  };
+}
+
+module.exports = {
+  FIELDS,
+  CONFIDENCE_THRESHOLD,
+  validateExtractedData
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAbsenceDay, resolveAbsence } = require('../services/absences');
+
+// Tuesday 5 March 2024, mid-morning
+const received = new Date(2024, 2, 5, 9, 30);
+const day = (text) => parseAbsenceDay(text, received)?.toISOString().slice(0, 10);
+
+test('relative days are read from the day the email was received', () => {
+  assert.strictEqual(day('today'), '2024-03-05');
+  assert.strictEqual(day("aujourd'hui"), '2024-03-05');
+  assert.strictEqual(day('tomorrow'), '2024-03-06');
+  assert.strictEqual(day('demain matin'), '2024-03-06');
+});
+
+test('a weekday means the next one on or after the received day', () => {
+  assert.strictEqual(day('Friday'), '2024-03-08');
+  assert.strictEqual(day('tuesday'), '2024-03-05');
+  assert.strictEqual(day('lundi'), '2024-03-11');
+});
+
+test('written dates', () => {
+  assert.strictEqual(day('March 12'), '2024-03-12');
+  assert.strictEqual(day('12 mars'), '2024-03-12');
+  assert.strictEqual(day('2024-03-14'), '2024-03-14');
+  // Without a year, a date long past is next year's
+  assert.strictEqual(parseAbsenceDay('January 6', new Date(2024, 11, 20))?.toISOString().slice(0, 10), '2025-01-06');
+});
+
+test('unclear days are not guessed', () => {
+  assert.strictEqual(parseAbsenceDay('', received), null);
+  assert.strictEqual(parseAbsenceDay('sometime soon', received), null);
+  assert.strictEqual(parseAbsenceDay('may be late', received), null);
+  assert.strictEqual(parseAbsenceDay('February 30', received), null);
+});
+
+test('an email processed days later still resolves against when it was sent', () => {
+  const { dates } = resolveAbsence({ absenceStart: 'today', absenceEnd: 'tomorrow' }, received);
+  assert.deepStrictEqual(dates.map(d => d.toISOString().slice(0, 10)), ['2024-03-05', '2024-03-06']);
+});
+
+test('resolveAbsence skips weekends and reports what it cannot work out', () => {
+  const { dates, reason } = resolveAbsence({ absenceStart: 'Friday', absenceEnd: 'Monday', absenceReason: ' flu ' }, received);
+  assert.deepStrictEqual(dates.map(d => d.toISOString().slice(0, 10)), ['2024-03-08', '2024-03-11']);
+  assert.strictEqual(reason, 'flu');
+
+  assert.ok(resolveAbsence({}, received).issue);
+  assert.ok(resolveAbsence({ absenceStart: 'Friday', absenceEnd: 'today' }, received).issue);
+  assert.ok(resolveAbsence({ absenceStart: 'Saturday', absenceEnd: 'Sunday' }, received).issue);
+  assert.ok(resolveAbsence({ absenceStart: 'March 6', absenceEnd: 'April 30' }, received).issue);
+});
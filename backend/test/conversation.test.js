@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Email = require('../models/email.model');
+const { toMessages, threadStatus, listThreads } = require('../services/conversation');
+
+const at = (day, hour) => new Date(2024, 2, day, hour);
+
+test('threadStatus is open until a parent message needing action is answered', () => {
+  const asked = { received: at(4, 9), requiresAction: true };
+  assert.strictEqual(threadStatus(toMessages([asked])), 'open');
+
+  const answered = { ...asked, reply: { status: 'sent', sentAt: at(4, 11) } };
+  assert.strictEqual(threadStatus(toMessages([answered])), 'awaiting-parent');
+
+  const thanks = { received: at(4, 14), requiresAction: false };
+  assert.strictEqual(threadStatus(toMessages([answered, thanks])), 'resolved');
+  assert.strictEqual(threadStatus([]), 'resolved');
+});
+
+test('listThreads filters, sorts and pages in the database', async (t) => {
+  const aggregate = t.mock.method(Email, 'aggregate', async () => [{ threads: [{ threadId: 't1' }], total: [{ count: 21 }] }]);
+
+  const result = await listThreads({ status: 'open', category: 'absence', page: 2, limit: 20 });
+
+  const pipeline = aggregate.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(pipeline[0], { $match: { threadId: { $ne: null }, category: 'absence' } });
+  const stages = pipeline.map(stage => Object.keys(stage)[0]);
+  assert.deepStrictEqual(stages.slice(-3), ['$match', '$sort', '$facet']);
+  assert.deepStrictEqual(pipeline[pipeline.length - 3], { $match: { status: 'open' } });
+  assert.deepStrictEqual(pipeline[pipeline.length - 1].$facet.threads.slice(0, 2), [{ $skip: 20 }, { $limit: 20 }]);
+  assert.deepStrictEqual(result, { threads: [{ threadId: 't1' }], total: 21, page: 2, limit: 20 });
+});
+
+test('listThreads reports no threads when nothing matches', async (t) => {
+  t.mock.method(Email, 'aggregate', async () => [{ threads: [], total: [] }]);
+  assert.deepStrictEqual(await listThreads(), { threads: [], total: 0, page: 1, limit: 20 });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GmailSync = require('../services/gmail-sync');
+
+const record = (labelsAdded = [], labelsRemoved = []) => ({ labelsAdded, labelsRemoved });
+const change = (id, labelIds, current) => ({ message: { id, labelIds: current }, labelIds });
+
+test('collectLabelChanges nets out labels added and removed across history records', () => {
+  const sync = new GmailSync({ user: 'office@school.ca' }, async () => {});
+  const relabeled = new Map();
+
+  sync.collectLabelChanges(relabeled, record([change('m1', ['Label_1', 'UNREAD'], ['INBOX', 'Label_1', 'UNREAD'])]));
+  sync.collectLabelChanges(relabeled, record([], [change('m1', ['UNREAD'], ['INBOX', 'Label_1'])]));
+  sync.collectLabelChanges(relabeled, record([change('m2', ['Label_2'], ['Label_2'])], [change('m2', ['Label_3'], ['Label_2'])]));
+
+  assert.deepStrictEqual(relabeled.get('m1'), { labelIds: ['INBOX', 'Label_1'], added: ['Label_1'], removed: [] });
+  assert.deepStrictEqual(relabeled.get('m2'), { labelIds: ['Label_2'], added: ['Label_2'], removed: ['Label_3'] });
+});
+
+test('incrementalSync only reports user label changes, and not for new messages', async (t) => {
+  const history = [
+    { messagesAdded: [{ message: { id: 'new', labelIds: ['INBOX', 'UNREAD'] } }, { message: { id: 'sent', labelIds: ['SENT'] } }] },
+    record([change('new', ['Label_1'], ['INBOX', 'Label_1'])]),
+    record([change('old', ['Label_2'], ['Label_2'])]),
+    record([], [change('read', ['UNREAD'], ['INBOX'])])
+  ];
+  const mailbox = { listHistory: async () => ({ history, historyId: '200' }) };
+  const reported = [];
+  const sync = new GmailSync(mailbox, async () => {}, { onLabelsChanged: async (id, changes) => reported.push([id, changes]) });
+  const processBatch = t.mock.method(sync, 'processBatch', async () => {});
+
+  await sync.incrementalSync({ historyId: '100' });
+
+  assert.deepStrictEqual(reported, [['old', { labelIds: ['Label_2'], added: ['Label_2'], removed: [] }]]);
+  assert.deepStrictEqual(processBatch.mock.calls[0].arguments.slice(1), [['new'], '200']);
+});
+
+test('a failed label sync does not stop the others', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const reported = [];
+  const sync = new GmailSync({}, async () => {}, {
+    onLabelsChanged: async (id) => {
+      if (id === 'm1') throw new Error('label gone');
+      reported.push(id);
+    }
+  });
+
+  await sync.syncLabelChanges(new Map([
+    ['m1', { labelIds: [], added: ['Label_1'], removed: [] }],
+    ['m2', { labelIds: [], added: [], removed: ['Label_2'] }]
+  ]));
+  assert.deepStrictEqual(reported, ['m2']);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LlmUsage = require('../models/llm-usage.model');
+const Setting = require('../models/setting.model');
+const { OpenAIProvider } = require('../services/llm-provider');
+
+const analysis = { category: 'inquiry', urgency: 'low', summaryEn: 'Asks about tours', suggestedResponse: null, requiresAction: true, shouldAutoRespond: false };
+
+// A provider whose API client answers without the network
+function provider(options = {}) {
+  const ai = new OpenAIProvider({ apiKey: 'test', model: 'gpt-4o-mini', ...options });
+  ai.client = {
+    chat: {
+      completions: {
+        create: async () => ({
+          model: 'gpt-4o-mini',
+          usage: { prompt_tokens: 1000, completion_tokens: 200 },
+          choices: [{ message: { content: JSON.stringify(analysis) } }]
+        })
+      }
+    }
+  };
+  return ai;
+}
+
+// Spend and budget as the usage log would report them; the cached status is skipped by moving the clock on
+let minutesAhead = 0;
+function budget(t, { spent, limit }) {
+  minutesAhead += 10;
+  const now = Date.now() + minutesAhead * 60 * 1000;
+  t.mock.method(Date, 'now', () => now);
+  t.mock.method(Setting, 'getValue', async () => limit);
+  t.mock.method(LlmUsage, 'aggregate', async () => [{ cost: spent }]);
+}
+
+test('every model call is logged under the caller\'s feature', async (t) => {
+  budget(t, { spent: 1, limit: 20 });
+  const create = t.mock.method(LlmUsage, 'create', async (doc) => doc);
+
+  const result = await provider().analyzeEmail('parent@example.com', 'Tours', 'Can we visit?', [], [], { feature: 'newsletter', messageId: 'm1' });
+
+  assert.strictEqual(result.category, 'inquiry');
+  assert.strictEqual(create.mock.callCount(), 1);
+  const logged = create.mock.calls[0].arguments[0];
+  assert.strictEqual(logged.feature, 'newsletter');
+  assert.strictEqual(logged.messageId, 'm1');
+  assert.strictEqual(logged.totalTokens, 1200);
+  assert.strictEqual(logged.success, true);
+});
+
+test('the provider refuses calls once the monthly budget is spent', async (t) => {
+  budget(t, { spent: 25, limit: 20 });
+  const create = t.mock.method(LlmUsage, 'create', async (doc) => doc);
+
+  await assert.rejects(provider().analyzeEmail('parent@example.com', 'Tours', 'Can we visit?'), /budget of \$20 is spent/);
+  assert.strictEqual(create.mock.callCount(), 0);
+
+  // The over-budget model still answers, and is still logged
+  const cheaper = await provider({ overBudget: true }).analyzeEmail('parent@example.com', 'Tours', 'Can we visit?');
+  assert.strictEqual(cheaper.category, 'inquiry');
+  assert.strictEqual(create.mock.callCount(), 1);
+  assert.strictEqual(create.mock.calls[0].arguments[0].feature, 'triage');
+});
+
+test('unmetered providers do not touch the usage log', async (t) => {
+  const aggregate = t.mock.method(LlmUsage, 'aggregate', async () => []);
+  const create = t.mock.method(LlmUsage, 'create', async (doc) => doc);
+
+  await provider({ metered: false }).analyzeEmail('parent@example.com', 'Tours', 'Can we visit?');
+  assert.strictEqual(aggregate.mock.callCount(), 0);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
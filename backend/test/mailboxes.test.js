@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Mailbox = require('../models/mailbox.model');
+const { applyMailboxChanges, validateMailbox, restrictCategory } = require('../services/mailboxes');
+
+test('a local mailbox created without a schedule is polled and passes validation', () => {
+  const mailbox = applyMailboxChanges(new Mailbox(), { name: 'admissions', address: 'admissions@example.com', type: 'maildir', path: '/var/mail/admissions' });
+  assert.strictEqual(mailbox.schedule.mode, 'poll');
+  assert.deepStrictEqual(validateMailbox(mailbox), []);
+});
+
+test('switching a Gmail mailbox to mbox switches it to polling', () => {
+  const mailbox = new Mailbox({ name: 'office', address: 'office@example.com', type: 'gmail' });
+  assert.strictEqual(mailbox.schedule.mode, 'sync');
+  applyMailboxChanges(mailbox, { type: 'mbox', path: '/var/mail/office' });
+  assert.strictEqual(mailbox.schedule.mode, 'poll');
+});
+
+test('a local mailbox asked to sync is still rejected', () => {
+  const mailbox = applyMailboxChanges(new Mailbox(), {
+    name: 'office', address: 'office@example.com', type: 'mbox', path: '/var/mail/office', schedule: { mode: 'sync' }
+  });
+  assert.ok(validateMailbox(mailbox).includes('local mailboxes can only be polled'));
+});
+
+test('Gmail mailboxes keep syncing and need a refresh token', () => {
+  const mailbox = applyMailboxChanges(new Mailbox(), { name: 'office', address: 'office@example.com', type: 'gmail' });
+  assert.strictEqual(mailbox.schedule.mode, 'sync');
+  assert.ok(validateMailbox(mailbox).includes('Gmail mailboxes need a refresh token'));
+});
+
+test('restrictCategory files other categories as general and flags them', () => {
+  const config = { name: 'admissions', categories: ['waitlist', 'inquiry', 'general'] };
+  assert.strictEqual(restrictCategory({ category: 'inquiry' }, config).category, 'inquiry');
+  const restricted = restrictCategory({ category: 'payment', reviewFlags: [] }, config);
+  assert.strictEqual(restricted.category, 'general');
+  assert.deepStrictEqual(restricted.reviewFlags, ['payment is not handled by the admissions mailbox']);
+  assert.strictEqual(restrictCategory({ category: 'payment' }, { categories: [] }).category, 'payment');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  decodeQuotedPrintable, decodeHeaderValue, parseRawMessage, htmlToText, stripQuotedReply, stripSignature, extractBody, messageDate
+} = require('../services/mime-parser');
+
+const b64 = (text) => Buffer.from(text, 'utf8').toString('base64');
+
+test('messageDate uses Gmail internalDate, then the Date header', () => {
+  const sent = new Date('2024-03-05T09:30:00Z');
+  assert.deepStrictEqual(messageDate({ internalDate: String(sent.getTime()), payload: { headers: [] } }), sent);
+  assert.deepStrictEqual(
+    messageDate({ payload: { headers: [{ name: 'Date', value: 'Tue, 05 Mar 2024 09:30:00 +0000' }] } }),
+    sent
+  );
+});
+
+test('messageDate returns null without a usable date and caps future dates at now', () => {
+  const now = new Date('2024-03-05T12:00:00Z');
+  assert.strictEqual(messageDate({ payload: { headers: [] } }), null);
+  assert.strictEqual(messageDate({ payload: { headers: [{ name: 'Date', value: 'not a date' }] } }), null);
+  assert.deepStrictEqual(
+    messageDate({ payload: { headers: [{ name: 'Date', value: 'Fri, 01 Jan 2100 00:00:00 +0000' }] } }, now),
+    now
+  );
+});
+
+test('decodeQuotedPrintable joins soft line breaks and decodes escaped bytes', () => {
+  assert.strictEqual(decodeQuotedPrintable('Caf=C3=A9 au =\r\nlait =3D bon').toString('utf8'), 'Café au lait = bon');
+});
+
+test('decodeHeaderValue decodes RFC 2047 words in either encoding and joins adjacent ones', () => {
+  assert.strictEqual(decodeHeaderValue('=?UTF-8?B?SW5zY3JpcHRpb24gw6AgbCfDqWNvbGU=?='), "Inscription à l'école");
+  assert.strictEqual(decodeHeaderValue('=?ISO-8859-1?Q?Absence_de_L=E9a?= demain'), 'Absence de Léa demain');
+  assert.strictEqual(decodeHeaderValue('=?UTF-8?Q?Fr=C3=A9?= =?UTF-8?Q?d=C3=A9ric?='), 'Frédéric');
+  assert.strictEqual(decodeHeaderValue('Plain subject'), 'Plain subject');
+});
+
+test('parseRawMessage undoes the transfer encoding and keeps the declared charset for partText', () => {
+  const raw = [
+    'From: parent@example.com',
+    'Subject: =?UTF-8?B?UsOpcG9uc2U=?=',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Bonjour, L=C3=A9a sera absente.'
+  ].join('\r\n');
+
+  const payload = parseRawMessage(Buffer.from(raw, 'utf8').toString('latin1'));
+  assert.strictEqual(payload.headers.find(h => h.name === 'Subject').value, 'Réponse');
+  assert.strictEqual(extractBody(payload).cleaned, 'Bonjour, Léa sera absente.');
+});
+
+test('htmlToText keeps the structure and can drop the quoted history', () => {
+  const html = '<style>p { color: red }</style><p>Hello &amp; welcome</p><ul><li>One</li><li>Two</li></ul>'
+    + '<div class="gmail_quote">On Mon, someone wrote: old text</div>';
+  assert.strictEqual(htmlToText(html, { dropQuotes: true }), 'Hello & welcome\n\n- One\n- Two');
+  assert.match(htmlToText(html), /old text/);
+});
+
+test('stripQuotedReply cuts at the quote header, in English, French or Outlook form', () => {
+  assert.strictEqual(stripQuotedReply('Yes, Thursday works.\n\nOn Mon, Mar 4, 2024 at 9:00 AM School <a@b.ca> wrote:\n> Pick a time'), 'Yes, Thursday works.');
+  assert.strictEqual(stripQuotedReply('Merci!\nLe lun. 4 mars 2024, École a écrit :\n> Bonjour'), 'Merci!');
+  assert.strictEqual(stripQuotedReply('Thanks\nFrom: School\nSent: Monday\nSubject: Tours'), 'Thanks');
+  assert.strictEqual(stripQuotedReply('> quoted first\nMy answer'), 'My answer');
+});
+
+test('stripSignature cuts at the delimiter or a mobile footer, never at the first line', () => {
+  assert.strictEqual(stripSignature('See you Monday\n-- \nJane Doe\n555-1234'), 'See you Monday');
+  assert.strictEqual(stripSignature('Running late\n\nSent from my iPhone'), 'Running late\n');
+  assert.strictEqual(stripSignature('-- \nonly a signature'), '-- \nonly a signature');
+});
+
+test('extractBody prefers text/plain and falls back to cleaned HTML', () => {
+  const part = (mimeType, text) => ({ mimeType, headers: [], body: { data: b64(text) } });
+  const alternative = { mimeType: 'multipart/alternative', parts: [part('text/plain', 'Plain\n\nSent from my iPhone'), part('text/html', '<p>Html</p>')] };
+  assert.deepStrictEqual(extractBody(alternative), { format: 'text', raw: 'Plain\n\nSent from my iPhone', cleaned: 'Plain' });
+
+  const htmlOnly = { mimeType: 'multipart/alternative', parts: [part('text/html', '<p>Html <b>only</b></p><blockquote>old</blockquote>')] };
+  assert.strictEqual(extractBody(htmlOnly).format, 'html');
+  assert.strictEqual(extractBody(htmlOnly).cleaned, 'Html only');
+});
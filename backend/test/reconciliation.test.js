@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Payment = require('../models/payment.model');
+const Email = require('../models/email.model');
+const { parseAmount, confirmReconciliation } = require('../services/reconciliation');
+
+const invoice = () => new Payment({ invoiceNumber: 'INV-1', studentId: new mongoose.Types.ObjectId(), amount: 850, type: 'tuition' });
+const proposal = (paymentId) => new Email({
+  from: 'notify@payments.interac.ca',
+  reconciliation: { status: 'proposed', amount: 850, reference: 'CA1234', paymentId }
+});
+
+test('parseAmount reads the usual ways an amount is written', () => {
+  assert.strictEqual(parseAmount('1,250.00'), 1250);
+  assert.strictEqual(parseAmount('1 250,00'), 1250);
+  assert.strictEqual(parseAmount('$850 CAD'), 850);
+  assert.strictEqual(parseAmount('free'), null);
+  assert.strictEqual(parseAmount(0), null);
+});
+
+test('confirmReconciliation records the payment once the email and invoice are claimed', async (t) => {
+  const payment = invoice();
+  const email = proposal(payment._id);
+  t.mock.method(Payment, 'findById', async () => payment);
+  t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Email, 'findOneAndUpdate', async () => email);
+  const markAsPaid = t.mock.method(payment, 'markAsPaid', async () => payment);
+  t.mock.method(email, 'save', async () => email);
+
+  await confirmReconciliation(email, { by: 'office@example.com' });
+
+  assert.strictEqual(markAsPaid.mock.callCount(), 1);
+  assert.strictEqual(markAsPaid.mock.calls[0].arguments[0].processor, 'e-transfer');
+  assert.strictEqual(email.reconciliation.status, 'confirmed');
+  assert.strictEqual(email.reconciliation.reviewedBy, 'office@example.com');
+  assert.strictEqual(email.requiresAction, false);
+});
+
+test('confirmReconciliation does not pay twice when another confirmation claimed the email first', async (t) => {
+  const payment = invoice();
+  const email = proposal(payment._id);
+  t.mock.method(Payment, 'findById', async () => payment);
+  const claimInvoice = t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Email, 'findOneAndUpdate', async () => null);
+  const markAsPaid = t.mock.method(payment, 'markAsPaid', async () => payment);
+
+  await assert.rejects(confirmReconciliation(email, { by: 'office@example.com' }), /already being confirmed/);
+  assert.strictEqual(claimInvoice.mock.callCount(), 0);
+  assert.strictEqual(markAsPaid.mock.callCount(), 0);
+});
+
+test('confirmReconciliation releases the email when the invoice was paid from another email', async (t) => {
+  const payment = invoice();
+  const email = proposal(payment._id);
+  t.mock.method(Payment, 'findById', async () => payment);
+  t.mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 0 }));
+  t.mock.method(Email, 'findOneAndUpdate', async () => email);
+  const release = t.mock.method(Email, 'updateOne', async () => ({ modifiedCount: 1 }));
+  const markAsPaid = t.mock.method(payment, 'markAsPaid', async () => payment);
+
+  await assert.rejects(confirmReconciliation(email, { by: 'office@example.com' }), /already paid/);
+  assert.strictEqual(markAsPaid.mock.callCount(), 0);
+  assert.strictEqual(release.mock.calls[0].arguments[1]['reconciliation.status'], 'proposed');
+  assert.strictEqual(email.reconciliation.status, 'proposed');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { headerBlockReason, senderBlockReason, incomingBlockReason, setMailboxAddresses } = require('../services/reply-guard');
+
+const headers = (values) => Object.entries(values).map(([name, value]) => ({ name, value }));
+
+test('headerBlockReason recognises automated mail by its headers', () => {
+  assert.strictEqual(headerBlockReason(headers({ 'Auto-Submitted': 'auto-replied' })), 'Auto-Submitted: auto-replied');
+  assert.strictEqual(headerBlockReason(headers({ 'List-Id': '<parents.school.ca>' })), 'mailing list (List-Id)');
+  assert.strictEqual(headerBlockReason(headers({ 'List-Unsubscribe': '<mailto:u@x.com>' })), 'mailing list (List-Unsubscribe)');
+  assert.strictEqual(headerBlockReason(headers({ Precedence: 'Bulk' })), 'Precedence: bulk');
+  assert.strictEqual(headerBlockReason(headers({ 'Return-Path': '<>' })), 'bounce (empty Return-Path)');
+  assert.strictEqual(headerBlockReason(headers({ 'X-Autoreply': 'yes' })), 'auto-reply header');
+  assert.strictEqual(headerBlockReason(headers({ 'X-Auto-Response-Suppress': 'OOF, AutoReply' })), 'X-Auto-Response-Suppress: OOF, AutoReply');
+  assert.strictEqual(headerBlockReason(headers({ 'Content-Type': 'multipart/report; report-type=delivery-status' })), 'delivery report');
+});
+
+test('headerBlockReason lets ordinary mail through', () => {
+  assert.strictEqual(headerBlockReason(), null);
+  assert.strictEqual(headerBlockReason(headers({
+    'Auto-Submitted': 'no',
+    Precedence: 'first-class',
+    'Return-Path': '<parent@example.com>',
+    'Content-Type': 'text/plain; charset=utf-8'
+  })), null);
+});
+
+test('senderBlockReason refuses system senders, our own mailboxes and the block list', (t) => {
+  const saved = process.env.AUTO_REPLY_BLOCKED_SENDERS;
+  process.env.AUTO_REPLY_BLOCKED_SENDERS = 'ex@family.ca, @spam.example';
+  setMailboxAddresses(['office@school.ca']);
+  t.after(() => {
+    setMailboxAddresses([]);
+    if (saved === undefined) delete process.env.AUTO_REPLY_BLOCKED_SENDERS;
+    else process.env.AUTO_REPLY_BLOCKED_SENDERS = saved;
+  });
+
+  assert.strictEqual(senderBlockReason('No-Reply@bank.com'), 'system sender (no-reply@bank.com)');
+  assert.strictEqual(senderBlockReason('Office <office@school.ca>'), 'sent from our own address');
+  assert.strictEqual(senderBlockReason('ex@family.ca'), 'blocked sender (ex@family.ca)');
+  assert.strictEqual(senderBlockReason('anyone@spam.example'), 'blocked sender (anyone@spam.example)');
+  assert.strictEqual(senderBlockReason(''), 'no sender address');
+  assert.strictEqual(senderBlockReason('parent@example.com'), null);
+});
+
+test('incomingBlockReason also catches out-of-office subjects', () => {
+  assert.strictEqual(
+    incomingBlockReason({ from: 'parent@example.com', subject: 'Réponse automatique : Absent du bureau', headers: [] }),
+    'automated subject (out of office or bounce)'
+  );
+  assert.strictEqual(incomingBlockReason({ from: 'parent@example.com', subject: 'Out of curiosity, tours?', headers: [] }), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildFilter, diffAnalysis } = require('../services/reprocess');
+
+test('diffAnalysis lists only the fields a re-run changed', () => {
+  const email = {
+    category: 'general',
+    urgency: 'low',
+    extractedData: { childName: 'Léa', programType: 'Casa', postalCode: 'K1A 0B1' }
+  };
+  const result = {
+    category: 'waitlist',
+    urgency: 'low',
+    extractedData: { childName: 'Léa', programType: 'Toddler', parentPhone: '613-555-0100' }
+  };
+
+  assert.deepStrictEqual(diffAnalysis(email, result), {
+    category: { from: 'general', to: 'waitlist' },
+    extractedData: {
+      programType: { from: 'Casa', to: 'Toddler' },
+      postalCode: { from: 'K1A 0B1', to: null },
+      parentPhone: { from: null, to: '613-555-0100' }
+    }
+  });
+});
+
+test('diffAnalysis treats missing and null extracted data as the same', () => {
+  assert.deepStrictEqual(diffAnalysis({ category: 'inquiry', urgency: 'medium' }, { category: 'inquiry', urgency: 'medium', extractedData: null }), {});
+  assert.deepStrictEqual(
+    diffAnalysis({ category: 'inquiry', urgency: 'medium', extractedData: { childName: null } }, { category: 'inquiry', urgency: 'medium', extractedData: {} }),
+    {}
+  );
+});
+
+test('buildFilter selects by date range, category and processing version', () => {
+  assert.deepStrictEqual(buildFilter({ from: '2024-03-01', to: '2024-04-01', category: 'absence', processingVersion: 'none' }), {
+    received: { $gte: new Date('2024-03-01'), $lt: new Date('2024-04-01') },
+    category: 'absence',
+    processingVersion: null
+  });
+  assert.deepStrictEqual(buildFilter({ ids: ['a', 'b'], processingVersion: 'openai:gpt-4o-mini@p7' }), {
+    _id: { $in: ['a', 'b'] },
+    processingVersion: 'openai:gpt-4o-mini@p7'
+  });
+  assert.deepStrictEqual(buildFilter(), {});
+});
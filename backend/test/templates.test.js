@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_TEMPLATES, MERGE_FIELDS, renderTemplate, textToHtml } = require('../services/templates');
+
+test('renderTemplate fills fields, falls back, and reports what is missing', () => {
+  const rendered = renderTemplate(
+    { subject: 'Application for {{ childName | your child }}', body: 'Dear {{parentName|Parent}},\n{{tourSlots}}\n{{schoolName}}' },
+    { childName: 'Léa', parentName: '  ', schoolName: 'Yus Montessori School' }
+  );
+
+  assert.strictEqual(rendered.subject, 'Application for Léa');
+  assert.strictEqual(rendered.body, 'Dear Parent,\n\nYus Montessori School');
+  assert.deepStrictEqual(rendered.missing, ['tourSlots']);
+});
+
+test('renderTemplate only substitutes once, so a value cannot pull in other fields', () => {
+  const rendered = renderTemplate({ subject: '', body: 'Hi {{parentName}}' }, { parentName: '{{tuitionSheetLink}}', tuitionSheetLink: 'x' });
+  assert.strictEqual(rendered.body, 'Hi {{tuitionSheetLink}}');
+  assert.deepStrictEqual(rendered.missing, []);
+});
+
+test('the starter templates only use known merge fields', () => {
+  const known = MERGE_FIELDS.map(f => f.key);
+  for (const template of DEFAULT_TEMPLATES) {
+    const texts = [template, ...Object.values(template.translations || {})];
+    for (const { subject, body } of texts) {
+      const used = [...`${subject}\n${body}`.matchAll(/\{\{\s*(\w+)/g)].map(m => m[1]);
+      assert.deepStrictEqual(used.filter(key => !known.includes(key)), [], template.key);
+    }
+  }
+});
+
+test('textToHtml escapes the text and keeps paragraphs and line breaks', () => {
+  assert.strictEqual(textToHtml('Dear <Parent>,\n\nTours & visits:\n- Thursday'), '<p>Dear &lt;Parent&gt;,</p>\n<p>Tours &amp; visits:<br>- Thursday</p>');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TourSlot = require('../models/tour-slot.model');
+const Email = require('../models/email.model');
+const { slotLabel, slotsInText, pickSlot, recordTourOffer, bookFromReply } = require('../services/tours');
+
+process.env.SCHOOL_TIMEZONE = 'America/Toronto';
+
+const now = new Date('2024-03-05T15:00:00Z');
+// Tuesday 10am (past), Thursday 10am and Friday 2pm, Toronto time
+const past = new TourSlot({ start: new Date('2024-03-05T14:00:00Z') });
+const thursday = new TourSlot({ start: new Date('2024-03-07T15:00:00Z') });
+const friday = new TourSlot({ start: new Date('2024-03-08T19:00:00Z') });
+
+test('slotsInText lists offered slots in the order the reply shows them', () => {
+  const text = `Pick one:\n1. ${slotLabel(friday)}\n2. ${slotLabel(thursday, 'fr')}`;
+  assert.deepStrictEqual(slotsInText(text, [past, thursday, friday]), [friday, thursday]);
+  assert.deepStrictEqual(slotsInText('No times here', [thursday]), []);
+});
+
+test('recordTourOffer only records a reply that was sent, from its final text', async (t) => {
+  t.mock.method(TourSlot, 'findOpen', async () => [thursday, friday]);
+  const email = new Email({ from: 'parent@example.com', reply: { status: 'pending', draft: `1. ${slotLabel(thursday)}` } });
+
+  await recordTourOffer(email);
+  assert.strictEqual(email.tourOffer.slotIds.length, 0);
+
+  // Staff changed the offered time before sending
+  email.reply.status = 'sent';
+  email.reply.sentAt = now;
+  email.reply.draft = `1. ${slotLabel(friday)}`;
+  await recordTourOffer(email);
+  assert.deepStrictEqual(email.tourOffer.slotIds.map(String), [String(friday._id)]);
+  assert.deepStrictEqual(email.tourOffer.offeredAt, now);
+});
+
+test('pickSlot reads an option number or a day and time', () => {
+  const offered = [thursday, friday];
+  assert.strictEqual(pickSlot('Option 2 please', offered, now), friday);
+  assert.strictEqual(pickSlot('2', offered, now), friday);
+  assert.strictEqual(pickSlot('Thursday works for us', offered, now), thursday);
+  assert.strictEqual(pickSlot('2pm would be great', offered, now), friday);
+  assert.strictEqual(pickSlot('le vendredi 8 mars à 14h', offered, now), friday);
+  assert.strictEqual(pickSlot('option 3', offered, now), null);
+  assert.strictEqual(pickSlot('10am', [past, thursday, new TourSlot({ start: new Date('2024-03-08T15:00:00Z') })], now), null);
+  assert.strictEqual(pickSlot('Sounds good, thanks', offered, now), null);
+});
+
+test('pickSlot prefers the upcoming slot when a past one fits as well', () => {
+  assert.strictEqual(pickSlot('10am is fine', [past, thursday], now), thursday);
+  // Only the past slot fits: it is returned so the caller can tell the parent it has passed
+  assert.strictEqual(pickSlot('Tuesday at 10', [past, thursday], now), past);
+});
+
+test('bookFromReply does not book a slot that has already passed', async (t) => {
+  const oldSlot = new TourSlot({ start: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+  const offer = new Email({ from: 'parent@example.com', threadId: 't1', tourOffer: { slotIds: [oldSlot._id] } });
+  const answer = new Email({ from: 'Parent <parent@example.com>', threadId: 't1', body: 'Option 1 please' });
+
+  t.mock.method(Email, 'findOne', () => ({ sort: async () => offer }));
+  t.mock.method(TourSlot, 'find', async () => [oldSlot]);
+  const booked = t.mock.method(TourSlot, 'findOneAndUpdate', async () => {
+    throw new Error('must not book');
+  });
+  t.mock.method(offer, 'save', async () => offer);
+  t.mock.method(answer, 'save', async () => answer);
+
+  assert.strictEqual(await bookFromReply(null, answer), null);
+  assert.strictEqual(booked.mock.callCount(), 0);
+  assert.match(offer.tourOffer.issue, /already passed/);
+  assert.strictEqual(answer.requiresAction, true);
+});
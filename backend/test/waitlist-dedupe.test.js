@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Waitlist = require('../models/waitlist.model');
+const { findDuplicate, attachEmail } = require('../services/waitlist-dedupe');
+
+const entry = (values) => new Waitlist({ parentEmail: 'marie@example.com', childName: 'Léa Tremblay', ...values });
+
+// Waitlist.find(query).sort(...) answering with these candidates; the query is kept for inspection
+function candidates(t, list) {
+  return t.mock.method(Waitlist, 'find', () => ({ sort: async () => list }));
+}
+
+test('findDuplicate matches the same child through a shared contact, ignoring accents and case', async (t) => {
+  const existing = entry({ parentPhone: '(613) 555-0100' });
+  candidates(t, [existing]);
+
+  assert.strictEqual(await findDuplicate({ parentEmail: 'other@example.com', parentPhone: '1-613-555-0100', childName: 'LEA tremblay' }), existing);
+  assert.strictEqual(await findDuplicate({ parentEmail: ' Marie@Example.com ', childName: 'Léa Tremblay' }), existing);
+});
+
+test('findDuplicate keeps siblings apart and needs a contact or birth date', async (t) => {
+  const existing = entry({ childBirthDate: new Date('2021-05-04') });
+  candidates(t, [existing]);
+
+  assert.strictEqual(await findDuplicate({ parentEmail: 'marie@example.com', childName: 'Noah Tremblay' }), null);
+  assert.strictEqual(await findDuplicate({ parentEmail: 'dad@example.com', childName: 'Lea Tremblay' }), null);
+  assert.strictEqual(await findDuplicate({ parentEmail: 'dad@example.com', childName: 'Lea Tremblay', childBirthDate: '2021-05-04' }), existing);
+});
+
+test('findDuplicate attaches a thread reply to its entry unless it names another child', async (t) => {
+  const existing = entry({ threadIds: ['thread-1'], parentEmail: 'marie@example.com' });
+  const find = candidates(t, [existing]);
+
+  assert.strictEqual(await findDuplicate({}, { threadId: 'thread-1' }), existing);
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0], { $or: [{ threadIds: 'thread-1' }] });
+  assert.strictEqual(await findDuplicate({ childName: 'Noah' }, { threadId: 'thread-1' }), null);
+});
+
+test('findDuplicate does not query without anything to match on', async (t) => {
+  const find = candidates(t, []);
+  assert.strictEqual(await findDuplicate({ parentName: 'Marie' }), null);
+  assert.strictEqual(find.mock.callCount(), 0);
+});
+
+test('attachEmail fills only empty fields and records the email and thread once', () => {
+  const existing = entry({ programType: 'Casa', emailIds: ['e1'] });
+
+  const filled = attachEmail(existing, { programType: 'Toddler', parentPhone: '613-555-0100', childBirthDate: '2021-05-04' }, 'e2', 'thread-2');
+  attachEmail(existing, {}, 'e2', 'thread-2');
+
+  assert.deepStrictEqual(filled, ['parentPhone', 'childBirthDate']);
+  assert.strictEqual(existing.programType, 'Casa');
+  assert.deepStrictEqual(existing.childBirthDate, new Date('2021-05-04'));
+  assert.deepStrictEqual([...existing.emailIds], ['e1', 'e2']);
+  assert.deepStrictEqual([...existing.threadIds], ['thread-2']);
+  assert.match(existing.notes, /Follow-up email e2 attached/);
+});
@@ -0,0 +1,106 @@
+const validator = require('validator');
+
+class Helpers {
+
+  // Format phone numbers
+  static formatPhoneNumber(phone) {
+    if (!phone) return null;
+    
+    // Remove all non-digits
+    const cleaned = phone.replace(/\D/g, '');
+    
+    // Format as (XXX) XXX-XXXX for 10-digit numbers
+    if (cleaned.length === 10) {
+      return `(${cleaned.slice(0, 3)}) ${cleaned.slice(3, 6)}-${cleaned.slice(6)}`;
+    }
+    
+    // Format as +1 (XXX) XXX-XXXX for 11-digit numbers starting with 1
+    if (cleaned.length === 11 && cleaned[0] === '1') {
+      return `+1 (${cleaned.slice(1, 4)}) ${cleaned.slice(4, 7)}-${cleaned.slice(7)}`;
+    }
+    
+    return phone; // Return original if can't format
+  }
+
+  // Validate North American phone numbers (10 digits, optional leading 1)
+  static isValidPhoneNumber(phone) {
+    if (!phone) return false;
+    const cleaned = phone.replace(/\D/g, '');
+    return cleaned.length === 10 || (cleaned.length === 11 && cleaned[0] === '1');
+  }
+
+  // Validate email format
+  static isValidEmail(email) {
+    return Boolean(email) && validator.isEmail(String(email).trim());
+  }
+
+  // Validate Canadian postal code
+  static isValidPostalCode(postalCode) {
+    if (!postalCode) return false;
+    const canadianPostalRegex = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z][ -]?\d[ABCEGHJ-NPRSTV-Z]\d$/i;
+    return canadianPostalRegex.test(postalCode.replace(/\s/g, ''));
+  }
+
+  // Parse a date written by a parent; returns null instead of an Invalid Date.
+  // Numeric dates are read day-first when the first number can't be a month (31/01/2022), else month-first.
+  static parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value) ? null : value;
+
+    const text = String(value).trim();
+    const numeric = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+    if (numeric) {
+      let [, a, b, c] = numeric.map(Number);
+      let year, month, day;
+      if (a > 999) {
+        [year, month, day] = [a, b, c];
+      } else {
+        year = c < 100 ? 2000 + c : c;
+        [month, day] = a > 12 ? [b, a] : [a, b];
+      }
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+    }
+
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  // Normalize an email address for matching
+  static normalizeEmail(email) {
+    if (!email) return null;
+    const match = String(email).match(/<([^>]+)>/);
+    return (match ? match[1] : String(email)).trim().toLowerCase() || null;
+  }
+
+  // Normalize a phone number to its last 10 digits for matching
+  static normalizePhone(phone) {
+    if (!phone) return null;
+    const cleaned = String(phone).replace(/\D/g, '');
+    if (cleaned.length < 7) return null;
+    return cleaned.length === 11 && cleaned[0] === '1' ? cleaned.slice(1) : cleaned;
+  }
+
+  // Normalize a person's name: lowercase, no accents or punctuation, single spaces
+  static normalizeName(name) {
+    if (!name) return null;
+    return String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim() || null;
+  }
+
+  // Same calendar day, ignoring time zones
+  static isSameDay(a, b) {
+    if (!a || !b) return false;
+    const first = new Date(a);
+    const second = new Date(b);
+    if (isNaN(first) || isNaN(second)) return false;
+    return first.toISOString().slice(0, 10) === second.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = Helpers;
@@ -6,6 +6,16 @@ import Students from './pages/Students';
 import Payments from './pages/Payments';
 import Emails from './pages/Emails';
 import Waitlist from './pages/Waitlist';
+import WaitlistReview from './pages/WaitlistReview';
+import EmailRules from './pages/EmailRules';
+import ResponseTemplates from './pages/ResponseTemplates';
+import SlaReport from './pages/SlaReport';
+import ClassList from './pages/ClassList';
+import Tours from './pages/Tours';
+import Outbox from './pages/Outbox';
+import Mailboxes from './pages/Mailboxes';
+import ReplyQueue from './pages/ReplyQueue';
+import Threads from './pages/Threads';
 import PrivateRoute from './components/PrivateRoute';
 
 function App() {
@@ -16,9 +26,20 @@ function App() {
         <Route path="/" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
         <Route path="/dashboard" element={<PrivateRoute><Dashboard /></PrivateRoute>} />
         <Route path="/students" element={<PrivateRoute><Students /></PrivateRoute>} />
+        <Route path="/attendance" element={<PrivateRoute><ClassList /></PrivateRoute>} />
+        <Route path="/tours" element={<PrivateRoute><Tours /></PrivateRoute>} />
         <Route path="/payments" element={<PrivateRoute><Payments /></PrivateRoute>} />
         <Route path="/emails" element={<PrivateRoute><Emails /></PrivateRoute>} />
+        <Route path="/emails/sla" element={<PrivateRoute><SlaReport /></PrivateRoute>} />
+        <Route path="/emails/outbox" element={<PrivateRoute><Outbox /></PrivateRoute>} />
+        <Route path="/emails/replies" element={<PrivateRoute><ReplyQueue /></PrivateRoute>} />
+        <Route path="/emails/threads" element={<PrivateRoute><Threads /></PrivateRoute>} />
+        <Route path="/emails/threads/:threadId" element={<PrivateRoute><Threads /></PrivateRoute>} />
         <Route path="/waitlist" element={<PrivateRoute><Waitlist /></PrivateRoute>} />
+        <Route path="/waitlist/review" element={<PrivateRoute><WaitlistReview /></PrivateRoute>} />
+        <Route path="/settings/rules" element={<PrivateRoute><EmailRules /></PrivateRoute>} />
+        <Route path="/settings/templates" element={<PrivateRoute><ResponseTemplates /></PrivateRoute>} />
+        <Route path="/settings/mailboxes" element={<PrivateRoute><Mailboxes /></PrivateRoute>} />
         <Route path="*" element={<Navigate to="/dashboard" />} />
       </Routes>
     </Router>
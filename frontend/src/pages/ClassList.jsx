@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+function ClassList() {
+  const [date, setDate] = useState(today());
+  const [classroom, setClassroom] = useState('');
+  const [list, setList] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchClassList();
+  }, [date]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchClassList = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/attendance/class-list?date=${date}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setList(data);
+      }
+    } catch (error) {
+      console.error('Error fetching class list:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const removeEntry = async (student) => {
+    if (!window.confirm(`Remove the absence for ${student.firstName} ${student.lastName}?`)) return;
+    try {
+      const response = await fetch(`http://localhost:5001/api/attendance/students/${student._id}/entries/${student.entryId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        fetchClassList();
+      } else {
+        const data = await response.json();
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error removing attendance entry:', error);
+    }
+  };
+
+  const classes = (list?.classes || []).filter(c => !classroom || c.classroom === classroom);
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Class List</h1>
+
+        <div className="filter-bar">
+          <input type="date" value={date} onChange={e => setDate(e.target.value)} />
+          <select value={classroom} onChange={e => setClassroom(e.target.value)}>
+            <option value="">All classrooms</option>
+            {(list?.classes || []).map(c => (
+              <option key={c.classroom} value={c.classroom}>{c.classroom}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading class list...</div>
+        ) : classes.length === 0 ? (
+          <div className="no-data">No enrolled students</div>
+        ) : (
+          classes.map(c => (
+            <div key={c.classroom} className="waitlist-table">
+              <h3>{c.classroom} · {c.students.length - c.absent} of {c.students.length} expected</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Student</th>
+                    <th>Attendance</th>
+                    <th>Reason</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {c.students.map(student => (
+                    <tr key={student._id}>
+                      <td>{student.firstName} {student.lastName}</td>
+                      <td>
+                        {student.status
+                          ? <span className={`status-badge ${student.status}`}>{student.status}{student.excused ? ' (excused)' : ''}</span>
+                          : '—'}
+                      </td>
+                      <td>{student.reason || ''}</td>
+                      <td>
+                        {student.entryId && (
+                          <button className="close-btn" onClick={() => removeEntry(student)}>Remove</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ClassList;
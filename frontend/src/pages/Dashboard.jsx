@@ -92,6 +92,34 @@ function Dashboard() {
               <span className="action-icon">📋</span>
               Manage Waitlist
             </Link>
+            <Link to="/settings/rules" className="action-btn">
+              <span className="action-icon">⚙️</span>
+              Email Rules
+            </Link>
+            <Link to="/settings/templates" className="action-btn">
+              <span className="action-icon">✉️</span>
+              Reply Templates
+            </Link>
+            <Link to="/emails/sla" className="action-btn">
+              <span className="action-icon">⏱️</span>
+              Response Times
+            </Link>
+            <Link to="/attendance" className="action-btn">
+              <span className="action-icon">📋</span>
+              Class List
+            </Link>
+            <Link to="/tours" className="action-btn">
+              <span className="action-icon">🏫</span>
+              School Tours
+            </Link>
+            <Link to="/emails/outbox" className="action-btn">
+              <span className="action-icon">📤</span>
+              Outbox
+            </Link>
+            <Link to="/settings/mailboxes" className="action-btn">
+              <span className="action-icon">📬</span>
+              Mailboxes
+            </Link>
           </div>
         </div>
       </div>
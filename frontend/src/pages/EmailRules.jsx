@@ -0,0 +1,400 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const FIELDS = [
+  { value: 'from', label: 'Sender address' },
+  { value: 'domain', label: 'Sender domain' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'body', label: 'Body' },
+  { value: 'header', label: 'Header' }
+];
+
+const OPERATORS = [
+  { value: 'contains', label: 'contains' },
+  { value: 'equals', label: 'equals' },
+  { value: 'startsWith', label: 'starts with' },
+  { value: 'endsWith', label: 'ends with' },
+  { value: 'matches', label: 'matches pattern' }
+];
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+
+const emptyRule = () => ({
+  name: '',
+  description: '',
+  enabled: true,
+  priority: 100,
+  match: 'all',
+  conditions: [{ field: 'domain', operator: 'equals', value: '', header: '' }],
+  actions: { category: '', urgency: '', label: '', assignee: '', skipAutoRespond: false, skipAI: false },
+  stopProcessing: false
+});
+
+function EmailRules() {
+  const [rules, setRules] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [sample, setSample] = useState({ from: '', subject: '', body: '' });
+  const [testResult, setTestResult] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchRules = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/rules', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setRules(data);
+      }
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveRule = async () => {
+    try {
+      // Empty action fields mean "leave as is"
+      const actions = Object.fromEntries(
+        Object.entries(editing.actions).filter(([, value]) => value !== '')
+      );
+      const response = await fetch(`http://localhost:5001/api/rules${editing._id ? `/${editing._id}` : ''}`, {
+        method: editing._id ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...editing, actions })
+      });
+
+      if (response.ok) {
+        setEditing(null);
+        setError('');
+        fetchRules();
+      } else {
+        const data = await response.json();
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error('Error saving rule:', error);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+
+    try {
+      const response = await fetch(`http://localhost:5001/api/rules/${rule._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        fetchRules();
+      }
+    } catch (error) {
+      console.error('Error deleting rule:', error);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/rules/${rule._id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ enabled: !rule.enabled })
+      });
+
+      if (response.ok) {
+        fetchRules();
+      }
+    } catch (error) {
+      console.error('Error updating rule:', error);
+    }
+  };
+
+  const testRules = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/rules/test', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(sample)
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setTestResult(data);
+      }
+    } catch (error) {
+      console.error('Error testing rules:', error);
+    }
+  };
+
+  const editRule = (rule) => {
+    const blank = emptyRule();
+    setError('');
+    setEditing({
+      ...blank,
+      ...rule,
+      actions: { ...blank.actions, ...rule.actions }
+    });
+  };
+
+  const updateCondition = (index, changes) => {
+    const conditions = editing.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c));
+    setEditing({ ...editing, conditions });
+  };
+
+  const updateAction = (key, value) => {
+    setEditing({ ...editing, actions: { ...editing.actions, [key]: value } });
+  };
+
+  const describeActions = (actions = {}) => {
+    const parts = [];
+    if (actions.category) parts.push(`category: ${actions.category}`);
+    if (actions.urgency) parts.push(`urgency: ${actions.urgency}`);
+    if (actions.label) parts.push(`label: ${actions.label}`);
+    if (actions.assignee) parts.push(`assign to ${actions.assignee}`);
+    if (actions.skipAutoRespond) parts.push('no auto-reply');
+    if (actions.skipAI) parts.push('skip AI');
+    return parts.join(' · ');
+  };
+
+  const describeConditions = (rule) => rule.conditions
+    .map(c => `${c.field === 'header' ? c.header : c.field} ${c.operator} "${c.value}"`)
+    .join(rule.match === 'any' ? ' or ' : ' and ');
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Email Routing Rules</h1>
+        <p className="settings-help">
+          Rules run in priority order before the AI reads an email. When two rules set the same action, the one
+          with the lower priority number wins.
+        </p>
+
+        <div className="filter-bar">
+          <button className="active" onClick={() => editRule(emptyRule())}>+ New Rule</button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading rules...</div>
+        ) : (
+          <div className="waitlist-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Priority</th>
+                  <th>Rule</th>
+                  <th>When</th>
+                  <th>Then</th>
+                  <th>Matches</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map(rule => (
+                  <tr key={rule._id} className={rule.enabled ? '' : 'rule-disabled'}>
+                    <td>{rule.priority}</td>
+                    <td>
+                      <strong>{rule.name}</strong>
+                      {rule.stopProcessing && <div className="contact-info">stops further rules</div>}
+                    </td>
+                    <td className="contact-info">{describeConditions(rule)}</td>
+                    <td className="contact-info">{describeActions(rule.actions)}</td>
+                    <td>
+                      {rule.matchCount}
+                      {rule.lastMatchedAt && (
+                        <div className="contact-info">last {new Date(rule.lastMatchedAt).toLocaleDateString()}</div>
+                      )}
+                    </td>
+                    <td className="rule-buttons">
+                      <button className="action-btn" onClick={() => editRule(rule)}>Edit</button>
+                      <button className="action-btn" onClick={() => toggleRule(rule)}>
+                        {rule.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button className="action-btn danger" onClick={() => deleteRule(rule)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rules.length === 0 && (
+              <div className="no-data">No rules yet - every email goes to the AI</div>
+            )}
+          </div>
+        )}
+
+        <div className="settings-panel">
+          <h3>Test an Email</h3>
+          <div className="settings-form">
+            <input
+              placeholder="From"
+              value={sample.from}
+              onChange={e => setSample({ ...sample, from: e.target.value })}
+            />
+            <input
+              placeholder="Subject"
+              value={sample.subject}
+              onChange={e => setSample({ ...sample, subject: e.target.value })}
+            />
+            <textarea
+              placeholder="Body"
+              value={sample.body}
+              onChange={e => setSample({ ...sample, body: e.target.value })}
+            />
+            <button className="action-btn" onClick={testRules}>Run Rules</button>
+          </div>
+          {testResult && (
+            <div className="contact-info">
+              {testResult.matches.length === 0
+                ? 'No rule matches - the AI decides.'
+                : `Matched: ${testResult.matches.map(m => m.name).join(', ')} → ${describeActions(testResult.actions)}`}
+            </div>
+          )}
+        </div>
+
+        {editing && (
+          <div className="modal-overlay" onClick={() => setEditing(null)}>
+            <div className="modal-content rule-editor" onClick={e => e.stopPropagation()}>
+              <h2>{editing._id ? 'Edit Rule' : 'New Rule'}</h2>
+
+              <div className="settings-form">
+                <label>
+                  Name
+                  <input value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} />
+                </label>
+                <label>
+                  Priority
+                  <input
+                    type="number"
+                    value={editing.priority}
+                    onChange={e => setEditing({ ...editing, priority: Number(e.target.value) })}
+                  />
+                </label>
+
+                <h3>Conditions</h3>
+                <select value={editing.match} onChange={e => setEditing({ ...editing, match: e.target.value })}>
+                  <option value="all">Match all conditions</option>
+                  <option value="any">Match any condition</option>
+                </select>
+                {editing.conditions.map((condition, index) => (
+                  <div key={index} className="condition-row">
+                    <select value={condition.field} onChange={e => updateCondition(index, { field: e.target.value })}>
+                      {FIELDS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                    {condition.field === 'header' && (
+                      <input
+                        placeholder="Header name"
+                        value={condition.header || ''}
+                        onChange={e => updateCondition(index, { header: e.target.value })}
+                      />
+                    )}
+                    <select value={condition.operator} onChange={e => updateCondition(index, { operator: e.target.value })}>
+                      {OPERATORS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                    <input
+                      placeholder="Value"
+                      value={condition.value}
+                      onChange={e => updateCondition(index, { value: e.target.value })}
+                    />
+                    <button
+                      className="close-btn"
+                      onClick={() => setEditing({ ...editing, conditions: editing.conditions.filter((c, i) => i !== index) })}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+                <button
+                  className="action-btn"
+                  onClick={() => setEditing({
+                    ...editing,
+                    conditions: [...editing.conditions, { field: 'subject', operator: 'contains', value: '', header: '' }]
+                  })}
+                >
+                  + Condition
+                </button>
+
+                <h3>Actions</h3>
+                <select value={editing.actions.category} onChange={e => updateAction('category', e.target.value)}>
+                  <option value="">Category: leave to AI</option>
+                  {CATEGORIES.map(c => <option key={c} value={c}>Category: {c}</option>)}
+                </select>
+                <select value={editing.actions.urgency} onChange={e => updateAction('urgency', e.target.value)}>
+                  <option value="">Urgency: leave to AI</option>
+                  <option value="high">Urgency: high</option>
+                  <option value="medium">Urgency: medium</option>
+                  <option value="low">Urgency: low</option>
+                </select>
+                <input
+                  placeholder="Label (optional)"
+                  value={editing.actions.label}
+                  onChange={e => updateAction('label', e.target.value)}
+                />
+                <input
+                  placeholder="Assign to (optional)"
+                  value={editing.actions.assignee}
+                  onChange={e => updateAction('assignee', e.target.value)}
+                />
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.actions.skipAutoRespond}
+                    onChange={e => updateAction('skipAutoRespond', e.target.checked)}
+                  />
+                  Never draft an automatic reply
+                </label>
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.actions.skipAI}
+                    onChange={e => updateAction('skipAI', e.target.checked)}
+                  />
+                  Skip the AI (nothing is sent to the language model)
+                </label>
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.stopProcessing}
+                    onChange={e => setEditing({ ...editing, stopProcessing: e.target.checked })}
+                  />
+                  Stop checking lower-priority rules
+                </label>
+              </div>
+
+              {error && <div className="field-issue">{error}</div>}
+
+              <div className="rule-buttons">
+                <button className="action-btn" onClick={saveRule}>Save Rule</button>
+                <button className="close-btn" onClick={() => setEditing(null)}>Cancel</button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default EmailRules;
@@ -1,29 +1,402 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import api from '../services/api';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+const URGENCIES = ['high', 'medium', 'low'];
+const PAGE_SIZE = 25;
 
 function Emails() {
+  const [emails, setEmails] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filters, setFilters] = useState({ mailbox: '', category: '', urgency: '', requiresAction: 'true', q: '' });
+  const [mailboxes, setMailboxes] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [edit, setEdit] = useState({});
+  const [replyText, setReplyText] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchEmails();
+  }, [page, filters.mailbox, filters.category, filters.urgency, filters.requiresAction]);
+
+  useEffect(() => {
+    fetchMailboxes();
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchEmails = async () => {
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      Object.entries(filters).forEach(([key, value]) => value && params.set(key, value));
+      const response = await fetch(`http://localhost:5001/api/emails?${params}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEmails(data.emails);
+        setTotal(data.total);
+      }
+    } catch (error) {
+      console.error('Error fetching emails:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Mailbox names for the filter, which only shows when there is more than one
+  const fetchMailboxes = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/mailboxes', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setMailboxes([...(data.default ? [data.default.name] : []), ...data.mailboxes.map(m => m.name)]);
+      }
+    } catch (error) {
+      console.error('Error fetching mailboxes:', error);
+    }
+  };
+
+  const setFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    setPage(1);
+    fetchEmails();
+  };
+
+  const showEmail = (email) => {
+    setSelected(email);
+    setEdit({
+      category: email.category,
+      urgency: email.urgency,
+      assignee: email.assignee || '',
+      requiresAction: Boolean(email.requiresAction)
+    });
+    // A pending draft wins over the AI's first suggestion
+    setReplyText(email.reply?.draft || email.aiResponse || '');
+    setMessage('');
+  };
+
+  const selectEmail = async (email) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/emails/${email._id}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        showEmail(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching email:', error);
+    }
+  };
+
+  const saveChanges = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/emails/${selected._id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...edit, assignee: edit.assignee.trim() || null })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        showEmail({ ...data, studentId: selected.studentId });
+        setMessage('Saved');
+        fetchEmails();
+      } else {
+        setMessage(data.errors ? data.errors.map(e => `${e.field} ${e.issue}`).join('; ') : data.message);
+      }
+    } catch (error) {
+      console.error('Error updating email:', error);
+    }
+  };
+
+  const sendReply = async () => {
+    if (!window.confirm(`Send this reply to ${selected.from}?`)) return;
+    try {
+      const response = await fetch(`http://localhost:5001/api/emails/${selected._id}/reply`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ text: replyText })
+      });
+
+      const data = await response.json();
+      if (data.reply) {
+        showEmail({ ...data, studentId: selected.studentId });
+        setMessage({
+          sent: 'Reply sent',
+          queued: `Reply queued, the outbox will retry: ${data.reply.error || ''}`,
+          suppressed: `Reply not sent: ${data.reply.suppressedReason}`
+        }[data.reply.status] || data.reply.error || 'Reply failed');
+        fetchEmails();
+      } else {
+        setMessage(data.message);
+      }
+    } catch (error) {
+      console.error('Error sending reply:', error);
+    }
+  };
+
+  // Files need the auth header, so fetch them as a blob rather than linking directly
+  const openAttachment = async (attachment, download = false) => {
+    try {
+      const url = URL.createObjectURL(await api.getAttachmentFile(selected._id, attachment._id));
+      if (download) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.filename;
+        link.click();
+      } else {
+        window.open(url, '_blank');
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      // Error bodies arrive as a blob too
+      const message = await error.response?.data?.text?.().then(text => JSON.parse(text).message).catch(() => null);
+      alert(message || 'Attachment could not be opened');
+      console.error('Error opening attachment:', error);
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  };
+
+  const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+  const canReply = selected && !['sending', 'sent', 'queued'].includes(selected.reply?.status);
+
   return (
-    <div className="page-container">
+    <div className="waitlist-container">
       <nav className="navbar">
         <div className="nav-brand">
           <h2>Yus Montessori</h2>
         </div>
         <div className="nav-links">
+          <Link to="/emails/threads">Conversations</Link>
+          <Link to="/emails/replies">Reply Review</Link>
+          <Link to="/emails/outbox">Outbox</Link>
+          <Link to="/emails/sla">Response Times</Link>
           <Link to="/dashboard">← Back to Dashboard</Link>
         </div>
       </nav>
-      <div className="page-content">
-        <h1>Email Management</h1>
-        <p>AI-powered email monitoring and responses</p>
-        <div style={{ marginTop: '20px', padding: '20px', background: '#f0f0f0', borderRadius: '8px' }}>
-          <h3>Email AI Status</h3>
-          <p>✅ Monitoring inbox for new messages</p>
-          <p>✅ Automatically categorizing emails</p>
-          <p>✅ Generating smart responses</p>
-        </div>
+
+      <div className="waitlist-content">
+        <h1>Inbox</h1>
+
+        <form className="filter-bar" onSubmit={search}>
+          {mailboxes.length > 1 && (
+            <select value={filters.mailbox} onChange={e => setFilter('mailbox', e.target.value)}>
+              <option value="">All mailboxes</option>
+              {mailboxes.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          )}
+          <select value={filters.requiresAction} onChange={e => setFilter('requiresAction', e.target.value)}>
+            <option value="true">Needs action</option>
+            <option value="false">Handled</option>
+            <option value="">All emails</option>
+          </select>
+          <select value={filters.category} onChange={e => setFilter('category', e.target.value)}>
+            <option value="">All categories</option>
+            {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+          <select value={filters.urgency} onChange={e => setFilter('urgency', e.target.value)}>
+            <option value="">Any urgency</option>
+            {URGENCIES.map(urgency => <option key={urgency} value={urgency}>{urgency}</option>)}
+          </select>
+          <input
+            placeholder="Search sender or subject"
+            value={filters.q}
+            onChange={e => setFilters({ ...filters, q: e.target.value })}
+          />
+          <button type="submit">Search</button>
+        </form>
+
+        {loading ? (
+          <div className="loading">Loading emails...</div>
+        ) : (
+          <div className="review-layout">
+            <div className="review-list">
+              {emails.map(email => (
+                <div
+                  key={email._id}
+                  className={`review-item ${selected?._id === email._id ? 'active' : ''}`}
+                  onClick={() => selectEmail(email)}
+                >
+                  <strong>{email.subject || '(no subject)'}</strong>
+                  <div className="contact-info">
+                    {email.from} · {new Date(email.received).toLocaleString()}
+                    {mailboxes.length > 1 && ` · ${email.mailbox || 'default'}`}
+                  </div>
+                  <div className="contact-info">{email.snippet}</div>
+                  <span className="status-badge">{email.category}</span>
+                  {email.urgency === 'high' && <span className="review-flag">urgent</span>}
+                  {email.reply?.status === 'pending' && <span className="review-flag">draft</span>}
+                  {email.assignee && <div className="contact-info">Assigned to {email.assignee}</div>}
+                </div>
+              ))}
+              {emails.length === 0 && (
+                <div className="no-data">No emails match</div>
+              )}
+              <div className="filter-bar">
+                <button disabled={page <= 1} onClick={() => setPage(page - 1)}>←</button>
+                <span>Page {page} of {pages} ({total})</span>
+                <button disabled={page >= pages} onClick={() => setPage(page + 1)}>→</button>
+              </div>
+            </div>
+
+            {selected && (
+              <div className="review-detail">
+                <div className="review-source">
+                  <h3>Email</h3>
+                  <div className="source-email">
+                    <div><strong>From:</strong> {selected.from}</div>
+                    {mailboxes.length > 1 && <div><strong>Mailbox:</strong> {selected.mailbox || 'default'}</div>}
+                    <div><strong>Subject:</strong> {selected.subject}</div>
+                    <div><strong>Received:</strong> {new Date(selected.received).toLocaleString()}</div>
+                    {selected.threadId && (
+                      <div><Link to={`/emails/threads/${selected.threadId}`}>View the whole conversation</Link></div>
+                    )}
+                    {selected.studentId && (
+                      <div><strong>Student:</strong> {selected.studentId.firstName} {selected.studentId.lastName}</div>
+                    )}
+                    {selected.summaryEn && <div><strong>English summary:</strong> {selected.summaryEn}</div>}
+                    <pre>{selected.body}</pre>
+                  </div>
+                  {selected.attachments?.length > 0 && (
+                    <div className="attachments">
+                      <h3>Attachments</h3>
+                      {selected.attachments.map(attachment => (
+                        <div key={attachment._id} className="attachment-row">
+                          <div>
+                            <strong>{attachment.filename}</strong> {formatSize(attachment.size)}
+                            {!attachment.downloaded && <div className="contact-info">not downloaded yet</div>}
+                          </div>
+                          <div className="attachment-actions">
+                            <button className="action-btn" onClick={() => openAttachment(attachment)}>
+                              View
+                            </button>
+                            <button className="action-btn" onClick={() => openAttachment(attachment, true)}>
+                              Download
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <h3>Reply</h3>
+                  {canReply ? (
+                    <div className="settings-form">
+                      {selected.noReplyReason && (
+                        <div className="field-issue">
+                          Automatic replies are off for this sender ({selected.noReplyReason}); a reply sent from here still goes out.
+                        </div>
+                      )}
+                      <textarea rows="10" value={replyText} onChange={e => setReplyText(e.target.value)} />
+                      <button className="action-btn" disabled={!replyText.trim()} onClick={sendReply}>Send Reply</button>
+                    </div>
+                  ) : (
+                    <div className="contact-info">
+                      Reply {selected.reply.status}
+                      {selected.reply.sentAt && ` ${new Date(selected.reply.sentAt).toLocaleString()}`}
+                      {selected.reply.approvedBy && ` by ${selected.reply.approvedBy}`}
+                      <pre>{selected.reply.draft}</pre>
+                    </div>
+                  )}
+                </div>
+
+                <div className="review-fields">
+                  <h3>AI Analysis</h3>
+                  <div className="review-field">
+                    <label>Category</label>
+                    <select value={edit.category} onChange={e => setEdit({ ...edit, category: e.target.value })}>
+                      {CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                    </select>
+                  </div>
+                  <div className="review-field">
+                    <label>Urgency</label>
+                    <select value={edit.urgency} onChange={e => setEdit({ ...edit, urgency: e.target.value })}>
+                      {URGENCIES.map(urgency => <option key={urgency} value={urgency}>{urgency}</option>)}
+                    </select>
+                  </div>
+                  <div className="review-field">
+                    <label>Assigned to</label>
+                    <input
+                      placeholder="staff@yusmontessori.edu"
+                      value={edit.assignee}
+                      onChange={e => setEdit({ ...edit, assignee: e.target.value })}
+                    />
+                  </div>
+                  <div className="review-field">
+                    <label>
+                      Needs action
+                      <input
+                        type="checkbox"
+                        checked={edit.requiresAction}
+                        onChange={e => setEdit({ ...edit, requiresAction: e.target.checked })}
+                      />
+                    </label>
+                  </div>
+                  <button className="action-btn" onClick={saveChanges}>Save</button>
+                  {message && <div className="field-issue">{message}</div>}
+
+                  <h3>Extracted Data</h3>
+                  {Object.entries(selected.extractedData || {})
+                    .filter(([, value]) => value !== null && value !== '')
+                    .map(([key, value]) => (
+                      <div key={key} className="contact-info">
+                        <strong>{key}:</strong> {typeof value === 'object' ? JSON.stringify(value) : String(value)}
+                      </div>
+                    ))}
+                  {!Object.values(selected.extractedData || {}).some(value => value !== null && value !== '') && (
+                    <div className="no-data">Nothing extracted</div>
+                  )}
+
+                  {selected.sla?.dueAt && (
+                    <div className="contact-info">
+                      <strong>Due:</strong> {new Date(selected.sla.dueAt).toLocaleString()}
+                      {selected.sla.respondedAt && ` · answered ${new Date(selected.sla.respondedAt).toLocaleString()}`}
+                    </div>
+                  )}
+                  {selected.ruleMatches?.length > 0 && (
+                    <div className="contact-info">
+                      <strong>Rules:</strong> {selected.ruleMatches.map(match => match.name).join(', ')}
+                    </div>
+                  )}
+                  {selected.edits?.length > 0 && (
+                    <ul className="review-reasons">
+                      {selected.edits.map(change => (
+                        <li key={change._id}>{change.field}: {String(change.from)} → {String(change.to)} by {change.by}</li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
 }
 
-export default Emails;
\ No newline at end of file
+export default Emails;
@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+
+const emptyMailbox = () => ({
+  name: '',
+  address: '',
+  type: 'gmail',
+  enabled: true,
+  credentials: { clientId: '', clientSecret: '', redirectUri: '', refreshToken: '' },
+  path: '',
+  smtp: { host: '', port: 587, secure: false, user: '', pass: '' },
+  schedule: { mode: 'sync', intervalMinutes: 1 },
+  categories: [],
+  defaultAssignee: '',
+  autoSendCategories: null,
+  signature: '',
+  secretsSet: []
+});
+
+function Mailboxes() {
+  const [mailboxes, setMailboxes] = useState([]);
+  const [defaultMailbox, setDefaultMailbox] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchMailboxes();
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchMailboxes = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/mailboxes', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setMailboxes(data.mailboxes);
+        setDefaultMailbox(data.default);
+      }
+    } catch (error) {
+      console.error('Error fetching mailboxes:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveMailbox = async () => {
+    try {
+      // Blank secrets keep the stored value; the server never sends them back
+      const { secretsSet, monitoring, lastSyncAt, ...body } = editing;
+      const response = await fetch(`http://localhost:5001/api/mailboxes${editing._id ? `/${editing._id}` : ''}`, {
+        method: editing._id ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ ...body, defaultAssignee: body.defaultAssignee.trim() || null })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setEditing(null);
+        setError('');
+        if (!data.monitoring) alert('Saved. Monitoring starts the next time the server starts.');
+        fetchMailboxes();
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error('Error saving mailbox:', error);
+    }
+  };
+
+  const toggleMailbox = async (mailbox) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/mailboxes/${mailbox._id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ enabled: !mailbox.enabled })
+      });
+
+      if (response.ok) {
+        fetchMailboxes();
+      } else {
+        const data = await response.json();
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error updating mailbox:', error);
+    }
+  };
+
+  const deleteMailbox = async (mailbox) => {
+    if (!window.confirm(`Delete the ${mailbox.name} mailbox?`)) return;
+
+    try {
+      const response = await fetch(`http://localhost:5001/api/mailboxes/${mailbox._id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        fetchMailboxes();
+      } else {
+        const data = await response.json();
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error deleting mailbox:', error);
+    }
+  };
+
+  const editMailbox = (mailbox) => {
+    const blank = emptyMailbox();
+    setError('');
+    setEditing({
+      ...blank,
+      ...mailbox,
+      credentials: { ...blank.credentials, ...mailbox.credentials },
+      smtp: { ...blank.smtp, ...mailbox.smtp },
+      schedule: { ...blank.schedule, ...mailbox.schedule },
+      defaultAssignee: mailbox.defaultAssignee || '',
+      signature: mailbox.signature || ''
+    });
+  };
+
+  const update = (group, key, value) => {
+    setEditing({ ...editing, [group]: { ...editing[group], [key]: value } });
+  };
+
+  const toggleCategory = (field, category) => {
+    const current = editing[field] || [];
+    const next = current.includes(category) ? current.filter(c => c !== category) : [...current, category];
+    setEditing({ ...editing, [field]: next });
+  };
+
+  const secretPlaceholder = (path) => (editing.secretsSet.includes(path) ? 'Saved - leave blank to keep' : '');
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/emails">Inbox</Link>
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Mailboxes</h1>
+        <p className="settings-help">
+          Each mailbox is monitored on its own schedule. Emails are filed only under the mailbox's categories and
+          assigned to its default assignee, and replies go out from the mailbox the email arrived in, with its signature.
+        </p>
+
+        <div className="filter-bar">
+          <button className="active" onClick={() => editMailbox(emptyMailbox())}>+ New Mailbox</button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading mailboxes...</div>
+        ) : (
+          <div className="waitlist-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Mailbox</th>
+                  <th>Type</th>
+                  <th>Categories</th>
+                  <th>Assigned to</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {defaultMailbox && (
+                  <tr>
+                    <td>
+                      <strong>{defaultMailbox.name}</strong>
+                      <div className="contact-info">{defaultMailbox.address}</div>
+                    </td>
+                    <td>{defaultMailbox.type}</td>
+                    <td className="contact-info">all</td>
+                    <td></td>
+                    <td>{defaultMailbox.monitoring ? 'monitoring' : 'stopped'}</td>
+                    <td className="contact-info">set in the server environment</td>
+                  </tr>
+                )}
+                {mailboxes.map(mailbox => (
+                  <tr key={mailbox._id} className={mailbox.enabled ? '' : 'rule-disabled'}>
+                    <td>
+                      <strong>{mailbox.name}</strong>
+                      <div className="contact-info">{mailbox.address}</div>
+                    </td>
+                    <td>
+                      {mailbox.type}
+                      <div className="contact-info">
+                        {mailbox.schedule?.mode} every {mailbox.schedule?.intervalMinutes} min
+                      </div>
+                    </td>
+                    <td className="contact-info">{mailbox.categories?.length ? mailbox.categories.join(', ') : 'all'}</td>
+                    <td className="contact-info">{mailbox.defaultAssignee}</td>
+                    <td>
+                      {!mailbox.enabled ? 'disabled' : mailbox.monitoring ? 'monitoring' : 'not started'}
+                      {mailbox.lastSyncAt && (
+                        <div className="contact-info">synced {new Date(mailbox.lastSyncAt).toLocaleString()}</div>
+                      )}
+                    </td>
+                    <td className="rule-buttons">
+                      <button className="action-btn" onClick={() => editMailbox(mailbox)}>Edit</button>
+                      <button className="action-btn" onClick={() => toggleMailbox(mailbox)}>
+                        {mailbox.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button className="action-btn danger" onClick={() => deleteMailbox(mailbox)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!defaultMailbox && mailboxes.length === 0 && (
+              <div className="no-data">No mailboxes yet</div>
+            )}
+          </div>
+        )}
+
+        {editing && (
+          <div className="modal-overlay" onClick={() => setEditing(null)}>
+            <div className="modal-content rule-editor" onClick={e => e.stopPropagation()}>
+              <h2>{editing._id ? `Edit ${editing.name}` : 'New Mailbox'}</h2>
+
+              <div className="settings-form">
+                <label>
+                  Name
+                  <input
+                    placeholder="admissions"
+                    value={editing.name}
+                    disabled={Boolean(editing._id)}
+                    onChange={e => setEditing({ ...editing, name: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Address
+                  <input
+                    placeholder="admissions@yusmontessori.edu"
+                    value={editing.address}
+                    onChange={e => setEditing({ ...editing, address: e.target.value })}
+                  />
+                </label>
+                <select
+                  value={editing.type}
+                  onChange={e => setEditing({
+                    ...editing,
+                    type: e.target.value,
+                    schedule: { ...editing.schedule, mode: e.target.value === 'gmail' ? 'sync' : 'poll' }
+                  })}
+                >
+                  <option value="gmail">Gmail</option>
+                  <option value="maildir">Maildir directory</option>
+                  <option value="mbox">mbox file</option>
+                </select>
+
+                {editing.type === 'gmail' ? (
+                  <>
+                    <h3>Gmail Access</h3>
+                    <input
+                      placeholder="Client id (blank uses GMAIL_CLIENT_ID)"
+                      value={editing.credentials.clientId}
+                      onChange={e => update('credentials', 'clientId', e.target.value)}
+                    />
+                    <input
+                      type="password"
+                      placeholder={secretPlaceholder('credentials.clientSecret') || 'Client secret (blank uses GMAIL_CLIENT_SECRET)'}
+                      value={editing.credentials.clientSecret || ''}
+                      onChange={e => update('credentials', 'clientSecret', e.target.value)}
+                    />
+                    <input
+                      type="password"
+                      placeholder={secretPlaceholder('credentials.refreshToken') || 'Refresh token'}
+                      value={editing.credentials.refreshToken || ''}
+                      onChange={e => update('credentials', 'refreshToken', e.target.value)}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <h3>Local Mailbox</h3>
+                    <input
+                      placeholder="Path to the Maildir directory or mbox file"
+                      value={editing.path}
+                      onChange={e => setEditing({ ...editing, path: e.target.value })}
+                    />
+                    <input
+                      placeholder="SMTP host (blank uses SMTP_HOST)"
+                      value={editing.smtp.host}
+                      onChange={e => update('smtp', 'host', e.target.value)}
+                    />
+                    <input
+                      placeholder="SMTP user"
+                      value={editing.smtp.user}
+                      onChange={e => update('smtp', 'user', e.target.value)}
+                    />
+                    <input
+                      type="password"
+                      placeholder={secretPlaceholder('smtp.pass') || 'SMTP password'}
+                      value={editing.smtp.pass || ''}
+                      onChange={e => update('smtp', 'pass', e.target.value)}
+                    />
+                  </>
+                )}
+
+                <h3>Schedule</h3>
+                <div className="condition-row">
+                  <select
+                    value={editing.schedule.mode}
+                    disabled={editing.type !== 'gmail'}
+                    onChange={e => update('schedule', 'mode', e.target.value)}
+                  >
+                    <option value="sync">Sync (Gmail history)</option>
+                    <option value="poll">Check unread mail</option>
+                  </select>
+                  every
+                  <input
+                    type="number"
+                    min="1"
+                    value={editing.schedule.intervalMinutes}
+                    onChange={e => update('schedule', 'intervalMinutes', Number(e.target.value))}
+                  />
+                  minutes
+                </div>
+
+                <h3>Categories</h3>
+                <p className="settings-help">None ticked allows every category.</p>
+                {CATEGORIES.map(category => (
+                  <label key={category} className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={editing.categories.includes(category)}
+                      onChange={() => toggleCategory('categories', category)}
+                    />
+                    {category}
+                  </label>
+                ))}
+
+                <h3>Automatic Replies</h3>
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.autoSendCategories !== null && editing.autoSendCategories !== undefined}
+                    onChange={e => setEditing({ ...editing, autoSendCategories: e.target.checked ? [] : null })}
+                  />
+                  Use this mailbox's own list instead of the school-wide setting
+                </label>
+                {editing.autoSendCategories && CATEGORIES.map(category => (
+                  <label key={category} className="checkbox">
+                    <input
+                      type="checkbox"
+                      checked={editing.autoSendCategories.includes(category)}
+                      onChange={() => toggleCategory('autoSendCategories', category)}
+                    />
+                    Send {category} replies without review
+                  </label>
+                ))}
+
+                <input
+                  placeholder="Default assignee (optional)"
+                  value={editing.defaultAssignee}
+                  onChange={e => setEditing({ ...editing, defaultAssignee: e.target.value })}
+                />
+                <textarea
+                  rows="4"
+                  placeholder="Signature added to replies (optional)"
+                  value={editing.signature}
+                  onChange={e => setEditing({ ...editing, signature: e.target.value })}
+                />
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={editing.enabled}
+                    onChange={e => setEditing({ ...editing, enabled: e.target.checked })}
+                  />
+                  Monitor this mailbox
+                </label>
+              </div>
+
+              {error && <div className="field-issue">{error}</div>}
+
+              <div className="rule-buttons">
+                <button className="action-btn" onClick={saveMailbox}>Save Mailbox</button>
+                <button className="close-btn" onClick={() => setEditing(null)}>Cancel</button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Mailboxes;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const TABS = [
+  { status: 'failed', label: 'Failed' },
+  { status: 'queued', label: 'Retrying' },
+  { status: 'sent', label: 'Sent' }
+];
+
+function Outbox() {
+  const [status, setStatus] = useState('failed');
+  const [messages, setMessages] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchMessages();
+    fetchCounts();
+  }, [status]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchMessages = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/outbox?status=${status}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setMessages(data);
+      }
+    } catch (error) {
+      console.error('Error fetching outbox:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchCounts = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/outbox/counts', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setCounts(data);
+      }
+    } catch (error) {
+      console.error('Error fetching outbox counts:', error);
+    }
+  };
+
+  const resend = async (message) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/outbox/${message._id}/resend`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        alert(data.message);
+      } else if (data.status !== 'sent') {
+        alert(`Still failing: ${data.lastError}. It will be retried automatically.`);
+      }
+      fetchMessages();
+      fetchCounts();
+    } catch (error) {
+      console.error('Error resending message:', error);
+    }
+  };
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Outbox</h1>
+        <p className="settings-help">
+          Every email the school sends is queued here and retried automatically. Messages that still fail after
+          the last retry are listed under Failed until someone resends them.
+        </p>
+
+        <div className="filter-bar">
+          {TABS.map(tab => (
+            <button
+              key={tab.status}
+              className={status === tab.status ? 'active' : ''}
+              onClick={() => setStatus(tab.status)}
+            >
+              {tab.label} ({counts[tab.status] || 0})
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading outbox...</div>
+        ) : messages.length === 0 ? (
+          <div className="no-data">Nothing here</div>
+        ) : (
+          <div className="waitlist-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>To</th>
+                  <th>Subject</th>
+                  <th>Type</th>
+                  <th>{status === 'sent' ? 'Sent' : 'Attempts'}</th>
+                  <th>{status === 'sent' ? '' : 'Last error'}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {messages.map(message => (
+                  <tr key={message._id}>
+                    <td>{message.to}</td>
+                    <td>{message.subject}</td>
+                    <td>{message.kind}</td>
+                    <td>
+                      {status === 'sent'
+                        ? new Date(message.sentAt).toLocaleString()
+                        : `${message.attempts} of ${message.maxAttempts}`}
+                    </td>
+                    <td>
+                      {message.lastError && <div className="field-issue">{message.lastError}</div>}
+                      {status === 'queued' && (
+                        <div className="contact-info">Next try {new Date(message.nextAttemptAt).toLocaleString()}</div>
+                      )}
+                    </td>
+                    <td>
+                      {status === 'failed' && (
+                        <button className="action-btn" onClick={() => resend(message)}>Resend</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Outbox;
@@ -1,9 +1,96 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const money = (amount) => (amount === null || amount === undefined ? '—' : `$${Number(amount).toFixed(2)}`);
 
 function Payments() {
+  const [status, setStatus] = useState('proposed');
+  const [items, setItems] = useState([]);
+  const [openInvoices, setOpenInvoices] = useState([]);
+  const [chosen, setChosen] = useState({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchOpenInvoices();
+  }, []);
+
+  useEffect(() => {
+    fetchReconciliation();
+  }, [status]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchReconciliation = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/payments/reconciliation?status=${status}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setItems(data);
+      }
+    } catch (error) {
+      console.error('Error fetching reconciliation queue:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOpenInvoices = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/payments?status=pending', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setOpenInvoices(data);
+      }
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+    }
+  };
+
+  const review = async (email, action, body = {}) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/payments/reconciliation/${email._id}/${action}`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(body)
+      });
+
+      if (response.ok) {
+        fetchReconciliation();
+        fetchOpenInvoices();
+      } else {
+        const data = await response.json();
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error(`Error on ${action}:`, error);
+    }
+  };
+
+  const reject = (email) => {
+    const reason = window.prompt('Why is this the wrong invoice?');
+    if (reason !== null) review(email, 'reject', { reason });
+  };
+
+  const invoiceLabel = (invoice) => [
+    invoice.invoiceNumber,
+    invoice.studentId && `${invoice.studentId.firstName} ${invoice.studentId.lastName}`,
+    money(invoice.amount),
+    invoice.dueDate && `due ${new Date(invoice.dueDate).toLocaleDateString()}`
+  ].filter(Boolean).join(' · ');
+
   return (
-    <div className="page-container">
+    <div className="waitlist-container">
       <nav className="navbar">
         <div className="nav-brand">
           <h2>Yus Montessori</h2>
@@ -12,12 +99,77 @@ function Payments() {
           <Link to="/dashboard">← Back to Dashboard</Link>
         </div>
       </nav>
-      <div className="page-content">
-        <h1>Payment Management</h1>
-        <p>Payment tracking features coming soon...</p>
+
+      <div className="waitlist-content">
+        <h1>Payment Reconciliation</h1>
+
+        <div className="filter-bar">
+          <button className={status === 'proposed' ? 'active' : ''} onClick={() => setStatus('proposed')}>To Confirm</button>
+          <button className={status === 'exception' ? 'active' : ''} onClick={() => setStatus('exception')}>Exceptions</button>
+          <button className={status === 'confirmed' ? 'active' : ''} onClick={() => setStatus('confirmed')}>Confirmed</button>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading payments...</div>
+        ) : items.length === 0 ? (
+          <div className="no-data">Nothing here</div>
+        ) : (
+          items.map(email => {
+            const record = email.reconciliation;
+            const invoice = record.paymentId;
+            return (
+              <div key={email._id} className="settings-panel">
+                <div className="duplicate-row">
+                  <div>
+                    <strong>{money(record.amount)}</strong> from {record.payer || email.from}
+                    <div className="contact-info">
+                      {email.subject} · received {new Date(email.received).toLocaleDateString()}
+                      {record.reference && ` · ref ${record.reference}`}
+                    </div>
+                    {invoice && (
+                      <div className="contact-info">
+                        Invoice: {invoiceLabel(invoice)}{record.matchedBy && ` (matched by ${record.matchedBy})`}
+                      </div>
+                    )}
+                    {record.issue && <div className="field-issue">{record.issue}</div>}
+                  </div>
+                </div>
+
+                {status === 'proposed' && (
+                  <div className="rule-buttons">
+                    <button className="action-btn" onClick={() => review(email, 'confirm')}>Mark Invoice Paid</button>
+                    <button className="action-btn danger" onClick={() => reject(email)}>Wrong Invoice</button>
+                  </div>
+                )}
+
+                {status === 'exception' && (
+                  <div className="rule-buttons">
+                    <select
+                      value={chosen[email._id] || ''}
+                      onChange={e => setChosen({ ...chosen, [email._id]: e.target.value })}
+                    >
+                      <option value="">Choose an open invoice...</option>
+                      {openInvoices.map(option => (
+                        <option key={option._id} value={option._id}>{invoiceLabel(option)}</option>
+                      ))}
+                    </select>
+                    <button
+                      className="action-btn"
+                      disabled={!chosen[email._id]}
+                      onClick={() => review(email, 'confirm', { paymentId: chosen[email._id] })}
+                    >
+                      Mark Paid
+                    </button>
+                    <button className="action-btn danger" onClick={() => review(email, 'dismiss')}>Dismiss</button>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
       </div>
     </div>
   );
 }
 
-export default Payments;
\ No newline at end of file
+export default Payments;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+
+function ReplyQueue() {
+  const [replies, setReplies] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [category, setCategory] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [checked, setChecked] = useState([]);
+  const [autoSendCategories, setAutoSendCategories] = useState([]);
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReplies();
+  }, [status, category]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const errorMessage = (error) => error.response?.data?.message || error.message;
+
+  const fetchReplies = async () => {
+    try {
+      const params = { status };
+      if (category) params.category = category;
+      setReplies(await api.getPendingReplies(params));
+      setChecked([]);
+    } catch (error) {
+      console.error('Error fetching replies:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSettings = async () => {
+    try {
+      const data = await api.getReplySettings();
+      setAutoSendCategories(data.autoSendCategories);
+    } catch (error) {
+      console.error('Error fetching reply settings:', error);
+    }
+  };
+
+  const selectReply = (email) => {
+    setSelected(email);
+    setDraft(email.reply.draft || '');
+    setMessage('');
+  };
+
+  const canReview = (email) => ['pending', 'failed'].includes(email?.reply?.status);
+
+  const toggleChecked = (id) => {
+    setChecked(checked.includes(id) ? checked.filter(c => c !== id) : [...checked, id]);
+  };
+
+  const saveDraft = async () => {
+    try {
+      selectReply(await api.updateReplyDraft(selected._id, draft));
+      setMessage('Draft saved');
+      fetchReplies();
+    } catch (error) {
+      setMessage(errorMessage(error));
+    }
+  };
+
+  // The route answers 202 while the outbox retries, and 409 or 502 with the email when it was not sent
+  const approve = async () => {
+    if (!window.confirm(`Send this reply to ${selected.from}?`)) return;
+    let email;
+    try {
+      email = await api.approveReply(selected._id, draft);
+    } catch (error) {
+      email = error.response?.data?.reply ? error.response.data : null;
+      if (!email) {
+        setMessage(errorMessage(error));
+        return;
+      }
+    }
+
+    setSelected(null);
+    setMessage({
+      sent: 'Reply sent',
+      queued: `Reply queued, the outbox will retry: ${email.reply.error || ''}`,
+      suppressed: `Reply not sent: ${email.reply.suppressedReason}`
+    }[email.reply.status] || email.reply.error || 'Reply failed');
+    fetchReplies();
+  };
+
+  const reject = async () => {
+    const reason = window.prompt('Why is this reply not being sent? (optional)');
+    if (reason === null) return;
+    try {
+      await api.rejectReply(selected._id, reason);
+      setSelected(null);
+      setMessage('Reply rejected');
+      fetchReplies();
+    } catch (error) {
+      setMessage(errorMessage(error));
+    }
+  };
+
+  const bulkApprove = async () => {
+    if (!window.confirm(`Send ${checked.length} replies as drafted?`)) return;
+    try {
+      const { results } = await api.bulkApproveReplies(checked);
+      const counts = results.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+      setSelected(null);
+      setMessage(Object.entries(counts).map(([s, count]) => `${count} ${s}`).join(', '));
+      fetchReplies();
+    } catch (error) {
+      setMessage(errorMessage(error));
+    }
+  };
+
+  const toggleAutoSend = async (name) => {
+    const next = autoSendCategories.includes(name)
+      ? autoSendCategories.filter(c => c !== name)
+      : [...autoSendCategories, name];
+    try {
+      const data = await api.updateReplySettings({ autoSendCategories: next });
+      setAutoSendCategories(data.autoSendCategories);
+    } catch (error) {
+      setMessage(errorMessage(error));
+    }
+  };
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/emails">← Back to Inbox</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Reply Review</h1>
+
+        <div className="filter-bar">
+          <select value={status} onChange={e => { setStatus(e.target.value); setSelected(null); }}>
+            <option value="pending">Waiting for review</option>
+            <option value="failed">Failed</option>
+            <option value="queued">Queued</option>
+            <option value="suppressed">Suppressed</option>
+            <option value="sent">Sent</option>
+            <option value="rejected">Rejected</option>
+          </select>
+          <select value={category} onChange={e => setCategory(e.target.value)}>
+            <option value="">All categories</option>
+            {CATEGORIES.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+          {status === 'pending' && (
+            <button disabled={!checked.length} onClick={bulkApprove}>
+              Send {checked.length || ''} selected
+            </button>
+          )}
+        </div>
+        {message && <div className="field-issue">{message}</div>}
+
+        {loading ? (
+          <div className="loading">Loading replies...</div>
+        ) : (
+          <div className="review-layout">
+            <div className="review-list">
+              {replies.map(email => (
+                <div
+                  key={email._id}
+                  className={`review-item ${selected?._id === email._id ? 'active' : ''}`}
+                  onClick={() => selectReply(email)}
+                >
+                  {status === 'pending' && (
+                    <input
+                      type="checkbox"
+                      checked={checked.includes(email._id)}
+                      onClick={e => e.stopPropagation()}
+                      onChange={() => toggleChecked(email._id)}
+                    />
+                  )}
+                  <strong>{email.subject || '(no subject)'}</strong>
+                  <div className="contact-info">
+                    {email.from} · {new Date(email.received).toLocaleString()}
+                  </div>
+                  <span className="status-badge">{email.category}</span>
+                  {(email.reply.flags || []).map(flag => (
+                    <span key={flag} className="review-flag">{flag}</span>
+                  ))}
+                </div>
+              ))}
+              {replies.length === 0 && (
+                <div className="no-data">No replies here</div>
+              )}
+            </div>
+
+            {selected && (
+              <div className="review-detail">
+                <div className="review-source">
+                  <h3>Email</h3>
+                  <div className="source-email">
+                    <div><strong>From:</strong> {selected.from}</div>
+                    <div><strong>Subject:</strong> {selected.subject}</div>
+                    <div><strong>Received:</strong> {new Date(selected.received).toLocaleString()}</div>
+                    <pre>{selected.body}</pre>
+                  </div>
+                </div>
+
+                <div className="review-fields">
+                  <h3>Reply</h3>
+                  {selected.reply.subject && <div className="contact-info"><strong>Subject:</strong> {selected.reply.subject}</div>}
+                  {selected.reply.editedBy && (
+                    <div className="contact-info">
+                      Edited by {selected.reply.editedBy} {new Date(selected.reply.editedAt).toLocaleString()}
+                    </div>
+                  )}
+                  {selected.reply.error && <div className="field-issue">{selected.reply.error}</div>}
+                  {selected.reply.suppressedReason && <div className="field-issue">{selected.reply.suppressedReason}</div>}
+                  {selected.reply.rejectionReason && (
+                    <div className="contact-info">Rejected by {selected.reply.rejectedBy}: {selected.reply.rejectionReason}</div>
+                  )}
+
+                  {canReview(selected) ? (
+                    <div className="settings-form">
+                      <textarea rows="12" value={draft} onChange={e => setDraft(e.target.value)} />
+                      <div className="rule-buttons">
+                        <button className="action-btn" disabled={!draft.trim()} onClick={saveDraft}>Save Draft</button>
+                        <button className="action-btn" disabled={!draft.trim()} onClick={approve}>Approve & Send</button>
+                        <button className="action-btn" onClick={reject}>Reject</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <pre>{selected.reply.draft}</pre>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="settings-panel">
+          <h3>Send Without Review</h3>
+          <p className="settings-help">
+            Replies in these categories go out as soon as they are drafted. Mailboxes with their own list ignore this one.
+          </p>
+          <div className="settings-form">
+            {CATEGORIES.map(name => (
+              <label key={name} className="checkbox">
+                <input
+                  type="checkbox"
+                  checked={autoSendCategories.includes(name)}
+                  onChange={() => toggleAutoSend(name)}
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReplyQueue;
@@ -0,0 +1,420 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+
+const emptyTemplate = () => ({
+  key: '',
+  name: '',
+  description: '',
+  categories: [],
+  subject: '',
+  body: '',
+  translations: { fr: { subject: '', body: '' } },
+  note: ''
+});
+
+function ResponseTemplates() {
+  const [templates, setTemplates] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [language, setLanguage] = useState('en');
+  const [schoolSettings, setSchoolSettings] = useState({ tourSlots: '', tuitionSheetUrl: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchFields();
+    fetchSchoolSettings();
+  }, []);
+
+  // Re-render the preview shortly after the user stops typing
+  useEffect(() => {
+    if (!editing) return undefined;
+    const timer = setTimeout(() => fetchPreview(textFor('subject'), textFor('body')), 300);
+    return () => clearTimeout(timer);
+  }, [editing?.subject, editing?.body, editing?.translations?.fr?.subject, editing?.translations?.fr?.body, language]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/templates', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setTemplates(data);
+      }
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchFields = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/templates/fields', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setFields(data);
+      }
+    } catch (error) {
+      console.error('Error fetching merge fields:', error);
+    }
+  };
+
+  const fetchSchoolSettings = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/templates/settings', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setSchoolSettings({ tourSlots: data.tourSlots.join('\n'), tuitionSheetUrl: data.tuitionSheetUrl });
+      }
+    } catch (error) {
+      console.error('Error fetching template settings:', error);
+    }
+  };
+
+  const fetchPreview = async (subject, body) => {
+    try {
+      const response = await fetch('http://localhost:5001/api/templates/preview', {
+        method: 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify({ subject, body, language })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setPreview(data);
+      }
+    } catch (error) {
+      console.error('Error rendering preview:', error);
+    }
+  };
+
+  const openTemplate = async (template) => {
+    setError('');
+    try {
+      const response = await fetch(`http://localhost:5001/api/templates/${template._id}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEditing({ ...data, note: '' });
+      }
+    } catch (error) {
+      console.error('Error fetching template:', error);
+    }
+  };
+
+  const saveTemplate = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/templates${editing._id ? `/${editing._id}` : ''}`, {
+        method: editing._id ? 'PUT' : 'POST',
+        headers: authHeaders(),
+        body: JSON.stringify(editing)
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setEditing({ ...data, note: '' });
+        setError('');
+        fetchTemplates();
+      } else {
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error('Error saving template:', error);
+    }
+  };
+
+  const restoreVersion = async (version) => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/templates/${editing._id}/restore/${version}`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEditing({ ...data, note: '' });
+        fetchTemplates();
+      }
+    } catch (error) {
+      console.error('Error restoring version:', error);
+    }
+  };
+
+  const toggleActive = async () => {
+    try {
+      const response = await fetch(`http://localhost:5001/api/templates/${editing._id}`, {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ active: !editing.active })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEditing({ ...data, note: '' });
+        fetchTemplates();
+      }
+    } catch (error) {
+      console.error('Error updating template:', error);
+    }
+  };
+
+  const saveSchoolSettings = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/templates/settings', {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({
+          tourSlots: schoolSettings.tourSlots.split('\n'),
+          tuitionSheetUrl: schoolSettings.tuitionSheetUrl
+        })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        fetchFields();
+        if (editing) fetchPreview(textFor('subject'), textFor('body'));
+      } else {
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error saving template settings:', error);
+    }
+  };
+
+  // Subject or body in the language being edited; French lives under translations.fr
+  const textFor = (field) => (
+    language === 'en' ? editing[field] : editing.translations?.[language]?.[field] || ''
+  );
+
+  const setText = (field, value) => {
+    if (language === 'en') {
+      setEditing({ ...editing, [field]: value });
+      return;
+    }
+    const translations = editing.translations || {};
+    setEditing({
+      ...editing,
+      translations: { ...translations, [language]: { ...translations[language], [field]: value } }
+    });
+  };
+
+  const insertField = (key) => {
+    setText('body', `${textFor('body')}{{${key}}}`);
+  };
+
+  const toggleCategory = (category) => {
+    const categories = editing.categories.includes(category)
+      ? editing.categories.filter(c => c !== category)
+      : [...editing.categories, category];
+    setEditing({ ...editing, categories });
+  };
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Reply Templates</h1>
+        <p className="settings-help">
+          The AI picks one of these templates and fills in the parent, child and program. Tour slots, the tuition
+          link and the school name always come from the settings below.
+        </p>
+
+        {loading ? (
+          <div className="loading">Loading templates...</div>
+        ) : (
+          <div className="review-layout">
+            <div className="review-list">
+              <button className="action-btn" onClick={() => { setError(''); setEditing(emptyTemplate()); }}>
+                + New Template
+              </button>
+              {templates.map(template => (
+                <div
+                  key={template._id}
+                  className={`review-item ${editing?._id === template._id ? 'active' : ''} ${template.active ? '' : 'rule-disabled'}`}
+                  onClick={() => openTemplate(template)}
+                >
+                  <strong>{template.name}</strong>
+                  <div className="contact-info">
+                    {template.key} · v{template.version}{template.active ? '' : ' · inactive'}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {editing && (
+              <div className="review-detail">
+                <div className="settings-form">
+                  {!editing._id && (
+                    <label>
+                      Key
+                      <input
+                        placeholder="e.g. tour_request_response"
+                        value={editing.key}
+                        onChange={e => setEditing({ ...editing, key: e.target.value })}
+                      />
+                    </label>
+                  )}
+                  <label>
+                    Name
+                    <input value={editing.name} onChange={e => setEditing({ ...editing, name: e.target.value })} />
+                  </label>
+                  <label>
+                    When to use it (shown to the AI)
+                    <input
+                      value={editing.description || ''}
+                      onChange={e => setEditing({ ...editing, description: e.target.value })}
+                    />
+                  </label>
+                  <div className="condition-row">
+                    {CATEGORIES.map(category => (
+                      <label key={category} className="checkbox">
+                        <input
+                          type="checkbox"
+                          checked={editing.categories.includes(category)}
+                          onChange={() => toggleCategory(category)}
+                        />
+                        {category}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="filter-bar">
+                    <button className={language === 'en' ? 'active' : ''} onClick={() => setLanguage('en')}>English</button>
+                    <button className={language === 'fr' ? 'active' : ''} onClick={() => setLanguage('fr')}>Français</button>
+                  </div>
+                  {language === 'fr' && !(editing.translations?.fr?.subject && editing.translations?.fr?.body) && (
+                    <div className="field-issue">No French version yet: French replies use the English text and are held for review.</div>
+                  )}
+                  <label>
+                    Subject
+                    <input value={textFor('subject')} onChange={e => setText('subject', e.target.value)} />
+                  </label>
+                  <label>
+                    Body
+                    <textarea
+                      className="template-body"
+                      value={textFor('body')}
+                      onChange={e => setText('body', e.target.value)}
+                    />
+                  </label>
+                  <div className="merge-fields">
+                    {fields.map(field => (
+                      <button
+                        key={field.key}
+                        className="close-btn"
+                        title={field.source === 'school' ? 'Filled from school settings' : 'Filled by the AI'}
+                        onClick={() => insertField(field.key)}
+                      >
+                        {`{{${field.key}}}`}
+                      </button>
+                    ))}
+                  </div>
+                  {editing._id && (
+                    <label>
+                      What changed (kept with the version)
+                      <input value={editing.note} onChange={e => setEditing({ ...editing, note: e.target.value })} />
+                    </label>
+                  )}
+                </div>
+
+                {error && <div className="field-issue">{error}</div>}
+
+                <div className="rule-buttons">
+                  <button className="action-btn" onClick={saveTemplate}>Save</button>
+                  {editing._id && (
+                    <button className="action-btn danger" onClick={toggleActive}>
+                      {editing.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  )}
+                </div>
+
+                {preview && (
+                  <div className="source-email template-preview">
+                    <h3>Preview</h3>
+                    <div><strong>Subject:</strong> {preview.subject}</div>
+                    <pre>{preview.body}</pre>
+                    {preview.missing.length > 0 && (
+                      <div className="field-issue">No value for: {preview.missing.join(', ')}</div>
+                    )}
+                  </div>
+                )}
+
+                {editing.versions?.length > 0 && (
+                  <div className="settings-panel">
+                    <h3>Version History (current: v{editing.version})</h3>
+                    {[...editing.versions].reverse().map(version => (
+                      <div key={version.version} className="duplicate-row">
+                        <div>
+                          <strong>v{version.version}</strong> {version.subject}
+                          <div className="contact-info">
+                            {version.updatedBy} · {version.updatedAt && new Date(version.updatedAt).toLocaleString()}
+                            {version.note && ` · ${version.note}`}
+                          </div>
+                        </div>
+                        <button className="action-btn" onClick={() => restoreVersion(version.version)}>
+                          Restore
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="settings-panel">
+          <h3>School Details Used in Templates</h3>
+          <div className="settings-form">
+            <label>
+              Tour slots (one per line)
+              <textarea
+                value={schoolSettings.tourSlots}
+                onChange={e => setSchoolSettings({ ...schoolSettings, tourSlots: e.target.value })}
+              />
+            </label>
+            <label>
+              Tuition sheet link
+              <input
+                value={schoolSettings.tuitionSheetUrl}
+                onChange={e => setSchoolSettings({ ...schoolSettings, tuitionSheetUrl: e.target.value })}
+              />
+            </label>
+            <button className="action-btn" onClick={saveSchoolSettings}>Save Details</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResponseTemplates;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+function SlaReport() {
+  const [report, setReport] = useState(null);
+  const [overdue, setOverdue] = useState([]);
+  const [targets, setTargets] = useState({});
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchOverdue();
+    fetchTargets();
+  }, []);
+
+  useEffect(() => {
+    fetchReport();
+  }, [days]);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchReport = async () => {
+    try {
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const response = await fetch(`http://localhost:5001/api/emails/sla/report?from=${from}`, {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setReport(data);
+      }
+    } catch (error) {
+      console.error('Error fetching SLA report:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchOverdue = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/emails/sla/overdue', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setOverdue(data);
+      }
+    } catch (error) {
+      console.error('Error fetching overdue emails:', error);
+    }
+  };
+
+  const fetchTargets = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/emails/sla/settings', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setTargets(data.slaHours);
+      }
+    } catch (error) {
+      console.error('Error fetching SLA targets:', error);
+    }
+  };
+
+  const saveTargets = async () => {
+    try {
+      const slaHours = Object.fromEntries(
+        Object.entries(targets).map(([category, hours]) => [category, Number(hours)])
+      );
+      const response = await fetch('http://localhost:5001/api/emails/sla/settings', {
+        method: 'PUT',
+        headers: authHeaders(),
+        body: JSON.stringify({ slaHours })
+      });
+
+      const data = await response.json();
+      if (response.ok) {
+        setTargets(data.slaHours);
+        fetchReport();
+      } else {
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error saving SLA targets:', error);
+    }
+  };
+
+  const hoursLate = (email) => Math.round((Date.now() - new Date(email.sla.dueAt)) / (60 * 60 * 1000) * 10) / 10;
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Response Times</h1>
+
+        <div className="filter-bar">
+          <select value={days} onChange={e => setDays(Number(e.target.value))}>
+            <option value={7}>Last 7 days</option>
+            <option value={30}>Last 30 days</option>
+            <option value={90}>Last 90 days</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading report...</div>
+        ) : report && (
+          <>
+            <div className="stats-row">
+              <div className="stat-box">
+                <h3>Emails Needing Action</h3>
+                <div className="stat-value">{report.totals.total}</div>
+              </div>
+              <div className="stat-box">
+                <h3>Answered Late</h3>
+                <div className="stat-value pending">{report.totals.breached - report.totals.openBreached}</div>
+              </div>
+              <div className="stat-box">
+                <h3>Overdue Now</h3>
+                <div className="stat-value pending">{overdue.length}</div>
+              </div>
+            </div>
+
+            <div className="waitlist-table">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Target</th>
+                    <th>Emails</th>
+                    <th>Answered</th>
+                    <th>Breached</th>
+                    <th>Escalated</th>
+                    <th>Within Target</th>
+                    <th>Avg. Response</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.categories.map(row => (
+                    <tr key={row.category}>
+                      <td>{row.category}</td>
+                      <td>{row.targetHours}h</td>
+                      <td>{row.total}</td>
+                      <td>{row.responded}</td>
+                      <td>{row.breached}</td>
+                      <td>{row.escalated}</td>
+                      <td>{row.complianceRate}%</td>
+                      <td>{row.avgResponseHours === null ? '—' : `${row.avgResponseHours}h`}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        {overdue.length > 0 && (
+          <div className="settings-panel">
+            <h3>Overdue Now</h3>
+            {overdue.map(email => (
+              <div key={email._id} className="duplicate-row">
+                <div>
+                  <strong>{email.subject}</strong>
+                  <div className="contact-info">
+                    {email.from} · {email.category} · {hoursLate(email)}h late
+                    {email.assignee && ` · ${email.assignee}`}
+                    {email.sla.escalationLevel > 0 && ` · escalated to level ${email.sla.escalationLevel}`}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="settings-panel">
+          <h3>Targets (hours to respond)</h3>
+          <div className="settings-form">
+            {Object.entries(targets).map(([category, hours]) => (
+              <label key={category}>
+                {category}
+                <input
+                  type="number"
+                  min="0.5"
+                  step="0.5"
+                  value={hours}
+                  onChange={e => setTargets({ ...targets, [category]: e.target.value })}
+                />
+              </label>
+            ))}
+            <button className="action-btn" onClick={saveTargets}>Save Targets</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SlaReport;
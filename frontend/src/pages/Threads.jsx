@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import api from '../services/api';
+import '../styles/Waitlist.css';
+
+const CATEGORIES = ['waitlist', 'inquiry', 'payment', 'absence', 'urgent', 'general'];
+const STATUS_LABELS = { open: 'Needs us', 'awaiting-parent': 'Awaiting parent', resolved: 'Resolved' };
+const PAGE_SIZE = 20;
+
+function Threads() {
+  const { threadId } = useParams();
+  const navigate = useNavigate();
+  const [threads, setThreads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('open');
+  const [category, setCategory] = useState('');
+  const [conversation, setConversation] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchThreads();
+  }, [page, status, category]);
+
+  useEffect(() => {
+    if (threadId) {
+      fetchConversation(threadId);
+    } else {
+      setConversation(null);
+    }
+  }, [threadId]);
+
+  const fetchThreads = async () => {
+    try {
+      const params = { page, limit: PAGE_SIZE };
+      if (status) params.status = status;
+      if (category) params.category = category;
+      const data = await api.getEmailThreads(params);
+      setThreads(data.threads);
+      setTotal(data.total);
+    } catch (error) {
+      console.error('Error fetching threads:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchConversation = async (id) => {
+    try {
+      setConversation(await api.getEmailThread(id));
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+      setConversation(null);
+    }
+  };
+
+  const resolve = async () => {
+    try {
+      setConversation(await api.resolveEmailThread(conversation.threadId));
+      fetchThreads();
+    } catch (error) {
+      console.error('Error resolving thread:', error);
+    }
+  };
+
+  const setFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  const pages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/emails">← Back to Inbox</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Conversations</h1>
+
+        <div className="filter-bar">
+          <select value={status} onChange={setFilter(setStatus)}>
+            <option value="">All conversations</option>
+            {Object.entries(STATUS_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <select value={category} onChange={setFilter(setCategory)}>
+            <option value="">All categories</option>
+            {CATEGORIES.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading conversations...</div>
+        ) : (
+          <div className="review-layout">
+            <div className="review-list">
+              {threads.map(thread => (
+                <div
+                  key={thread.threadId}
+                  className={`review-item ${conversation?.threadId === thread.threadId ? 'active' : ''}`}
+                  onClick={() => navigate(`/emails/threads/${thread.threadId}`)}
+                >
+                  <strong>{thread.subject || '(no subject)'}</strong>
+                  <div className="contact-info">{thread.participants.join(', ')}</div>
+                  <div className="contact-info">
+                    {thread.messageCount} messages · {new Date(thread.lastActivity).toLocaleString()}
+                  </div>
+                  <span className="status-badge">{STATUS_LABELS[thread.status]}</span>
+                </div>
+              ))}
+              {threads.length === 0 && (
+                <div className="no-data">No conversations match</div>
+              )}
+              <div className="filter-bar">
+                <button disabled={page <= 1} onClick={() => setPage(page - 1)}>←</button>
+                <span>Page {page} of {pages} ({total})</span>
+                <button disabled={page >= pages} onClick={() => setPage(page + 1)}>→</button>
+              </div>
+            </div>
+
+            {conversation && (
+              <div className="review-detail">
+                <div className="review-source">
+                  <h3>{conversation.subject || '(no subject)'}</h3>
+                  <div className="contact-info">
+                    {STATUS_LABELS[conversation.status]} · {conversation.participants.join(', ')}
+                  </div>
+                  {conversation.status !== 'resolved' && (
+                    <button className="action-btn" onClick={resolve}>Mark Resolved</button>
+                  )}
+                  {conversation.messages.map(message => (
+                    <div key={`${message.emailId}-${message.direction}`} className="source-email">
+                      <div>
+                        <strong>{message.direction === 'outbound' ? 'We replied' : message.from}</strong>
+                        {' · '}{message.date ? new Date(message.date).toLocaleString() : ''}
+                        {message.approvedBy && ` · approved by ${message.approvedBy}`}
+                      </div>
+                      {message.direction === 'inbound' && (
+                        <div className="contact-info">
+                          {message.category}{message.requiresAction ? ' · needs action' : ''}
+                        </div>
+                      )}
+                      {message.summaryEn && <div><strong>English summary:</strong> {message.summaryEn}</div>}
+                      <pre>{message.body}</pre>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Threads;
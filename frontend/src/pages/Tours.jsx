@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+import '../styles/Settings.css';
+
+const emptySlot = () => ({ start: '', durationMinutes: 45, capacity: 1, location: '', notes: '' });
+
+const formatDay = (day) => new Date(`${day}T12:00:00`).toLocaleDateString('en-CA', {
+  weekday: 'long', month: 'long', day: 'numeric'
+});
+
+const formatTime = (date) => new Date(date).toLocaleTimeString('en-CA', { hour: 'numeric', minute: '2-digit' });
+
+function Tours() {
+  const [days, setDays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newSlot, setNewSlot] = useState(emptySlot());
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTours();
+  }, []);
+
+  const authHeaders = () => ({
+    'Authorization': `Bearer ${localStorage.getItem('token')}`,
+    'Content-Type': 'application/json'
+  });
+
+  const fetchTours = async () => {
+    try {
+      const response = await fetch('http://localhost:5001/api/tours', {
+        headers: authHeaders()
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setDays(data);
+      }
+    } catch (error) {
+      console.error('Error fetching tours:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const publishSlot = async () => {
+    setError('');
+    try {
+      const response = await fetch('http://localhost:5001/api/tours', {
+        method: 'POST',
+        headers: authHeaders(),
+        // datetime-local has no time zone; the browser's is the school's
+        body: JSON.stringify({ ...newSlot, start: newSlot.start && new Date(newSlot.start).toISOString() })
+      });
+
+      if (response.ok) {
+        setNewSlot(emptySlot());
+        fetchTours();
+      } else {
+        const data = await response.json();
+        setError(data.message);
+      }
+    } catch (error) {
+      console.error('Error publishing tour slot:', error);
+    }
+  };
+
+  const request = async (url, method = 'POST', body = {}) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: authHeaders(),
+        body: method === 'DELETE' ? undefined : JSON.stringify(body)
+      });
+
+      if (response.ok) {
+        fetchTours();
+      } else {
+        const data = await response.json();
+        alert(data.message);
+      }
+    } catch (error) {
+      console.error('Error updating tour:', error);
+    }
+  };
+
+  const togglePublished = (slot) =>
+    request(`http://localhost:5001/api/tours/${slot._id}`, 'PUT', { published: !slot.published });
+
+  const deleteSlot = (slot) => {
+    if (!window.confirm(`Delete the tour at ${formatTime(slot.start)}?`)) return;
+    request(`http://localhost:5001/api/tours/${slot._id}`, 'DELETE');
+  };
+
+  const cancelBooking = (slot, booking) => {
+    if (!window.confirm(`Cancel the tour for ${booking.parentName || booking.parentEmail}? They will be emailed a cancellation.`)) return;
+    request(`http://localhost:5001/api/tours/${slot._id}/bookings/${booking._id}/cancel`);
+  };
+
+  const completeBooking = (slot, booking, attended) => {
+    const body = { attended };
+    if (attended) {
+      body.showedInterest = window.confirm('Is the family still interested in enrolling?');
+      body.feedback = window.prompt('Notes from the tour (optional)') || undefined;
+    }
+    request(`http://localhost:5001/api/tours/${slot._id}/bookings/${booking._id}/complete`, 'POST', body);
+  };
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/dashboard">← Back to Dashboard</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>School Tours</h1>
+        <p className="settings-help">
+          Open published times are offered to parents who ask for a tour. When they reply with one, the tour is
+          booked and they are sent a calendar invitation.
+        </p>
+
+        <div className="settings-panel">
+          <h3>Publish a Tour Time</h3>
+          <div className="settings-form">
+            <label>
+              Date and time
+              <input
+                type="datetime-local"
+                value={newSlot.start}
+                onChange={e => setNewSlot({ ...newSlot, start: e.target.value })}
+              />
+            </label>
+            <label>
+              Length (minutes)
+              <input
+                type="number"
+                min="5"
+                value={newSlot.durationMinutes}
+                onChange={e => setNewSlot({ ...newSlot, durationMinutes: Number(e.target.value) })}
+              />
+            </label>
+            <label>
+              Families per tour
+              <input
+                type="number"
+                min="1"
+                value={newSlot.capacity}
+                onChange={e => setNewSlot({ ...newSlot, capacity: Number(e.target.value) })}
+              />
+            </label>
+            <input
+              placeholder="Location (defaults to the school address)"
+              value={newSlot.location}
+              onChange={e => setNewSlot({ ...newSlot, location: e.target.value })}
+            />
+            <input
+              placeholder="Notes for staff (optional)"
+              value={newSlot.notes}
+              onChange={e => setNewSlot({ ...newSlot, notes: e.target.value })}
+            />
+            <button className="action-btn" onClick={publishSlot}>Publish</button>
+          </div>
+          {error && <div className="field-issue">{error}</div>}
+        </div>
+
+        {loading ? (
+          <div className="loading">Loading tours...</div>
+        ) : days.length === 0 ? (
+          <div className="no-data">No tours in the next two weeks</div>
+        ) : (
+          days.map(day => (
+            <div key={day.day} className="waitlist-table">
+              <h3>{formatDay(day.day)} · {day.booked} booked</h3>
+              <table>
+                <thead>
+                  <tr>
+                    <th>Time</th>
+                    <th>Families</th>
+                    <th>Booked</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {day.slots.map(slot => (
+                    <tr key={slot._id}>
+                      <td>
+                        {formatTime(slot.start)} – {formatTime(slot.end)}
+                        {!slot.published && <span className="status-badge">unpublished</span>}
+                        {slot.notes && <div className="contact-info">{slot.notes}</div>}
+                      </td>
+                      <td>{slot.bookedCount} of {slot.capacity}</td>
+                      <td>
+                        {slot.bookings.length === 0 && '—'}
+                        {slot.bookings.map(booking => (
+                          <div key={booking._id} className="contact-info">
+                            <strong>{booking.parentName || booking.parentEmail}</strong>
+                            {booking.childName && ` for ${booking.childName}`}
+                            {' '}<span className={`status-badge ${booking.status}`}>{booking.status}</span>
+                            {booking.inviteError && <div className="field-issue">Invite not sent: {booking.inviteError}</div>}
+                            {booking.status === 'booked' && (
+                              <div className="rule-buttons">
+                                <button className="action-btn" onClick={() => completeBooking(slot, booking, true)}>Attended</button>
+                                <button className="action-btn" onClick={() => completeBooking(slot, booking, false)}>No-show</button>
+                                <button className="close-btn" onClick={() => cancelBooking(slot, booking)}>Cancel</button>
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                      </td>
+                      <td>
+                        <button className="action-btn" onClick={() => togglePublished(slot)}>
+                          {slot.published ? 'Unpublish' : 'Publish'}
+                        </button>
+                        {slot.bookings.length === 0 && (
+                          <button className="action-btn danger" onClick={() => deleteSlot(slot)}>Delete</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Tours;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import api from '../services/api';
 import '../styles/Waitlist.css';
 
 function Waitlist() {
@@ -8,12 +9,24 @@ function Waitlist() {
   const [filter, setFilter] = useState('all');
   const [loading, setLoading] = useState(true);
   const [selectedEntry, setSelectedEntry] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+  const [attachments, setAttachments] = useState([]);
 
   useEffect(() => {
     fetchWaitlist();
     fetchStats();
   }, [filter]);
 
+  useEffect(() => {
+    if (selectedEntry) {
+      fetchDuplicates(selectedEntry._id);
+      fetchAttachments(selectedEntry._id);
+    } else {
+      setDuplicates([]);
+      setAttachments([]);
+    }
+  }, [selectedEntry]);
+
   const fetchWaitlist = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -76,6 +89,81 @@ function Waitlist() {
     }
   };
 
+  const fetchDuplicates = async (id) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`http://localhost:5001/api/waitlist/${id}/duplicates`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      
+      if (response.ok) {
+        const data = await response.json();
+        setDuplicates(data);
+      }
+    } catch (error) {
+      console.error('Error fetching duplicates:', error);
+    }
+  };
+
+  const mergeEntry = async (targetId, sourceId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`http://localhost:5001/api/waitlist/${targetId}/merge`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sourceId })
+      });
+      
+      if (response.ok) {
+        fetchWaitlist();
+        fetchStats();
+        setSelectedEntry(null);
+      }
+    } catch (error) {
+      console.error('Error merging entries:', error);
+    }
+  };
+
+  const fetchAttachments = async (id) => {
+    try {
+      setAttachments(await api.getAttachments({ waitlistId: id }));
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+    }
+  };
+
+  // Files need the auth header, so fetch them as a blob rather than linking directly
+  const openAttachment = async (attachment, download = false) => {
+    try {
+      const url = URL.createObjectURL(await api.getAttachmentFile(attachment.emailId, attachment._id));
+      if (download) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = attachment.filename;
+        link.click();
+      } else {
+        window.open(url, '_blank');
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      // Error bodies arrive as a blob too
+      const message = await error.response?.data?.text?.().then(text => JSON.parse(text).message).catch(() => null);
+      alert(message || 'Attachment could not be opened');
+      console.error('Error opening attachment:', error);
+    }
+  };
+
+  const formatSize = (bytes) => {
+    if (!bytes) return '';
+    if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  };
+
   const formatDate = (date) => {
     if (!date) return 'N/A';
     return new Date(date).toLocaleDateString();
@@ -113,6 +201,11 @@ function Waitlist() {
               <h3>Enrolled</h3>
               <p className="stat-value enrolled">{stats.enrolled}</p>
             </div>
+            <div className="stat-box">
+              <h3>Needs Review</h3>
+              <p className="stat-value pending">{stats.needsReview}</p>
+              <Link to="/waitlist/review">Review →</Link>
+            </div>
           </div>
         )}
 
@@ -162,7 +255,12 @@ function Waitlist() {
               <tbody>
                 {entries.map(entry => (
                   <tr key={entry._id}>
-                    <td>{entry.childName}</td>
+                    <td>
+                      {entry.childName}
+                      {entry.needsReview && (
+                        <Link to="/waitlist/review" className="review-flag">needs review</Link>
+                      )}
+                    </td>
                     <td>{entry.parentName}</td>
                     <td>
                       <div className="contact-info">
@@ -226,6 +324,54 @@ function Waitlist() {
                   Mark as Withdrawn
                 </button>
               </div>
+              {attachments.length > 0 && (
+                <div className="attachments">
+                  <h3>Attachments</h3>
+                  {attachments.map(attachment => (
+                    <div key={attachment._id} className="attachment-row">
+                      <div>
+                        <strong>{attachment.filename}</strong> {formatSize(attachment.size)}
+                        <div className="contact-info">
+                          {attachment.subject} · {formatDate(attachment.received)}
+                          {!attachment.downloaded && ' · not downloaded yet'}
+                        </div>
+                      </div>
+                      <div className="attachment-actions">
+                        <button className="action-btn" onClick={() => openAttachment(attachment)}>
+                          View
+                        </button>
+                        <button className="action-btn" onClick={() => openAttachment(attachment, true)}>
+                          Download
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {duplicates.length > 0 && (
+                <div className="duplicates">
+                  <h3>Possible Duplicates</h3>
+                  {duplicates.map(dup => (
+                    <div key={dup._id} className="duplicate-row">
+                      <div>
+                        <strong>{dup.childName}</strong> ({formatDate(dup.childBirthDate)})
+                        <div className="contact-info">
+                          {dup.parentEmail} {dup.parentPhone && `· ${dup.parentPhone}`}
+                        </div>
+                        <div className="contact-info">
+                          Received {formatDate(dup.receivedDate)} · {(dup.emailIds || []).length} email(s)
+                        </div>
+                      </div>
+                      <button
+                        className="action-btn"
+                        onClick={() => mergeEntry(selectedEntry._id, dup._id)}
+                      >
+                        Merge into this entry
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
               <button className="close-btn" onClick={() => setSelectedEntry(null)}>
                 Cancel
               </button>
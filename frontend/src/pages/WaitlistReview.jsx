@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import '../styles/Waitlist.css';
+
+const FIELDS = [
+  { key: 'parentName', label: 'Parent Name' },
+  { key: 'parentEmail', label: 'Parent Email' },
+  { key: 'parentPhone', label: 'Parent Phone' },
+  { key: 'childName', label: 'Child Name' },
+  { key: 'childBirthDate', label: 'Child Birth Date', type: 'date' },
+  { key: 'preferredStartDate', label: 'Preferred Start Date' },
+  { key: 'programType', label: 'Program' },
+  { key: 'postalCode', label: 'Postal Code' }
+];
+
+function WaitlistReview() {
+  const [entries, setEntries] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [emails, setEmails] = useState([]);
+  const [values, setValues] = useState({});
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchEntries();
+  }, []);
+
+  const fetchEntries = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch('http://localhost:5001/api/waitlist?needsReview=true', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEntries(data);
+      }
+    } catch (error) {
+      console.error('Error fetching entries for review:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectEntry = async (entry) => {
+    setSelected(entry);
+    setErrors([]);
+    setValues(Object.fromEntries(FIELDS.map(({ key, type }) => {
+      const value = entry[key] || '';
+      return [key, type === 'date' && value ? value.substring(0, 10) : value];
+    })));
+
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`http://localhost:5001/api/waitlist/${entry._id}/source`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setEmails(data.emails);
+      }
+    } catch (error) {
+      console.error('Error fetching source emails:', error);
+    }
+  };
+
+  const saveReview = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`http://localhost:5001/api/waitlist/${selected._id}/review`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ values })
+      });
+
+      if (response.ok) {
+        setSelected(null);
+        setEmails([]);
+        fetchEntries();
+      } else {
+        const data = await response.json();
+        setErrors(data.errors || [{ field: '', issue: data.message }]);
+      }
+    } catch (error) {
+      console.error('Error saving review:', error);
+    }
+  };
+
+  const confidenceClass = (confidence) => {
+    if (confidence === null || confidence === undefined) return 'unknown';
+    if (confidence >= 0.85) return 'high';
+    if (confidence >= 0.7) return 'medium';
+    return 'low';
+  };
+
+  return (
+    <div className="waitlist-container">
+      <nav className="navbar">
+        <div className="nav-brand">
+          <h2>Yus Montessori</h2>
+        </div>
+        <div className="nav-links">
+          <Link to="/waitlist">← Back to Waitlist</Link>
+        </div>
+      </nav>
+
+      <div className="waitlist-content">
+        <h1>Review Extracted Applications</h1>
+
+        {loading ? (
+          <div className="loading">Loading entries...</div>
+        ) : (
+          <div className="review-layout">
+            <div className="review-list">
+              {entries.map(entry => (
+                <div
+                  key={entry._id}
+                  className={`review-item ${selected?._id === entry._id ? 'active' : ''}`}
+                  onClick={() => selectEntry(entry)}
+                >
+                  <strong>{entry.childName}</strong>
+                  <div className="contact-info">{entry.parentEmail}</div>
+                  <ul className="review-reasons">
+                    {(entry.reviewReasons || []).map(reason => (
+                      <li key={reason}>{reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+              {entries.length === 0 && (
+                <div className="no-data">Nothing needs review</div>
+              )}
+            </div>
+
+            {selected && (
+              <div className="review-detail">
+                <div className="review-source">
+                  <h3>Source Email</h3>
+                  {emails.map(email => (
+                    <div key={email._id} className="source-email">
+                      <div><strong>From:</strong> {email.from}</div>
+                      <div><strong>Subject:</strong> {email.subject}</div>
+                      <div><strong>Received:</strong> {new Date(email.received).toLocaleString()}</div>
+                      <pre>{email.body}</pre>
+                    </div>
+                  ))}
+                  {emails.length === 0 && (
+                    <div className="no-data">Source email not found</div>
+                  )}
+                </div>
+
+                <div className="review-fields">
+                  <h3>Extracted Values</h3>
+                  {FIELDS.map(({ key, label, type }) => {
+                    const extraction = selected.extraction?.[key] || {};
+                    return (
+                      <div key={key} className="review-field">
+                        <label>
+                          {label}
+                          <span className={`confidence-badge ${confidenceClass(extraction.confidence)}`}>
+                            {extraction.confidence === null || extraction.confidence === undefined
+                              ? '?'
+                              : `${Math.round(extraction.confidence * 100)}%`}
+                          </span>
+                        </label>
+                        <input
+                          type={type || 'text'}
+                          value={values[key] || ''}
+                          onChange={e => setValues({ ...values, [key]: e.target.value })}
+                        />
+                        {extraction.issue && (
+                          <div className="field-issue">
+                            {extraction.issue}{extraction.value ? ` (extracted: "${extraction.value}")` : ''}
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+
+                  {errors.map(error => (
+                    <div key={error.field + error.issue} className="field-issue">
+                      {error.field} {error.issue}
+                    </div>
+                  ))}
+
+                  <button className="action-btn" onClick={saveReview}>
+                    Save & Mark Reviewed
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default WaitlistReview;
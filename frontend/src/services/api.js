@@ -95,6 +95,68 @@ class ApiService {
     const response = await this.client.get('/emails/unprocessed');
     return response.data;
   }
+
+  async getEmailThreads(params = {}) {
+    const response = await this.client.get('/emails/threads', { params });
+    return response.data;
+  }
+
+  async getEmailThread(threadId) {
+    const response = await this.client.get(`/emails/threads/${threadId}`);
+    return response.data;
+  }
+
+  async resolveEmailThread(threadId) {
+    const response = await this.client.put(`/emails/threads/${threadId}/resolve`);
+    return response.data;
+  }
+
+  // Reply review queue endpoints
+  async getPendingReplies(params = {}) {
+    const response = await this.client.get('/replies', { params });
+    return response.data;
+  }
+
+  async updateReplyDraft(id, draft) {
+    const response = await this.client.put(`/replies/${id}`, { draft });
+    return response.data;
+  }
+
+  async approveReply(id, draft) {
+    const response = await this.client.post(`/replies/${id}/approve`, { draft });
+    return response.data;
+  }
+
+  async rejectReply(id, reason) {
+    const response = await this.client.post(`/replies/${id}/reject`, { reason });
+    return response.data;
+  }
+
+  async bulkApproveReplies(ids) {
+    const response = await this.client.post('/replies/bulk-approve', { ids });
+    return response.data;
+  }
+
+  async getReplySettings() {
+    const response = await this.client.get('/replies/settings');
+    return response.data;
+  }
+
+  async updateReplySettings(settings) {
+    const response = await this.client.put('/replies/settings', settings);
+    return response.data;
+  }
+
+  // Email attachments: params is { waitlistId }, { studentId } or { messageId }
+  async getAttachments(params) {
+    const response = await this.client.get('/attachments', { params });
+    return response.data;
+  }
+
+  async getAttachmentFile(emailId, attachmentId) {
+    const response = await this.client.get(`/attachments/${emailId}/${attachmentId}`, { responseType: 'blob' });
+    return response.data;
+  }
 }
 
 export default new ApiService();
\ No newline at end of file